@@ -31,17 +31,32 @@ const app = express();
 // ============================================
 
 app.use(cors());
-app.use(express.json());
+// Content writes send whole documents (process map, functions with logs), well above the 100kb default
+app.use(express.json({ limit: '5mb' }));
 
 // Static files
 app.use(express.static(globalConfig.PUBLIC_DIR));
 
+// ============================================
+// Authentication
+// ============================================
+
+// Login/logout are reachable without a session, every other API route requires one
+app.use('/api/auth', globalRoutes.auth);
+app.use('/api', globalMiddleware.authenticate);
+
+// Viewers read, editors change content, admins manage instances
+app.use('/api/instances', globalMiddleware.requireRoleForWrites('admin'));
+app.use('/api', globalMiddleware.requireRoleForWrites('editor'));
+
 // ============================================
 // API Routes - TestCases Module
 // ============================================
 
 // Instance management (no instance prefix)
 app.use('/api/instances', globalRoutes.instances);
+app.use('/api/instances', globalRoutes.templateUpgrade);
+app.use('/api/instances', globalRoutes.audit);
 app.use('/api/templates', (req, res, next) => {
   // Redirect /api/templates to instances router which handles it
   req.url = '/templates' + req.url;
@@ -63,6 +78,7 @@ if(testcasesRoutes) {
 // InterfaceDesign API routes
 if (interfacedesignRoutes) {
   app.use('/api', interfacedesignRoutes.content);
+  app.use('/api', interfacedesignRoutes.events);
 }
 
 // ============================================
@@ -80,6 +96,11 @@ if (interfacedesignRoutes) {
   });
 }
 
+// Template upgrade page
+app.get('/:instance/upgrade', globalMiddleware.validateInstance, (req, res) => {
+  res.sendFile(path.join(globalConfig.PUBLIC_DIR, 'upgrade.html'));
+});
+
 // TestCases Module HTML (default)
 app.get('/:instance/*path', globalMiddleware.validateInstance, (req, res) => {
   res.sendFile(path.join(globalConfig.PUBLIC_DIR, 'testcases.html'));
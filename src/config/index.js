@@ -71,6 +71,15 @@ const UPLOAD_CONFIG = {
   ]
 };
 
+// Authentication: local user accounts (without the file the server is read-only,
+// unless AUTH_OPEN=1 explicitly grants every request full access)
+const AUTH_CONFIG = {
+  usersFile: process.env.USERS_FILE || path.join(BASE_DIR, 'users.json'),
+  openAccess: process.env.AUTH_OPEN === '1',
+  sessionCookie: 'tcm_session',
+  sessionMaxAge: 8 * 60 * 60 * 1000 // 8 hours, extended on every request
+};
+
 // Status colors for exports
 const STATUS_COLORS = {
   primary: '#2563eb',
@@ -92,5 +101,6 @@ module.exports = {
   REPORT_TEMPLATES_DIR,
   PORT,
   UPLOAD_CONFIG,
+  AUTH_CONFIG,
   STATUS_COLORS
 };
@@ -0,0 +1,41 @@
+/**
+ * Audit Middleware
+ * Records successful modifying API calls of an instance in its audit log
+ */
+
+const { appendAuditEntries, auditFiles } = require('../../utils/global');
+const { READ_METHODS } = require('../global/auth');
+
+/**
+ * Middleware to log a write API call once it succeeded
+ * Requires req.instancePath (set by validateInstance). Routes report the files they
+ * wrote or deleted in res.locals.auditFiles (paths relative to the instance root);
+ * each file is logged with its new content hash (null = deleted)
+ */
+const auditWrites = (req, res, next) => {
+  if (READ_METHODS.includes(req.method) || !req.instancePath) return next();
+
+  const instancePath = req.instancePath;
+  res.on('finish', () => {
+    if (res.statusCode >= 400) return;
+
+    const entry = {
+      action: `api.${req.method.toLowerCase()}`,
+      source: 'api',
+      user: req.user ? req.user.username : null,
+      details: { path: req.originalUrl.split('?')[0], status: res.statusCode }
+    };
+    const files = res.locals.auditFiles || [];
+    const written = files.length > 0
+      ? auditFiles(instancePath, files, entry, { force: true })
+      : appendAuditEntries(instancePath, entry);
+
+    written.catch(error => console.error('Error writing audit log:', error.message));
+  });
+
+  next();
+};
+
+module.exports = {
+  auditWrites
+};
@@ -0,0 +1,67 @@
+/**
+ * Authentication Middleware
+ * Resolves the session user and enforces the viewer/editor/admin roles
+ */
+
+const { isAuthEnabled, getAnonymousUser, getSessionUser, getSessionToken, hasRole } = require('../../utils/global');
+
+// Methods that only read data
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Middleware to require a logged-in user
+ * Sets req.user ({ username, displayName, role }); with authentication disabled
+ * every request runs as the anonymous user (viewer, admin only with open access)
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    if (!(await isAuthEnabled())) {
+      req.user = getAnonymousUser();
+      return next();
+    }
+
+    const user = await getSessionUser(getSessionToken(req));
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware factory to require a minimum role
+ * @param {string} role - viewer | editor | admin
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user || !hasRole(req.user.role, role)) {
+    if (req.user && req.user.username === null) {
+      return res.status(403).json({ error: 'Read-only access: create a users file or set AUTH_OPEN=1 to allow changes' });
+    }
+    return res.status(403).json({ error: `Role '${role}' required` });
+  }
+  next();
+};
+
+/**
+ * Middleware factory to require a minimum role for modifying requests only
+ * Reading stays open to every logged-in user
+ * @param {string} role - viewer | editor | admin
+ */
+const requireRoleForWrites = (role) => {
+  const check = requireRole(role);
+  return (req, res, next) => {
+    if (READ_METHODS.includes(req.method)) return next();
+    check(req, res, next);
+  };
+};
+
+module.exports = {
+  READ_METHODS,
+  authenticate,
+  requireRole,
+  requireRoleForWrites
+};
@@ -3,7 +3,13 @@
  */
 
 const validateInstance = require('../global/validateInstance');
+const { authenticate, requireRole, requireRoleForWrites } = require('../global/auth');
+const { auditWrites } = require('../global/audit');
 
 module.exports = {
-    validateInstance
+    validateInstance,
+    authenticate,
+    requireRole,
+    requireRoleForWrites,
+    auditWrites
 };
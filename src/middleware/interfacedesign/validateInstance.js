@@ -0,0 +1,50 @@
+/**
+ * InterfaceDesign Instance Validation Middleware
+ * Validates the instance parameter and resolves its interfacedesign layers
+ */
+
+const path = require('path');
+const fsSync = require('fs');
+const { INSTANCES_ROOT } = require('../../config');
+const { getInterfaceDesignLayers } = require('../../routes/interfacedesign/common');
+
+// Valid instance name pattern (URL-safe)
+const INSTANCE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Middleware to validate the instance and resolve its interfacedesign layers
+ * Sets instancePath, instanceName, layers ({ path, base, baseTemplate })
+ * and interfacedesignPath (the instance's own folder) on the request
+ */
+const validateInstance = async (req, res, next) => {
+  const { instance } = req.params;
+
+  if (!instance || !INSTANCE_NAME_PATTERN.test(instance)) {
+    return res.status(400).json({ error: 'Invalid instance name' });
+  }
+
+  const instancePath = path.join(INSTANCES_ROOT, instance);
+
+  // The resolved path must stay below INSTANCES_ROOT and be a directory
+  if (path.dirname(instancePath) !== path.resolve(INSTANCES_ROOT) ||
+      !fsSync.existsSync(instancePath) || !fsSync.statSync(instancePath).isDirectory()) {
+    return res.status(404).json({ error: `Instance '${instance}' not found` });
+  }
+
+  try {
+    const layers = await getInterfaceDesignLayers(instance);
+    if (!layers) {
+      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
+    }
+
+    req.instancePath = instancePath;
+    req.instanceName = instance;
+    req.layers = layers;
+    req.interfacedesignPath = layers.path;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = validateInstance;
@@ -0,0 +1,85 @@
+/**
+ * InterfaceDesign Parameter Validation Middleware
+ * Guards route parameters that end up in filesystem paths
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Ids are plain file stems: no separators, no dots, no leading dash
+const ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]*$/;
+
+/**
+ * List the names of the subdirectories of a directory
+ * @param {string} dirPath - Directory path
+ * @returns {Promise<Array<string>>} - Directory names (empty if missing)
+ */
+async function listDirectories(dirPath) {
+  try {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    return entries.filter(e => e.isDirectory()).map(e => e.name);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Middleware to validate the :id parameter as a plain file stem
+ */
+const validateId = (req, res, next) => {
+  const { id } = req.params;
+
+  if (!id || !ID_PATTERN.test(id)) {
+    return res.status(400).json({ error: `Invalid id '${id || ''}'` });
+  }
+
+  next();
+};
+
+/**
+ * List the subdirectories of a folder in all interfacedesign layers
+ * @param {Object} layers - { path, base } from validateInstance
+ * @param {Array<string>} parts - Folder path parts relative to the interfacedesign folder
+ * @returns {Promise<Array<string>>} - Directory names (union over the layers)
+ */
+async function listLayerDirectories(layers, parts) {
+  const roots = [layers.path, layers.base].filter(Boolean);
+  const names = new Set();
+  for (const root of roots) {
+    for (const name of await listDirectories(path.join(root, ...parts))) {
+      names.add(name);
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Middleware to validate :actor and :type of a process route
+ * Only actor and diagram type folders that exist below processes/ (in any layer) are accepted
+ * Requires req.layers (set by validateInstance)
+ */
+const validateProcessPath = async (req, res, next) => {
+  const { actor, type } = req.params;
+
+  try {
+    const actors = await listLayerDirectories(req.layers, ['processes']);
+    if (!actors.includes(actor)) {
+      return res.status(404).json({ error: `Actor '${actor}' not found` });
+    }
+
+    const types = await listLayerDirectories(req.layers, ['processes', actor]);
+    if (!types.includes(type)) {
+      return res.status(404).json({ error: `Diagram type '${type}' not found for actor '${actor}'` });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  ID_PATTERN,
+  validateId,
+  validateProcessPath
+};
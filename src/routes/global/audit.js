@@ -0,0 +1,50 @@
+/**
+ * Audit Log Routes
+ * Read access to the audit log of an instance
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateInstance } = require('../../middleware/global');
+const { readAuditLog } = require('../../utils/global');
+
+const FILTER_FIELDS = ['user', 'action', 'source', 'file', 'from', 'to'];
+
+/**
+ * GET /api/instances/:instance/audit
+ * Get the audit log of an instance, newest entries first
+ * Query: user, action (exact or prefix ending with '.'), source, file (substring),
+ *        from, to (ISO timestamps), limit, offset
+ */
+router.get('/:instance/audit', validateInstance, async (req, res) => {
+  try {
+    const filter = {};
+    for (const field of FILTER_FIELDS) {
+      if (typeof req.query[field] === 'string' && req.query[field]) {
+        filter[field] = req.query[field];
+      }
+    }
+    for (const field of ['from', 'to']) {
+      if (filter[field] && isNaN(Date.parse(filter[field]))) {
+        return res.status(400).json({ error: `Ungültiger Zeitpunkt für "${field}": ${filter[field]}` });
+      }
+      if (filter[field]) filter[field] = new Date(filter[field]).toISOString();
+    }
+    filter.limit = req.query.limit;
+    filter.offset = req.query.offset;
+
+    const log = await readAuditLog(req.instancePath, filter);
+
+    res.json({
+      success: true,
+      instance: req.instanceName,
+      filter,
+      ...log
+    });
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
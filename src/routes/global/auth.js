@@ -0,0 +1,93 @@
+/**
+ * Authentication Routes
+ * Login, logout and the current user (local accounts from the users file)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { AUTH_CONFIG } = require('../../config');
+const {
+  ROLES,
+  isAuthEnabled,
+  getAnonymousUser,
+  authenticateUser,
+  createSession,
+  getSessionUser,
+  destroySession,
+  getSessionToken
+} = require('../../utils/global');
+
+// Session cookie: not readable by scripts and never sent with cross-site requests
+const COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'strict',
+  path: '/'
+};
+
+/**
+ * GET /api/auth/me
+ * Get the current user (user is null if not logged in)
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const authEnabled = await isAuthEnabled();
+    const user = authEnabled
+      ? await getSessionUser(getSessionToken(req))
+      : getAnonymousUser();
+
+    res.json({
+      success: true,
+      authEnabled,
+      roles: ROLES,
+      user
+    });
+  } catch (error) {
+    console.error('Error reading current user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Log in with username and password, sets the session cookie
+ */
+router.post('/login', async (req, res) => {
+  try {
+    if (!(await isAuthEnabled())) {
+      return res.status(400).json({ error: 'Anmeldung ist nicht aktiviert (keine Benutzerdatei vorhanden)' });
+    }
+
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string' || !username) {
+      return res.status(400).json({ error: 'Benutzername und Passwort erforderlich' });
+    }
+
+    const user = await authenticateUser(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Benutzername oder Passwort falsch' });
+    }
+
+    const token = createSession(user.username);
+    res.cookie(AUTH_CONFIG.sessionCookie, token, { ...COOKIE_OPTIONS, maxAge: AUTH_CONFIG.sessionMaxAge });
+
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+router.post('/logout', (req, res) => {
+  destroySession(getSessionToken(req));
+  res.clearCookie(AUTH_CONFIG.sessionCookie, COOKIE_OPTIONS);
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -4,7 +4,13 @@
  */
 
 const instances = require('./instances');
+const templateUpgrade = require('./templateUpgrade');
+const auth = require('./auth');
+const audit = require('./audit');
 
 module.exports = {
-  instances
+  instances,
+  templateUpgrade,
+  auth,
+  audit
 };
@@ -8,12 +8,153 @@ const router = express.Router();
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
-const { INSTANCES_ROOT, TEMPLATES_ROOT } = require('../../config');
-const { copyDirectory } = require('../../utils/global');
+const crypto = require('crypto');
+const multer = require('multer');
+const { INSTANCES_ROOT, TEMPLATES_ROOT, UPLOAD_CONFIG } = require('../../config');
+const {
+  copyDirectory,
+  readInstanceMeta,
+  writeInstanceMeta,
+  createInstanceBundle,
+  readInstanceBundle,
+  extractInstanceBundle,
+  readTemplateManifest,
+  appendAuditEntries,
+  httpError,
+  AUDIT_FILE
+} = require('../../utils/global');
+const { TRASH_FOLDER } = require('../../utils/interfacedesign/trash');
+const { snapshotTemplate } = require('../../utils/global/templateUpgrade');
 
 // Valid instance name pattern (URL-safe)
 const INSTANCE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
 
+// Bundle uploads are kept in memory and only accepted with a ZIP MIME type
+const ZIP_MIME_TYPES = UPLOAD_CONFIG.allowedMimeTypes.filter(type => type.includes('zip'));
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_CONFIG.maxFileSize },
+  fileFilter: (req, file, cb) => {
+    if (ZIP_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(httpError(400, `Ungültiger Dateityp: ${file.mimetype}. Erwartet: ${ZIP_MIME_TYPES.join(', ')}`));
+    }
+  }
+}).single('bundle');
+
+// Pending delete confirmations: instance name -> { token, expires }
+const DELETE_TOKEN_TTL = 5 * 60 * 1000;
+const pendingDeletes = new Map();
+
+/**
+ * Copy the interfacedesign stats of one instance info object onto another
+ */
+function mergeInterfaceInfo(target, source) {
+  if (source.templateId && !target.templateId) target.templateId = source.templateId;
+  if (source.templateVersion && !target.templateVersion) target.templateVersion = source.templateVersion;
+  if (source.baseTemplate && !target.baseTemplate) target.baseTemplate = source.baseTemplate;
+  target.hasInterfaces = source.hasInterfaces;
+  target.functionCount = source.functionCount || 0;
+  target.exceptionCount = source.exceptionCount || 0;
+  target.typeCount = source.typeCount || 0;
+  target.enumCount = source.enumCount || 0;
+  target.processCount = source.processCount || 0;
+  target.processChainCount = source.processChainCount || 0;
+}
+
+/**
+ * Copy the manifest fields of a template info object onto another
+ */
+function mergeTemplateManifest(target, source) {
+  if (!source.manifest) return;
+  target.name = source.name;
+  target.description = source.description;
+  target.version = source.version;
+  target.standards = source.standards;
+  target.manifest = source.manifest;
+}
+
+/**
+ * Get the merged info object of a single instance from all modules
+ * Returns the same shape as the entries of GET /api/instances
+ * @param {string} name - Instance name
+ * @returns {Promise<Object|null>} - Instance info or null if no module knows it
+ */
+async function getInstanceInfo(name) {
+  let info = null;
+
+  try {
+    const instancesTestcases = require('../testcases/instances');
+    info = await instancesTestcases.getInstance(name);
+  } catch (error) { }
+
+  try {
+    const instancesInterfacedesign = require('../interfacedesign/instances');
+    const infoID = await instancesInterfacedesign.getInstance(name);
+    if (info) {
+      mergeInterfaceInfo(info, infoID);
+    } else {
+      info = infoID;
+    }
+  } catch (error) { }
+
+  return info;
+}
+
+/**
+ * Drop cached module data of an instance folder that is removed or moved
+ */
+function releaseInstanceCaches(instancePath) {
+  try {
+    const { clearCache } = require('../../utils/interfacedesign/modelCache');
+    clearCache(path.join(instancePath, 'interfacedesign'));
+  } catch (error) { }
+}
+
+/**
+ * Start recording file modifications of a new or moved instance folder in its audit log
+ */
+function watchInstanceFiles(instancePath) {
+  try {
+    const { watchInstance } = require('../../utils/interfacedesign/auditWatcher');
+    watchInstance(instancePath);
+  } catch (error) { }
+}
+
+/**
+ * Record an instance management action in the audit log of the instance
+ * A failing audit write is logged but does not fail the request
+ */
+async function auditInstance(instancePath, req, action, details, hash = null) {
+  try {
+    await appendAuditEntries(instancePath, {
+      action,
+      source: 'api',
+      user: req.user ? req.user.username : null,
+      hash,
+      details
+    });
+  } catch (error) {
+    console.error('Error writing audit log:', error.message);
+  }
+  watchInstanceFiles(instancePath);
+}
+
+/**
+ * Validate an instance name from params/body and resolve its path
+ * Sends the error response itself and returns null on failure
+ */
+function resolveInstanceName(name, res) {
+  if (!name || !INSTANCE_NAME_PATTERN.test(name)) {
+    res.status(400).json({ 
+      error: 'Ungültiger Instanzname. Erlaubt sind nur: a-z, A-Z, 0-9, _ und -' 
+    });
+    return null;
+  }
+  return path.join(INSTANCES_ROOT, name);
+}
+
 /**
  * GET /api/instances
  * List all available instances
@@ -44,13 +185,7 @@ router.get('/', async (req, res) => {
         for (const instance of resultID) {
             const match = instances.find(i => i.id === instance.id);
             if (match) {
-                match.hasInterfaces = instance.hasInterfaces;
-                match.functionCount = instance.functionCount || 0;
-                match.exceptionCount = instance.exceptionCount || 0;
-                match.typeCount = instance.typeCount || 0;
-                match.enumCount = instance.enumCount || 0;
-                match.processCount = instance.processCount || 0;
-                match.processChainCount = instance.processChainCount || 0;
+                mergeInterfaceInfo(match, instance);
             } else {
                 instances.push(instance);
             }
@@ -70,7 +205,7 @@ router.get('/', async (req, res) => {
  */
 router.post('/', async (req, res) => {
   try {
-    const { name, templateId } = req.body;
+    const { name, templateId, layered } = req.body;
     
     // Validate name
     if (!name || !INSTANCE_NAME_PATTERN.test(name)) {
@@ -94,9 +229,58 @@ router.post('/', async (req, res) => {
         return res.status(404).json({ error: `Template "${templateId}" nicht gefunden` });
       }
       
+      // Layered: the instance only stores its own changes on top of the template
+      if (layered) {
+        if (!fsSync.existsSync(path.join(templatePath, 'interfacedesign'))) {
+          return res.status(400).json({ error: `Template "${templateId}" enthält kein Schnittstellendesign` });
+        }
+
+        const manifest = await readTemplateManifest(templatePath);
+        await fs.mkdir(path.join(instancePath, 'testcases'), { recursive: true });
+        await fs.mkdir(path.join(instancePath, 'interfacedesign'), { recursive: true });
+        await writeInstanceMeta(instancePath, {
+          templateId,
+          baseTemplate: templateId,
+          templateVersion: manifest ? manifest.version : null,
+          createdAt: new Date().toISOString()
+        });
+        await auditInstance(instancePath, req, 'instance.create', {
+          templateId,
+          templateVersion: manifest ? manifest.version : null,
+          layered: true
+        });
+
+        return res.status(201).json({
+          success: true,
+          message: `Instanz "${name}" auf Basis von Template "${templateId}" erstellt`,
+          instanceId: name,
+          baseTemplate: templateId,
+          templateVersion: manifest ? manifest.version : null,
+          hasTestcases: false,
+          testcaseCount: 0,
+          hasInterfaces: true,
+          interfaceCount: 0
+        });
+      }
+
       // Copy template
       await copyDirectory(templatePath, instancePath);
 
+      // Keep the template as merge base for later template upgrades
+      const templateHash = await snapshotTemplate(templatePath, instancePath);
+      const manifest = await readTemplateManifest(templatePath);
+      await writeInstanceMeta(instancePath, {
+        templateId,
+        templateVersion: manifest ? manifest.version : null,
+        templateHash,
+        createdAt: new Date().toISOString()
+      });
+      await auditInstance(instancePath, req, 'instance.create', {
+        templateId,
+        templateVersion: manifest ? manifest.version : null,
+        layered: false
+      }, templateHash);
+
       const hasTestcases = fsSync.existsSync(path.join(templatePath, 'testcases'));
       const testcaseCount = hasTestcases ? (await fs.readdir(path.join(templatePath, 'testcases'))).length : 0;
       const hasInterfaces = fsSync.existsSync(path.join(templatePath, 'interfacedesign'));
@@ -106,6 +290,7 @@ router.post('/', async (req, res) => {
         success: true, 
         message: `Instanz "${name}" aus Template "${templateId}" erstellt`,
         instanceId: name,
+        templateVersion: manifest ? manifest.version : null,
         hasTestcases,
         testcaseCount,
         hasInterfaces,
@@ -116,6 +301,8 @@ router.post('/', async (req, res) => {
       await fs.mkdir(instancePath, { recursive: true });
       await fs.mkdir(path.join(instancePath, 'testcases'), { recursive: true });
       await fs.mkdir(path.join(instancePath, 'interfacedesign'), { recursive: true });
+      await writeInstanceMeta(instancePath, { templateId: null, createdAt: new Date().toISOString() });
+      await auditInstance(instancePath, req, 'instance.create', { templateId: null });
       
       res.status(201).json({ 
         success: true, 
@@ -163,13 +350,8 @@ router.get('/templates', async (req, res) => {
         for (const template of resultID) {
             const match = templates.find(t => t.id === template.id);
             if (match) {
-                match.hasInterfaces = template.hasInterfaces;
-                match.functionCount = template.functionCount || 0;
-                match.exceptionCount = template.exceptionCount || 0;
-                match.typeCount = template.typeCount || 0;
-                match.enumCount = template.enumCount || 0;
-                match.processCount = template.processCount || 0;
-                match.processChainCount = template.processChainCount || 0;
+                mergeInterfaceInfo(match, template);
+                mergeTemplateManifest(match, template);
             } else {
                 templates.push(template);
             }
@@ -183,4 +365,245 @@ router.get('/templates', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/instances/import
+ * Import an instance bundle (multipart field "bundle", optional field "name")
+ * The instance name defaults to the name stored in the bundle manifest
+ */
+router.post('/import', (req, res) => {
+  bundleUpload(req, res, async (uploadError) => {
+    let tempPath = null;
+    try {
+      if (uploadError) {
+        const status = uploadError.status || (uploadError instanceof multer.MulterError ? 400 : 500);
+        return res.status(status).json({ error: uploadError.message });
+      }
+      if (!req.file) {
+        return res.status(400).json({ error: 'Keine Bundle-Datei im Feld "bundle" übergeben' });
+      }
+
+      const { manifest, files } = await readInstanceBundle(req.file.buffer);
+
+      const name = (req.body && req.body.name) || manifest.instance;
+      const instancePath = resolveInstanceName(name, res);
+      if (!instancePath) return;
+
+      if (fsSync.existsSync(instancePath)) {
+        return res.status(409).json({ error: `Instanz "${name}" existiert bereits` });
+      }
+
+      // Extract into a hidden folder first so a failed import leaves no half-written instance
+      tempPath = path.join(INSTANCES_ROOT, `.import-${crypto.randomBytes(6).toString('hex')}`);
+      await extractInstanceBundle(files, tempPath);
+      await writeInstanceMeta(tempPath, {
+        importedAt: new Date().toISOString(),
+        importedFrom: {
+          instance: manifest.instance || null,
+          templateId: manifest.templateId || null,
+          buildDate: manifest.buildDate || null
+        }
+      });
+      await fs.rename(tempPath, instancePath);
+      tempPath = null;
+      await auditInstance(instancePath, req, 'instance.import', {
+        bundleInstance: manifest.instance || null,
+        bundleFileCount: manifest.fileCount || null
+      }, `sha256:${crypto.createHash('sha256').update(req.file.buffer).digest('hex')}`);
+
+      res.status(201).json({
+        success: true,
+        message: `Instanz "${name}" aus Bundle importiert`,
+        instanceId: name,
+        manifest,
+        instance: await getInstanceInfo(name)
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error importing instance:', error);
+      res.status(500).json({ error: error.message });
+    } finally {
+      if (tempPath) {
+        await fs.rm(tempPath, { recursive: true, force: true }).catch(() => {});
+      }
+    }
+  });
+});
+
+/**
+ * GET /api/instances/:name/export
+ * Download an instance as ZIP bundle with manifest
+ */
+router.get('/:name/export', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const instancePath = resolveInstanceName(name, res);
+    if (!instancePath) return;
+
+    if (!fsSync.existsSync(instancePath)) {
+      return res.status(404).json({ error: `Instanz "${name}" nicht gefunden` });
+    }
+
+    let stats = null;
+    try {
+      const instancesInterfacedesign = require('../interfacedesign/instances');
+      stats = await instancesInterfacedesign.getInterfaceStats(path.join(instancePath, 'interfacedesign'));
+    } catch (error) { }
+
+    const meta = await readInstanceMeta(instancePath);
+    const { zip } = await createInstanceBundle(instancePath, {
+      instance: name,
+      templateId: meta.templateId || null,
+      templateHash: meta.templateHash || null,
+      createdAt: meta.createdAt || null,
+      buildDate: new Date().toISOString(),
+      stats
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}-${date}.zip"`);
+
+    zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+      .on('error', (err) => {
+        console.error('Error streaming instance bundle:', err);
+        res.destroy(err);
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error('Error exporting instance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/instances/:name
+ * Delete an instance. Requires a confirmation token:
+ * the first call without ?confirm= returns 428 with a token,
+ * the second call with ?confirm=<token> deletes the instance folder.
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const instancePath = resolveInstanceName(name, res);
+    if (!instancePath) return;
+
+    if (!fsSync.existsSync(instancePath)) {
+      return res.status(404).json({ error: `Instanz "${name}" nicht gefunden` });
+    }
+
+    const confirm = req.query.confirm || (req.body && req.body.confirm);
+    const pending = pendingDeletes.get(name);
+
+    if (!confirm) {
+      const token = crypto.randomBytes(16).toString('hex');
+      pendingDeletes.set(name, { token, expires: Date.now() + DELETE_TOKEN_TTL });
+      return res.status(428).json({
+        error: `Löschen von Instanz "${name}" muss bestätigt werden`,
+        confirmToken: token,
+        expiresIn: DELETE_TOKEN_TTL / 1000,
+        instance: await getInstanceInfo(name)
+      });
+    }
+
+    if (!pending || pending.token !== confirm || pending.expires < Date.now()) {
+      pendingDeletes.delete(name);
+      return res.status(403).json({ error: 'Ungültiges oder abgelaufenes Bestätigungstoken' });
+    }
+
+    const info = await getInstanceInfo(name);
+    releaseInstanceCaches(instancePath);
+    await fs.rm(instancePath, { recursive: true, force: true });
+    pendingDeletes.delete(name);
+
+    res.json({
+      success: true,
+      message: `Instanz "${name}" gelöscht`,
+      instance: info
+    });
+  } catch (error) {
+    console.error('Error deleting instance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/instances/:name
+ * Rename an instance (body: { name: <newName> })
+ */
+router.patch('/:name', async (req, res) => {
+  try {
+    const oldName = req.params.name;
+    const newName = req.body && req.body.name;
+
+    const oldPath = resolveInstanceName(oldName, res);
+    if (!oldPath) return;
+    const newPath = resolveInstanceName(newName, res);
+    if (!newPath) return;
+
+    if (!fsSync.existsSync(oldPath)) {
+      return res.status(404).json({ error: `Instanz "${oldName}" nicht gefunden` });
+    }
+    if (oldName === newName) {
+      return res.json({ success: true, message: 'Name unverändert', instance: await getInstanceInfo(oldName) });
+    }
+    if (fsSync.existsSync(newPath)) {
+      return res.status(409).json({ error: `Instanz "${newName}" existiert bereits` });
+    }
+
+    releaseInstanceCaches(oldPath);
+    await fs.rename(oldPath, newPath);
+    pendingDeletes.delete(oldName);
+    await auditInstance(newPath, req, 'instance.rename', { from: oldName, to: newName });
+
+    res.json({
+      success: true,
+      message: `Instanz "${oldName}" in "${newName}" umbenannt`,
+      instance: await getInstanceInfo(newName)
+    });
+  } catch (error) {
+    console.error('Error renaming instance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/instances/:name/clone
+ * Clone an instance into a new one (body: { name: <newName> })
+ * The clone starts with its own audit log and an empty trash; the template snapshot
+ * (.template-base) is copied, it stays the merge base of the copied files for upgrades
+ */
+router.post('/:name/clone', async (req, res) => {
+  try {
+    const sourceName = req.params.name;
+    const targetName = req.body && req.body.name;
+
+    const sourcePath = resolveInstanceName(sourceName, res);
+    if (!sourcePath) return;
+    const targetPath = resolveInstanceName(targetName, res);
+    if (!targetPath) return;
+
+    if (!fsSync.existsSync(sourcePath)) {
+      return res.status(404).json({ error: `Instanz "${sourceName}" nicht gefunden` });
+    }
+    if (fsSync.existsSync(targetPath)) {
+      return res.status(409).json({ error: `Instanz "${targetName}" existiert bereits` });
+    }
+
+    await copyDirectory(sourcePath, targetPath, [AUDIT_FILE, TRASH_FOLDER]);
+    await auditInstance(targetPath, req, 'instance.clone', { from: sourceName });
+
+    res.status(201).json({
+      success: true,
+      message: `Instanz "${sourceName}" nach "${targetName}" kopiert`,
+      instanceId: targetName,
+      instance: await getInstanceInfo(targetName)
+    });
+  } catch (error) {
+    console.error('Error cloning instance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,199 @@
+/**
+ * Template Upgrade Routes
+ * Merges corrections of the shipped template into instances created from it
+ */
+
+const express = require('express');
+const router = express.Router();
+const fsSync = require('fs');
+const path = require('path');
+const { TEMPLATES_ROOT } = require('../../config');
+const { validateInstance, auditWrites } = require('../../middleware/global');
+const { INSTANCE_META_FILE, readInstanceMeta, writeInstanceMeta, readTemplateManifest } = require('../../utils/global');
+const {
+  planTemplateUpgrade,
+  describePlan,
+  applyTemplateUpgrade,
+  readUpgradeState,
+  resolveUpgradeConflict
+} = require('../../utils/global/templateUpgrade');
+
+const RESOLUTIONS = ['instance', 'template', 'custom'];
+
+/**
+ * Resolve the template an instance was created from
+ * An explicit templateId (query/body) is used for instances without recorded origin
+ * Sends the error response itself and returns null on failure
+ */
+async function resolveTemplate(req, res) {
+  const meta = await readInstanceMeta(req.instancePath);
+
+  // Layered instances read the template directly, there is nothing to merge
+  if (meta.baseTemplate) {
+    res.status(400).json({ error: `Instanz basiert direkt auf Template "${meta.baseTemplate}" und übernimmt dessen Änderungen automatisch` });
+    return null;
+  }
+
+  const templateId = meta.templateId || req.query.templateId || (req.body && req.body.templateId);
+
+  if (!templateId) {
+    res.status(400).json({ error: 'Instanz wurde nicht aus einem Template erstellt (templateId angeben)' });
+    return null;
+  }
+  if (!/^[a-zA-Z0-9_.-]+$/.test(templateId) || templateId.startsWith('.')) {
+    res.status(400).json({ error: 'Ungültige Template-ID' });
+    return null;
+  }
+
+  const templatePath = path.join(TEMPLATES_ROOT, templateId);
+  if (!fsSync.existsSync(templatePath)) {
+    res.status(404).json({ error: `Template "${templateId}" nicht gefunden` });
+    return null;
+  }
+
+  const manifest = await readTemplateManifest(templatePath);
+
+  return { meta, templateId, templatePath, manifest };
+}
+
+/**
+ * GET /api/instances/:instance/upgrade
+ * Preview the template upgrade of an instance
+ */
+router.get('/:instance/upgrade', validateInstance, async (req, res) => {
+  try {
+    const template = await resolveTemplate(req, res);
+    if (!template) return;
+
+    const plan = await planTemplateUpgrade(req.instancePath, template.templatePath);
+    const state = await readUpgradeState(req.instancePath);
+
+    res.json({
+      success: true,
+      instance: req.instanceName,
+      templateId: template.templateId,
+      currentTemplateHash: template.meta.templateHash || null,
+      currentTemplateVersion: template.meta.templateVersion || null,
+      templateVersion: plan.templateVersion,
+      changelog: template.manifest ? template.manifest.changelog : [],
+      upToDate: template.meta.templateHash === plan.templateHash && !state,
+      pendingConflicts: state ? state.conflicts.length : 0,
+      plan: describePlan(plan)
+    });
+  } catch (error) {
+    console.error('Error planning template upgrade:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/instances/:instance/upgrade
+ * Apply all non-conflicting template changes and store the conflicts
+ */
+router.post('/:instance/upgrade', validateInstance, auditWrites, async (req, res) => {
+  try {
+    const template = await resolveTemplate(req, res);
+    if (!template) return;
+
+    const pending = await readUpgradeState(req.instancePath);
+    if (pending) {
+      return res.status(409).json({
+        error: `Es gibt noch ${pending.conflicts.length} ungelöste Konflikte aus dem letzten Upgrade`,
+        pendingConflicts: pending.conflicts.length
+      });
+    }
+
+    const plan = await planTemplateUpgrade(req.instancePath, template.templatePath);
+    const result = await applyTemplateUpgrade(req.instancePath, plan);
+
+    const metaUpdate = { templateId: template.templateId };
+    if (result.conflicts === 0) {
+      metaUpdate.templateHash = plan.templateHash;
+      metaUpdate.templateVersion = plan.templateVersion;
+      metaUpdate.upgradedAt = new Date().toISOString();
+    }
+    await writeInstanceMeta(req.instancePath, metaUpdate);
+
+    res.locals.auditFiles = [
+      ...plan.changes.filter(change => change.action !== 'conflict').map(change => change.file),
+      INSTANCE_META_FILE
+    ];
+
+    res.json({
+      success: true,
+      message: result.conflicts === 0
+        ? `${result.applied} Änderung(en) aus Template "${template.templateId}" übernommen`
+        : `${result.applied} Änderung(en) übernommen, ${result.conflicts} Konflikt(e) zu lösen`,
+      applied: result.applied,
+      conflicts: result.conflicts,
+      plan: describePlan(plan)
+    });
+  } catch (error) {
+    console.error('Error applying template upgrade:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/instances/:instance/upgrade/conflicts
+ * List unresolved conflicts with base, template, instance and merged content
+ */
+router.get('/:instance/upgrade/conflicts', validateInstance, async (req, res) => {
+  try {
+    const state = await readUpgradeState(req.instancePath);
+    res.json({
+      success: true,
+      templateHash: state ? state.templateHash : null,
+      startedAt: state ? state.startedAt : null,
+      conflicts: state ? state.conflicts : []
+    });
+  } catch (error) {
+    console.error('Error listing upgrade conflicts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/instances/:instance/upgrade/conflicts/resolve
+ * Resolve one conflict (body: { file, resolution: instance|template|custom, content })
+ */
+router.post('/:instance/upgrade/conflicts/resolve', validateInstance, auditWrites, async (req, res) => {
+  try {
+    const { file, resolution, content } = req.body || {};
+
+    if (!file || !RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({ error: `file und resolution (${RESOLUTIONS.join(', ')}) sind erforderlich` });
+    }
+    if (resolution === 'custom' && typeof content !== 'string') {
+      return res.status(400).json({ error: 'content ist für resolution "custom" erforderlich' });
+    }
+
+    const result = await resolveUpgradeConflict(req.instancePath, file, resolution, content);
+    if (!result) {
+      return res.status(404).json({ error: `Kein Konflikt für "${file}"` });
+    }
+
+    // Last conflict resolved: the instance is now on the new template version
+    if (result.remaining === 0) {
+      await writeInstanceMeta(req.instancePath, {
+        templateHash: result.templateHash,
+        templateVersion: result.templateVersion,
+        upgradedAt: new Date().toISOString()
+      });
+    }
+
+    res.locals.auditFiles = result.remaining === 0 ? [file, INSTANCE_META_FILE] : [file];
+
+    res.json({
+      success: true,
+      file,
+      resolution,
+      remaining: result.remaining
+    });
+  } catch (error) {
+    console.error('Error resolving upgrade conflict:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
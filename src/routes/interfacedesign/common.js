@@ -5,34 +5,78 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { INSTANCES_ROOT, TEMPLATES_ROOT } = require('../../config');
+const { readInstanceMeta } = require('../../utils/global');
+
+// Base template of instances without own files and without a declared base template
+const DEFAULT_BASE_TEMPLATE = 'bsi-tr-03153-03151';
+
+// Valid template id pattern
+const TEMPLATE_ID_PATTERN = /^[a-zA-Z0-9_.-]+$/;
 
 /**
- * Get the interfacedesign path for an instance
- * Falls back to template if instance doesn't have interfacedesign folder
+ * Check whether a folder exists and contains at least one entry
  */
-async function getInterfaceDesignPath(instance) {
-  // First try instance path
-  const instancePath = path.join(INSTANCES_ROOT, instance, 'interfacedesign');
+async function hasEntries(dirPath) {
   try {
-    await fs.access(instancePath);
-    const files = await fs.readdir(instancePath);
-    if (files.length > 0) {
-      return instancePath;
+    const files = await fs.readdir(dirPath);
+    return files.length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve the interfacedesign layers of an instance
+ *
+ * An instance can declare a base template (instance.json: baseTemplate). It then only
+ * contains the files it overrides or adds; everything else is inherited from the template.
+ * Instances without own files and without a declared base inherit the default template.
+ *
+ * @param {string} instance - Instance name
+ * @returns {Promise<Object|null>} - { path, base, baseTemplate } or null if there is nothing to show
+ *   path         - the instance's own interfacedesign folder (overlay, target of all writes)
+ *   base         - interfacedesign folder of the base template (null = not layered)
+ *   baseTemplate - id of the base template (null = not layered)
+ */
+async function getInterfaceDesignLayers(instance) {
+  const instanceRoot = path.join(INSTANCES_ROOT, instance);
+  const ownPath = path.join(instanceRoot, 'interfacedesign');
+  const meta = await readInstanceMeta(instanceRoot);
+
+  let baseTemplate = null;
+  if (meta.baseTemplate) {
+    baseTemplate = meta.baseTemplate;
+  } else if (!(await hasEntries(ownPath))) {
+    baseTemplate = DEFAULT_BASE_TEMPLATE;
+  }
+
+  let base = null;
+  if (baseTemplate && TEMPLATE_ID_PATTERN.test(baseTemplate) && !baseTemplate.startsWith('.')) {
+    const templatePath = path.join(TEMPLATES_ROOT, baseTemplate, 'interfacedesign');
+    try {
+      await fs.access(templatePath);
+      base = templatePath;
+    } catch {
+      base = null;
     }
-  } catch (err) {
-    // Instance path doesn't exist or is empty
   }
 
-  // Fall back to template path
-  const templatePath = path.join(TEMPLATES_ROOT, 'bsi-tr-03153-03151', 'interfacedesign');
-  try {
-    await fs.access(templatePath);
-    return templatePath;
-  } catch (err) {
-    return null;
+  if (!base) {
+    if (meta.baseTemplate) {
+      console.error(`Base template "${meta.baseTemplate}" of instance "${instance}" not found`);
+    }
+    try {
+      await fs.access(ownPath);
+    } catch {
+      return null;
+    }
+    return { path: ownPath, base: null, baseTemplate: null };
   }
+
+  return { path: ownPath, base, baseTemplate };
 }
 
 module.exports = {
-  getInterfaceDesignPath
+  DEFAULT_BASE_TEMPLATE,
+  getInterfaceDesignLayers
 };
@@ -1,15 +1,42 @@
 /**
  * InterfaceDesign Content Routes
- * Handles API endpoints for functions, enums, types, and exceptions
+ * Read and write API for functions, exceptions, types, enums, processes, process chains
+ * and the process map, plus renames, trash (restore/purge) and detaching inherited items.
+ * Also serves the read-only views: overview, validation, integrity, diagrams, translations
+ * and cache stats. Updating, moving, renaming or deleting an item requires If-Match with its ETag
+ * (process map entries and trash excepted).
  */
 
 const express = require('express');
-const path = require('path');
-const { getInterfaceDesignPath } = require('./common');
-const xmlParser = require('../../utils/interfacedesign/xmlParser');
+const model = require('../../utils/interfacedesign/model');
+const { detachItem } = require('../../utils/interfacedesign/layers');
+const { saveFunction, deleteFunction } = require('../../utils/interfacedesign/functionWriter');
+const { saveException, deleteException } = require('../../utils/interfacedesign/exceptionWriter');
+const { saveType, deleteType } = require('../../utils/interfacedesign/typeWriter');
+const { saveEnum, deleteEnum } = require('../../utils/interfacedesign/enumWriter');
+const { createProcess, updateProcess, moveProcess, deleteProcess } = require('../../utils/interfacedesign/processWriter');
+const { createChain, updateChain, deleteChain } = require('../../utils/interfacedesign/chainWriter');
+const mapWriter = require('../../utils/interfacedesign/mapWriter');
+const { previewRename, applyRename } = require('../../utils/interfacedesign/renameWriter');
+const { itemVersion, versionMatches } = require('../../utils/interfacedesign/itemVersion');
+const { queueWrite } = require('../../utils/interfacedesign/documentStore');
+const { listTrash, purgeTrashEntry, purgeTrash } = require('../../utils/interfacedesign/trash');
+const { restoreTrashEntry } = require('../../utils/interfacedesign/restoreWriter');
+const { validateContent } = require('../../utils/interfacedesign/contentValidator');
+const { analyzeIntegrity } = require('../../utils/interfacedesign/integrityAnalyzer');
+const { checkFunctionExceptions } = require('../../utils/interfacedesign/exceptionCheck');
+const { auditTranslations } = require('../../utils/interfacedesign/translationAudit');
+const { diagramWarnings, validateDiagrams } = require('../../utils/interfacedesign/mermaidValidator');
+const { INSTANCE_META_FILE, readInstanceMeta, writeInstanceMeta } = require('../../utils/global');
+const { ID_PATTERN, validateInstance, validateId, validateProcessPath } = require('../../middleware/interfacedesign');
+const { auditWrites } = require('../../middleware/global');
 
 const router = express.Router();
 
+// Every interfacedesign route requires an existing instance with a resolvable interfacedesign folder;
+// successful write calls are recorded in the instance's audit log
+router.use('/:instance/interfacedesign', validateInstance, auditWrites);
+
 /**
  * Helper to extract text from multilingual object
  * @param {Object|string} obj - Multilingual object or plain string
@@ -22,21 +49,147 @@ function getText(obj, lang = 'de') {
   return obj[lang] || obj._default || obj.de || obj.en || '';
 }
 
+/**
+ * Declare the base template in instance.json after the instance got own files
+ * Instances inheriting the default template implicitly lose it as soon as their folder is not empty
+ * @returns {Promise<boolean>} - True if instance.json was written
+ */
+async function pinBaseTemplate(req) {
+  const meta = await readInstanceMeta(req.instancePath);
+  if (req.layers.baseTemplate && !meta.baseTemplate) {
+    await writeInstanceMeta(req.instancePath, { baseTemplate: req.layers.baseTemplate });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Send the error of a write operation (status and validation errors of the writers)
+ */
+function sendWriteError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, ...(error.errors ? { errors: error.errors } : {}) });
+  }
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * Name of the logged-in user (null while authentication is disabled)
+ */
+function userName(req) {
+  return req.user ? req.user.username : null;
+}
+
+// ============================================
+// Item Versions (ETag / If-Match)
+// ============================================
+
+// Detail items with versions; processes and process chains are located by their own rules
+const VERSIONED_ITEMS = {
+  function: { label: 'Function', category: 'functions' },
+  type: { label: 'Type', category: 'types' },
+  enum: { label: 'Enum', category: 'enums' },
+  exception: { label: 'Exception', category: 'exceptions' },
+  process: { label: 'Process' },
+  processchain: { label: 'Process chain' }
+};
+
+/**
+ * Locate the item of a detail route and load its details (as returned by GET)
+ * @param {Object} layers - { path, base }
+ * @param {string} kind - Key of VERSIONED_ITEMS
+ * @param {Object} params - Route parameters (id, for processes also actor and type)
+ * @returns {Promise<Object|null>} - { item, data } or null if the item doesn't exist
+ */
+async function loadVersionedItem(layers, kind, params) {
+  if (kind === 'process') {
+    const { actor, type, id } = params;
+    const data = await model.getProcessDetail(layers, actor, type, id);
+    return data ? { item: { category: 'processes', id, actor, diagramType: type }, data } : null;
+  }
+  if (kind === 'processchain') {
+    const chains = await model.loadProcessChains(layers);
+    const chainInfo = chains.find(c => c.id === params.id || c.chainId === params.id);
+    const data = chainInfo ? await getChainData(layers, chainInfo.id) : null;
+    return data ? { item: { category: 'processchains', id: chainInfo.id, folder: chainInfo.folder }, data } : null;
+  }
+
+  const { category } = VERSIONED_ITEMS[kind];
+  const data = await model.getDetail(layers, category, params.id);
+  return data ? { item: { category, id: params.id }, data } : null;
+}
+
+/**
+ * Send the current version of an item as ETag header (nothing if the item doesn't exist)
+ */
+async function setVersionHeader(res, layers, item) {
+  const version = await itemVersion(layers, item);
+  if (version) res.set('ETag', version);
+}
+
+/**
+ * Resolves once the response is sent or the connection is closed
+ */
+function responseDone(res) {
+  return new Promise(resolve => {
+    res.once('finish', resolve);
+    res.once('close', resolve);
+  });
+}
+
+/**
+ * Middleware for writes to an existing item: the request must carry the item's version in If-Match
+ * Responds 428 without If-Match and 409 with the current version (etag, current) if the item
+ * was changed since the client read it. Missing items pass, the route decides (404 or create).
+ * The check and the route run in the instance's write queue, which is held until the response
+ * is sent: no other write can change the item between the check and the route's write.
+ * @param {string|Function} kind - Key of VERSIONED_ITEMS, or req => { kind, params } for routes that
+ *   name the item in the body (null: not a valid item, the route responds with 400)
+ */
+function requireVersion(kind) {
+  return (req, res, next) => queueWrite(req.layers, async () => {
+    const done = responseDone(res);
+    try {
+      const target = typeof kind === 'function' ? kind(req) : { kind, params: req.params };
+      const current = target && await loadVersionedItem(req.layers, target.kind, target.params);
+      if (current) {
+        const ifMatch = req.get('If-Match');
+        if (!ifMatch) {
+          return res.status(428).json({ error: 'If-Match header with the ETag of the item is required' });
+        }
+
+        const version = await itemVersion(req.layers, current.item);
+        if (!versionMatches(ifMatch, version)) {
+          res.set('ETag', version);
+          return res.status(409).json({
+            error: `${VERSIONED_ITEMS[target.kind].label} was changed in the meantime`,
+            etag: version,
+            current: current.data
+          });
+        }
+      }
+      next();
+    } catch (error) {
+      return sendWriteError(res, error, 'checking version');
+    }
+    await done;
+  });
+}
+
 /**
  * GET /:instance/interfacedesign/overview
  * Get overview of all categories with counts
  */
 router.get('/:instance/interfacedesign/overview', async (req, res) => {
   try {
-    const basePath = await getInterfaceDesignPath(req.params.instance);
-    if (!basePath) {
-      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
-    }
+    const layers = req.layers;
 
-    const overview = await xmlParser.getOverview(basePath);
+    const overview = await model.getOverview(layers);
     res.json({
       success: true,
-      basePath,
+      basePath: layers.path,
+      baseTemplate: layers.baseTemplate,
       overview
     });
   } catch (error) {
@@ -51,12 +204,10 @@ router.get('/:instance/interfacedesign/overview', async (req, res) => {
  */
 router.get('/:instance/interfacedesign/functions', async (req, res) => {
   try {
-    const basePath = await getInterfaceDesignPath(req.params.instance);
-    if (!basePath) {
-      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
-    }
+    const layers = req.layers;
 
-    const functions = await xmlParser.loadCategory(basePath, 'functions');
+    // Copy before sorting, the cached list is shared
+    const functions = [...await model.loadCategory(layers, 'functions')];
     
     // Sort by category, then by name
     functions.sort((a, b) => {
@@ -94,12 +245,9 @@ router.get('/:instance/interfacedesign/functions', async (req, res) => {
  */
 router.get('/:instance/interfacedesign/enums', async (req, res) => {
   try {
-    const basePath = await getInterfaceDesignPath(req.params.instance);
-    if (!basePath) {
-      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
-    }
+    const layers = req.layers;
 
-    const enums = await xmlParser.loadCategory(basePath, 'enums');
+    const enums = [...await model.loadCategory(layers, 'enums')];
     
     // Sort by name
     enums.sort((a, b) => a.name.localeCompare(b.name));
@@ -132,12 +280,9 @@ router.get('/:instance/interfacedesign/enums', async (req, res) => {
  */
 router.get('/:instance/interfacedesign/types', async (req, res) => {
   try {
-    const basePath = await getInterfaceDesignPath(req.params.instance);
-    if (!basePath) {
-      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
-    }
+    const layers = req.layers;
 
-    const types = await xmlParser.loadCategory(basePath, 'types');
+    const types = [...await model.loadCategory(layers, 'types')];
     
     // Sort by category, then by name
     types.sort((a, b) => {
@@ -175,12 +320,9 @@ router.get('/:instance/interfacedesign/types', async (req, res) => {
  */
 router.get('/:instance/interfacedesign/exceptions', async (req, res) => {
   try {
-    const basePath = await getInterfaceDesignPath(req.params.instance);
-    if (!basePath) {
-      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
-    }
+    const layers = req.layers;
 
-    const exceptions = await xmlParser.loadCategory(basePath, 'exceptions');
+    const exceptions = [...await model.loadCategory(layers, 'exceptions')];
     
     // Sort by category (using default text), then by name
     exceptions.sort((a, b) => {
@@ -229,20 +371,17 @@ router.get('/:instance/interfacedesign/exceptions', async (req, res) => {
  * GET /:instance/interfacedesign/type/:id
  * Get a single type by ID with full details
  */
-router.get('/:instance/interfacedesign/type/:id', async (req, res) => {
+router.get('/:instance/interfacedesign/type/:id', validateId, async (req, res) => {
   try {
-    const basePath = await getInterfaceDesignPath(req.params.instance);
-    if (!basePath) {
-      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
-    }
+    const layers = req.layers;
 
-    const filePath = path.join(basePath, 'types', `${req.params.id}.xml`);
-    const typeData = await xmlParser.parseTypeDetail(filePath);
+    const typeData = await model.getDetail(layers, 'types', req.params.id);
     
     if (!typeData) {
       return res.status(404).json({ error: 'Type not found' });
     }
 
+    await setVersionHeader(res, layers, { category: 'types', id: req.params.id });
     res.json({
       success: true,
       type: typeData
@@ -253,24 +392,92 @@ router.get('/:instance/interfacedesign/type/:id', async (req, res) => {
   }
 });
 
+/**
+ * Write a type and respond with its parsed details
+ * @param {boolean} create - POST (new type) or PUT (update)
+ */
+async function writeType(req, res, create) {
+  const layers = req.layers;
+  const files = await saveType(layers, req.params.id, req.body, { create });
+  res.locals.auditFiles = files.map(file => `interfacedesign/${file}`);
+
+  if (await pinBaseTemplate(req)) {
+    res.locals.auditFiles.push(INSTANCE_META_FILE);
+  }
+
+  const typeData = await model.getDetail(layers, 'types', req.params.id);
+  await setVersionHeader(res, layers, { category: 'types', id: req.params.id });
+  res.status(create ? 201 : 200).json({
+    success: true,
+    type: typeData,
+    files
+  });
+}
+
+/**
+ * POST /:instance/interfacedesign/type/:id
+ * Create a type
+ * Body: type data in the shape of GET /type/:id (name is required)
+ */
+router.post('/:instance/interfacedesign/type/:id', validateId, async (req, res) => {
+  try {
+    await writeType(req, res, true);
+  } catch (error) {
+    sendWriteError(res, error, 'creating type');
+  }
+});
+
+/**
+ * PUT /:instance/interfacedesign/type/:id
+ * Update a type; inherited types are written into the instance
+ * Body: type data in the shape of GET /type/:id (missing fields stay unchanged)
+ * Responds 400 with errors [{ path, message }] if the data or the result violates types.xsd
+ */
+router.put('/:instance/interfacedesign/type/:id', validateId, requireVersion('type'), async (req, res) => {
+  try {
+    await writeType(req, res, false);
+  } catch (error) {
+    sendWriteError(res, error, 'updating type');
+  }
+});
+
+/**
+ * DELETE /:instance/interfacedesign/type/:id
+ * Delete a type from the instance (overridden types fall back to the base template)
+ */
+router.delete('/:instance/interfacedesign/type/:id', validateId, requireVersion('type'), async (req, res) => {
+  try {
+    const layers = req.layers;
+    const files = await deleteType(layers, req.params.id, userName(req));
+    res.locals.auditFiles = files.map(file => `interfacedesign/${file}`);
+
+    const typeData = await model.getDetail(layers, 'types', req.params.id);
+    res.json({
+      success: true,
+      id: req.params.id,
+      layer: typeData ? typeData.layer : null,
+      files
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'deleting type');
+  }
+});
+
 /**
  * GET /:instance/interfacedesign/enum/:id
  * Get a single enum by ID with full details
  */
-router.get('/:instance/interfacedesign/enum/:id', async (req, res) => {
+router.get('/:instance/interfacedesign/enum/:id', validateId, async (req, res) => {
   try {
-    const basePath = await getInterfaceDesignPath(req.params.instance);
-    if (!basePath) {
-      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
-    }
+    const layers = req.layers;
 
-    const filePath = path.join(basePath, 'enums', `${req.params.id}.xml`);
-    const enumData = await xmlParser.parseEnumDetail(filePath);
+    const enumData = await model.getDetail(layers, 'enums', req.params.id);
     
     if (!enumData) {
       return res.status(404).json({ error: 'Enum not found' });
     }
 
+    await setVersionHeader(res, layers, { category: 'enums', id: req.params.id });
     res.json({
       success: true,
       enum: enumData
@@ -281,24 +488,92 @@ router.get('/:instance/interfacedesign/enum/:id', async (req, res) => {
   }
 });
 
+/**
+ * Write an enum and respond with its parsed details
+ * @param {boolean} create - POST (new enum) or PUT (update)
+ */
+async function writeEnum(req, res, create) {
+  const layers = req.layers;
+  const files = await saveEnum(layers, req.params.id, req.body, { create });
+  res.locals.auditFiles = files.map(file => `interfacedesign/${file}`);
+
+  if (await pinBaseTemplate(req)) {
+    res.locals.auditFiles.push(INSTANCE_META_FILE);
+  }
+
+  const enumData = await model.getDetail(layers, 'enums', req.params.id);
+  await setVersionHeader(res, layers, { category: 'enums', id: req.params.id });
+  res.status(create ? 201 : 200).json({
+    success: true,
+    enum: enumData,
+    files
+  });
+}
+
+/**
+ * POST /:instance/interfacedesign/enum/:id
+ * Create an enum
+ * Body: enum data in the shape of GET /enum/:id (name and at least one value are required)
+ */
+router.post('/:instance/interfacedesign/enum/:id', validateId, async (req, res) => {
+  try {
+    await writeEnum(req, res, true);
+  } catch (error) {
+    sendWriteError(res, error, 'creating enum');
+  }
+});
+
+/**
+ * PUT /:instance/interfacedesign/enum/:id
+ * Update an enum; inherited enums are written into the instance
+ * Body: enum data in the shape of GET /enum/:id (missing fields stay unchanged)
+ * Responds 400 with errors [{ path, message }] if the data or the result violates enums.xsd
+ */
+router.put('/:instance/interfacedesign/enum/:id', validateId, requireVersion('enum'), async (req, res) => {
+  try {
+    await writeEnum(req, res, false);
+  } catch (error) {
+    sendWriteError(res, error, 'updating enum');
+  }
+});
+
+/**
+ * DELETE /:instance/interfacedesign/enum/:id
+ * Delete an enum from the instance (overridden enums fall back to the base template)
+ */
+router.delete('/:instance/interfacedesign/enum/:id', validateId, requireVersion('enum'), async (req, res) => {
+  try {
+    const layers = req.layers;
+    const files = await deleteEnum(layers, req.params.id, userName(req));
+    res.locals.auditFiles = files.map(file => `interfacedesign/${file}`);
+
+    const enumData = await model.getDetail(layers, 'enums', req.params.id);
+    res.json({
+      success: true,
+      id: req.params.id,
+      layer: enumData ? enumData.layer : null,
+      files
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'deleting enum');
+  }
+});
+
 /**
  * GET /:instance/interfacedesign/exception/:id
  * Get a single exception by ID with full details
  */
-router.get('/:instance/interfacedesign/exception/:id', async (req, res) => {
+router.get('/:instance/interfacedesign/exception/:id', validateId, async (req, res) => {
   try {
-    const basePath = await getInterfaceDesignPath(req.params.instance);
-    if (!basePath) {
-      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
-    }
+    const layers = req.layers;
 
-    const filePath = path.join(basePath, 'exceptions', `${req.params.id}.xml`);
-    const exception = await xmlParser.parseExceptionDetail(filePath);
+    const exception = await model.getDetail(layers, 'exceptions', req.params.id);
     
     if (!exception) {
       return res.status(404).json({ error: 'Exception not found' });
     }
 
+    await setVersionHeader(res, layers, { category: 'exceptions', id: req.params.id });
     res.json({
       success: true,
       exception
@@ -312,24 +587,23 @@ router.get('/:instance/interfacedesign/exception/:id', async (req, res) => {
 /**
  * GET /:instance/interfacedesign/function/:id
  * Get a single function by ID with full details
+ * exceptionWarnings compares its exceptions list, step errorCases and pseudocode THROWs
  */
-router.get('/:instance/interfacedesign/function/:id', async (req, res) => {
+router.get('/:instance/interfacedesign/function/:id', validateId, async (req, res) => {
   try {
-    const basePath = await getInterfaceDesignPath(req.params.instance);
-    if (!basePath) {
-      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
-    }
+    const layers = req.layers;
 
-    const filePath = path.join(basePath, 'functions', `${req.params.id}.xml`);
-    const funcData = await xmlParser.parseFunctionDetail(filePath);
+    const funcData = await model.getDetail(layers, 'functions', req.params.id);
     
     if (!funcData) {
       return res.status(404).json({ error: 'Function not found' });
     }
 
+    await setVersionHeader(res, layers, { category: 'functions', id: req.params.id });
     res.json({
       success: true,
-      function: funcData
+      function: funcData,
+      exceptionWarnings: checkFunctionExceptions(funcData)
     });
   } catch (error) {
     console.error('Error getting function:', error);
@@ -337,18 +611,159 @@ router.get('/:instance/interfacedesign/function/:id', async (req, res) => {
   }
 });
 
+/**
+ * Write a function and respond with its parsed details
+ * @param {boolean} create - POST (new function) or PUT (update)
+ */
+async function writeFunction(req, res, create) {
+  const layers = req.layers;
+  const files = await saveFunction(layers, req.params.id, req.body, { create });
+  res.locals.auditFiles = files.map(file => `interfacedesign/${file}`);
+
+  if (await pinBaseTemplate(req)) {
+    res.locals.auditFiles.push(INSTANCE_META_FILE);
+  }
+
+  const funcData = await model.getDetail(layers, 'functions', req.params.id);
+  await setVersionHeader(res, layers, { category: 'functions', id: req.params.id });
+  res.status(create ? 201 : 200).json({
+    success: true,
+    function: funcData,
+    exceptionWarnings: checkFunctionExceptions(funcData),
+    files
+  });
+}
+
+/**
+ * POST /:instance/interfacedesign/function/:id
+ * Create a function
+ * Body: function data in the shape of GET /function/:id (name is required)
+ */
+router.post('/:instance/interfacedesign/function/:id', validateId, async (req, res) => {
+  try {
+    await writeFunction(req, res, true);
+  } catch (error) {
+    sendWriteError(res, error, 'creating function');
+  }
+});
+
+/**
+ * PUT /:instance/interfacedesign/function/:id
+ * Update a function; inherited functions are written into the instance
+ * Body: function data in the shape of GET /function/:id (missing fields stay unchanged)
+ * Responds 400 with errors [{ path, message }] if the data or the result violates functions.xsd
+ */
+router.put('/:instance/interfacedesign/function/:id', validateId, requireVersion('function'), async (req, res) => {
+  try {
+    await writeFunction(req, res, false);
+  } catch (error) {
+    sendWriteError(res, error, 'updating function');
+  }
+});
+
+/**
+ * DELETE /:instance/interfacedesign/function/:id
+ * Delete a function from the instance (overridden functions fall back to the base template)
+ */
+router.delete('/:instance/interfacedesign/function/:id', validateId, requireVersion('function'), async (req, res) => {
+  try {
+    const layers = req.layers;
+    const files = await deleteFunction(layers, req.params.id, userName(req));
+    res.locals.auditFiles = files.map(file => `interfacedesign/${file}`);
+
+    const funcData = await model.getDetail(layers, 'functions', req.params.id);
+    res.json({
+      success: true,
+      id: req.params.id,
+      layer: funcData ? funcData.layer : null,
+      files
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'deleting function');
+  }
+});
+
+/**
+ * Write an exception and respond with its parsed details
+ * @param {boolean} create - POST (new exception) or PUT (update)
+ */
+async function writeException(req, res, create) {
+  const layers = req.layers;
+  const files = await saveException(layers, req.params.id, req.body, { create });
+  res.locals.auditFiles = files.map(file => `interfacedesign/${file}`);
+
+  if (await pinBaseTemplate(req)) {
+    res.locals.auditFiles.push(INSTANCE_META_FILE);
+  }
+
+  const exception = await model.getDetail(layers, 'exceptions', req.params.id);
+  await setVersionHeader(res, layers, { category: 'exceptions', id: req.params.id });
+  res.status(create ? 201 : 200).json({
+    success: true,
+    exception,
+    files
+  });
+}
+
+/**
+ * POST /:instance/interfacedesign/exception/:id
+ * Create an exception; the functions in thrownBy get it in their exceptions block
+ * Body: exception data in the shape of GET /exception/:id (name is required)
+ */
+router.post('/:instance/interfacedesign/exception/:id', validateId, async (req, res) => {
+  try {
+    await writeException(req, res, true);
+  } catch (error) {
+    sendWriteError(res, error, 'creating exception');
+  }
+});
+
+/**
+ * PUT /:instance/interfacedesign/exception/:id
+ * Update an exception; inherited exceptions are written into the instance
+ * Functions added to or removed from thrownBy are updated in the same write
+ * Body: exception data in the shape of GET /exception/:id (missing fields stay unchanged)
+ * Responds 400 with errors [{ path, message }] if the data or the result violates exceptions.xsd
+ */
+router.put('/:instance/interfacedesign/exception/:id', validateId, requireVersion('exception'), async (req, res) => {
+  try {
+    await writeException(req, res, false);
+  } catch (error) {
+    sendWriteError(res, error, 'updating exception');
+  }
+});
+
+/**
+ * DELETE /:instance/interfacedesign/exception/:id
+ * Delete an exception from the instance (overridden exceptions fall back to the base template)
+ */
+router.delete('/:instance/interfacedesign/exception/:id', validateId, requireVersion('exception'), async (req, res) => {
+  try {
+    const layers = req.layers;
+    const files = await deleteException(layers, req.params.id, userName(req));
+    res.locals.auditFiles = files.map(file => `interfacedesign/${file}`);
+
+    const exception = await model.getDetail(layers, 'exceptions', req.params.id);
+    res.json({
+      success: true,
+      id: req.params.id,
+      layer: exception ? exception.layer : null,
+      files
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'deleting exception');
+  }
+});
+
 /**
  * GET /:instance/interfacedesign/processes
  * Get all processes
  */
 router.get('/:instance/interfacedesign/processes', async (req, res) => {
   try {
-    const basePath = await getInterfaceDesignPath(req.params.instance);
-    if (!basePath) {
-      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
-    }
+    const layers = req.layers;
 
-    const processes = await xmlParser.loadProcesses(basePath);
+    const processes = [...await model.loadProcesses(layers)];
     
     // Sort by actor, then by id
     processes.sort((a, b) => {
@@ -394,25 +809,24 @@ router.get('/:instance/interfacedesign/processes', async (req, res) => {
 /**
  * GET /:instance/interfacedesign/process/:actor/:type/:id
  * Get a single process by actor, type and ID with full details
+ * diagramWarnings checks its mermaid diagrams (syntax, participants, de/en structure, function calls)
  */
-router.get('/:instance/interfacedesign/process/:actor/:type/:id', async (req, res) => {
+router.get('/:instance/interfacedesign/process/:actor/:type/:id', validateProcessPath, validateId, async (req, res) => {
   try {
-    const basePath = await getInterfaceDesignPath(req.params.instance);
-    if (!basePath) {
-      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
-    }
+    const layers = req.layers;
 
     const { actor, type, id } = req.params;
-    const filePath = path.join(basePath, 'processes', actor, type, `${id}.xml`);
-    const processData = await xmlParser.parseProcessDetail(filePath, actor, type);
+    const processData = await model.getProcessDetail(layers, actor, type, id);
     
     if (!processData) {
       return res.status(404).json({ error: 'Process not found' });
     }
 
+    await setVersionHeader(res, layers, { category: 'processes', id, actor, diagramType: type });
     res.json({
       success: true,
-      process: processData
+      process: processData,
+      diagramWarnings: await diagramWarnings(layers, processData)
     });
   } catch (error) {
     console.error('Error getting process:', error);
@@ -420,6 +834,118 @@ router.get('/:instance/interfacedesign/process/:actor/:type/:id', async (req, re
   }
 });
 
+/**
+ * Record the written files of a process, process chain or process map operation in the audit log
+ */
+async function auditProcessFiles(req, res, files) {
+  res.locals.auditFiles = files.map(file => `interfacedesign/${file}`);
+  if (await pinBaseTemplate(req)) {
+    res.locals.auditFiles.push(INSTANCE_META_FILE);
+  }
+}
+
+/**
+ * POST /:instance/interfacedesign/processes/:actor/:type
+ * Create a process with the next free process number (unique across all actors)
+ * Body: process data in the shape of GET /process/:actor/:type/:id (name is required),
+ * diagrams in mermaidContent { de, en }, optional slug for the file name (default: from the name)
+ * The actor folder is created if it does not exist yet
+ */
+router.post('/:instance/interfacedesign/processes/:actor/:type', async (req, res) => {
+  try {
+    const layers = req.layers;
+    const { actor, type } = req.params;
+    const { id, files } = await createProcess(layers, actor, type, req.body);
+    await auditProcessFiles(req, res, files);
+
+    const processData = await model.getProcessDetail(layers, actor, type, id);
+    await setVersionHeader(res, layers, { category: 'processes', id, actor, diagramType: type });
+    res.status(201).json({
+      success: true,
+      process: processData,
+      diagramWarnings: await diagramWarnings(layers, processData),
+      files
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'creating process');
+  }
+});
+
+/**
+ * PUT /:instance/interfacedesign/process/:actor/:type/:id
+ * Update a process and/or its diagrams; inherited processes are written into the instance
+ * Body: process data in the shape of GET /process/:actor/:type/:id (missing fields stay unchanged)
+ * Responds 400 with errors [{ path, message }] if the data or the result violates process.xsd
+ */
+router.put('/:instance/interfacedesign/process/:actor/:type/:id', validateProcessPath, validateId, requireVersion('process'), async (req, res) => {
+  try {
+    const layers = req.layers;
+    const { actor, type, id } = req.params;
+    const files = await updateProcess(layers, { actor, type, id }, req.body);
+    await auditProcessFiles(req, res, files);
+
+    const processData = await model.getProcessDetail(layers, actor, type, id);
+    await setVersionHeader(res, layers, { category: 'processes', id, actor, diagramType: type });
+    res.json({
+      success: true,
+      process: processData,
+      diagramWarnings: await diagramWarnings(layers, processData),
+      files
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'updating process');
+  }
+});
+
+/**
+ * POST /:instance/interfacedesign/process/:actor/:type/:id/move
+ * Move a process with its diagrams to another actor and/or diagram type
+ * Body: { actor, diagramType } (at least one of them); the process number stays the same
+ */
+router.post('/:instance/interfacedesign/process/:actor/:type/:id/move', validateProcessPath, validateId, requireVersion('process'), async (req, res) => {
+  try {
+    const layers = req.layers;
+    const { actor, type, id } = req.params;
+    const target = req.body || {};
+    const files = await moveProcess(layers, { actor, type, id }, target);
+    res.locals.auditFiles = files.map(file => `interfacedesign/${file}`);
+
+    const processData = await model.getProcessDetail(layers, target.actor || actor, target.diagramType || type, id);
+    await setVersionHeader(res, layers, { category: 'processes', id, actor: target.actor || actor, diagramType: target.diagramType || type });
+    res.json({
+      success: true,
+      process: processData,
+      diagramWarnings: await diagramWarnings(layers, processData),
+      files
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'moving process');
+  }
+});
+
+/**
+ * DELETE /:instance/interfacedesign/process/:actor/:type/:id
+ * Delete a process and its diagrams from the instance (overridden processes fall back to the base template)
+ */
+router.delete('/:instance/interfacedesign/process/:actor/:type/:id', validateProcessPath, validateId, requireVersion('process'), async (req, res) => {
+  try {
+    const layers = req.layers;
+    const { actor, type, id } = req.params;
+    const files = await deleteProcess(layers, { actor, type, id }, userName(req));
+    res.locals.auditFiles = files.map(file => `interfacedesign/${file}`);
+
+    const processData = await model.getProcessDetail(layers, actor, type, id);
+    res.json({
+      success: true,
+      id,
+      layer: processData ? processData.layer : null,
+      files
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'deleting process');
+  }
+});
+
 // ============================================
 // Process Chains Routes
 // ============================================
@@ -430,12 +956,9 @@ router.get('/:instance/interfacedesign/process/:actor/:type/:id', async (req, re
  */
 router.get('/:instance/interfacedesign/processchains', async (req, res) => {
   try {
-    const basePath = await getInterfaceDesignPath(req.params.instance);
-    if (!basePath) {
-      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
-    }
+    const layers = req.layers;
 
-    const chains = await xmlParser.loadProcessChains(basePath);
+    const chains = [...await model.loadProcessChains(layers)];
     
     // Sort by chainId
     chains.sort((a, b) => a.chainId.localeCompare(b.chainId));
@@ -455,18 +978,16 @@ router.get('/:instance/interfacedesign/processchains', async (req, res) => {
  * GET /:instance/interfacedesign/processchain/:id
  * Get a single process chain by ID with full details
  * Searches all process chain folders to find the chain
+ * diagramWarnings checks its mermaid diagrams like for processes
  */
-router.get('/:instance/interfacedesign/processchain/:id', async (req, res) => {
+router.get('/:instance/interfacedesign/processchain/:id', validateId, async (req, res) => {
   try {
-    const basePath = await getInterfaceDesignPath(req.params.instance);
-    if (!basePath) {
-      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
-    }
+    const layers = req.layers;
 
     const { id } = req.params;
     
     // First, load all process chains to find the one with matching ID
-    const allChains = await xmlParser.loadProcessChains(basePath);
+    const allChains = await model.loadProcessChains(layers);
     const chainInfo = allChains.find(c => c.id === id || c.chainId === id);
     
     if (!chainInfo) {
@@ -474,18 +995,20 @@ router.get('/:instance/interfacedesign/processchain/:id', async (req, res) => {
     }
 
     // Now load the full details using the found file path
-    const chainData = await xmlParser.parseProcessChainDetail(chainInfo.filePath);
+    const chainDetail = await model.getProcessChainDetail(layers, chainInfo);
     
-    if (!chainData) {
+    if (!chainDetail) {
       return res.status(404).json({ error: 'Process chain not found' });
     }
 
-    // Add folder info
-    chainData.folder = chainInfo.folder;
+    // Add folder info (on a copy, the cached detail is shared)
+    const chainData = { ...chainDetail, folder: chainInfo.folder };
 
+    await setVersionHeader(res, layers, { category: 'processchains', id: chainInfo.id, folder: chainInfo.folder });
     res.json({
       success: true,
-      processChain: chainData
+      processChain: chainData,
+      diagramWarnings: await diagramWarnings(layers, chainData)
     });
   } catch (error) {
     console.error('Error getting process chain:', error);
@@ -493,18 +1016,99 @@ router.get('/:instance/interfacedesign/processchain/:id', async (req, res) => {
   }
 });
 
+/**
+ * Load a process chain with its details for write responses
+ */
+async function getChainData(layers, id) {
+  const chains = await model.loadProcessChains(layers);
+  const chainInfo = chains.find(c => c.id === id);
+  if (!chainInfo) return null;
+  const chainDetail = await model.getProcessChainDetail(layers, chainInfo);
+  return chainDetail ? { ...chainDetail, folder: chainInfo.folder } : null;
+}
+
+/**
+ * POST /:instance/interfacedesign/processchains
+ * Create a process chain with the next free chain id (PKnn)
+ * Body: chain data in the shape of GET /processchain/:id (name is required),
+ * diagrams in mermaidContent { de, en }, optional slug for the file name (default: from the name)
+ * Responds 400 with errors [{ path, message }] if a step refers to a missing function or process
+ */
+router.post('/:instance/interfacedesign/processchains', async (req, res) => {
+  try {
+    const layers = req.layers;
+    const { id, files } = await createChain(layers, req.body);
+    await auditProcessFiles(req, res, files);
+
+    const chainData = await getChainData(layers, id);
+    await setVersionHeader(res, layers, { category: 'processchains', id, folder: chainData.folder });
+    res.status(201).json({
+      success: true,
+      processChain: chainData,
+      diagramWarnings: await diagramWarnings(layers, chainData),
+      files
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'creating process chain');
+  }
+});
+
+/**
+ * PUT /:instance/interfacedesign/processchain/:id
+ * Update a process chain and/or its diagrams; inherited chains are written into the instance
+ * Body: chain data in the shape of GET /processchain/:id (missing fields stay unchanged)
+ * Responds 400 with errors [{ path, message }] for dangling step links or processchain.xsd violations
+ */
+router.put('/:instance/interfacedesign/processchain/:id', validateId, requireVersion('processchain'), async (req, res) => {
+  try {
+    const layers = req.layers;
+    const { id, files } = await updateChain(layers, req.params.id, req.body);
+    await auditProcessFiles(req, res, files);
+
+    const chainData = await getChainData(layers, id);
+    await setVersionHeader(res, layers, { category: 'processchains', id, folder: chainData.folder });
+    res.json({
+      success: true,
+      processChain: chainData,
+      diagramWarnings: await diagramWarnings(layers, chainData),
+      files
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'updating process chain');
+  }
+});
+
+/**
+ * DELETE /:instance/interfacedesign/processchain/:id
+ * Delete a process chain and its diagrams from the instance (overridden chains fall back to the base template)
+ */
+router.delete('/:instance/interfacedesign/processchain/:id', validateId, requireVersion('processchain'), async (req, res) => {
+  try {
+    const layers = req.layers;
+    const { id, files } = await deleteChain(layers, req.params.id, userName(req));
+    res.locals.auditFiles = files.map(file => `interfacedesign/${file}`);
+
+    const chain = await getChainData(layers, id);
+    res.json({
+      success: true,
+      id,
+      layer: chain ? chain.layer : null,
+      files
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'deleting process chain');
+  }
+});
+
 /**
  * GET /:instance/interfacedesign/processmap
  * Get the process map/landscape
  */
 router.get('/:instance/interfacedesign/processmap', async (req, res) => {
   try {
-    const basePath = await getInterfaceDesignPath(req.params.instance);
-    if (!basePath) {
-      return res.status(404).json({ error: 'InterfaceDesign folder not found' });
-    }
+    const layers = req.layers;
 
-    const processMap = await xmlParser.parseProcessMap(basePath);
+    const processMap = await model.parseProcessMap(layers);
     
     if (!processMap) {
       return res.status(404).json({ error: 'Process map not found' });
@@ -520,4 +1124,410 @@ router.get('/:instance/interfacedesign/processmap', async (req, res) => {
   }
 });
 
+/**
+ * Respond to a process map write with the updated map and the written files
+ */
+async function sendProcessMap(req, res, files, status = 200) {
+  await auditProcessFiles(req, res, files);
+  res.status(status).json({
+    success: true,
+    processMap: await model.parseProcessMap(req.layers),
+    files
+  });
+}
+
+/**
+ * POST /:instance/interfacedesign/processmap/categories
+ * Add a main category to the process map
+ * Body: { id, name, description, icon, color, position } (id and name are required)
+ */
+router.post('/:instance/interfacedesign/processmap/categories', async (req, res) => {
+  try {
+    const files = await mapWriter.createCategory(req.layers, req.body);
+    await sendProcessMap(req, res, files, 201);
+  } catch (error) {
+    sendWriteError(res, error, 'creating process map category');
+  }
+});
+
+/**
+ * PUT /:instance/interfacedesign/processmap/categories/:categoryId
+ * Change a main category and/or move it to another position
+ * Body: { name, description, icon, color, position } (missing fields stay unchanged)
+ */
+router.put('/:instance/interfacedesign/processmap/categories/:categoryId', async (req, res) => {
+  try {
+    const files = await mapWriter.updateCategory(req.layers, req.params.categoryId, req.body);
+    await sendProcessMap(req, res, files);
+  } catch (error) {
+    sendWriteError(res, error, 'updating process map category');
+  }
+});
+
+/**
+ * POST /:instance/interfacedesign/processmap/categories/:categoryId/subcategories
+ * Add a subcategory to a main category
+ * Body: { id, name, description, position } (id and name are required, the id is unique across the map)
+ */
+router.post('/:instance/interfacedesign/processmap/categories/:categoryId/subcategories', async (req, res) => {
+  try {
+    const files = await mapWriter.createSubCategory(req.layers, req.params.categoryId, req.body);
+    await sendProcessMap(req, res, files, 201);
+  } catch (error) {
+    sendWriteError(res, error, 'creating process map subcategory');
+  }
+});
+
+/**
+ * PUT /:instance/interfacedesign/processmap/subcategories/:subCategoryId
+ * Change a subcategory and/or move it to another position or main category
+ * Body: { name, description, category, position } (missing fields stay unchanged)
+ */
+router.put('/:instance/interfacedesign/processmap/subcategories/:subCategoryId', async (req, res) => {
+  try {
+    const files = await mapWriter.updateSubCategory(req.layers, req.params.subCategoryId, req.body);
+    await sendProcessMap(req, res, files);
+  } catch (error) {
+    sendWriteError(res, error, 'updating process map subcategory');
+  }
+});
+
+/**
+ * POST /:instance/interfacedesign/processmap/subcategories/:subCategoryId/:kind
+ *   kind: processes | processchains
+ * Assign a process (by process number) or process chain (by chain id) to a subcategory
+ * Body: { id, name, mandatory, critical, frequency, deadline, position } (the name defaults to the process/chain name)
+ */
+router.post('/:instance/interfacedesign/processmap/subcategories/:subCategoryId/:kind', async (req, res) => {
+  try {
+    const { subCategoryId, kind } = req.params;
+    const files = await mapWriter.addMapEntry(req.layers, subCategoryId, kind, req.body);
+    await sendProcessMap(req, res, files, 201);
+  } catch (error) {
+    sendWriteError(res, error, 'adding process map entry');
+  }
+});
+
+/**
+ * PUT /:instance/interfacedesign/processmap/subcategories/:subCategoryId/:kind/:entryId
+ * Change an assigned process or process chain, move it to another position or subcategory
+ * Body: { name, mandatory, critical, frequency, deadline, subCategory, position } (missing fields stay unchanged)
+ */
+router.put('/:instance/interfacedesign/processmap/subcategories/:subCategoryId/:kind/:entryId', async (req, res) => {
+  try {
+    const { subCategoryId, kind, entryId } = req.params;
+    const files = await mapWriter.updateMapEntry(req.layers, subCategoryId, kind, entryId, req.body);
+    await sendProcessMap(req, res, files);
+  } catch (error) {
+    sendWriteError(res, error, 'updating process map entry');
+  }
+});
+
+/**
+ * DELETE /:instance/interfacedesign/processmap/subcategories/:subCategoryId/:kind/:entryId
+ * Remove a process or process chain from a subcategory (the process or chain itself stays)
+ */
+router.delete('/:instance/interfacedesign/processmap/subcategories/:subCategoryId/:kind/:entryId', async (req, res) => {
+  try {
+    const { subCategoryId, kind, entryId } = req.params;
+    const files = await mapWriter.removeMapEntry(req.layers, subCategoryId, kind, entryId);
+    await sendProcessMap(req, res, files);
+  } catch (error) {
+    sendWriteError(res, error, 'removing process map entry');
+  }
+});
+
+// ============================================
+// Rename Routes
+// ============================================
+
+/**
+ * GET /:instance/interfacedesign/rename/preview?category=&id=&newName=
+ * List every file and line a rename would change, without writing anything
+ *   category: functions | exceptions | types | enums
+ */
+router.get('/:instance/interfacedesign/rename/preview', async (req, res) => {
+  try {
+    const { category, id, newName } = req.query;
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      return res.status(400).json({ error: `Invalid id '${id || ''}'` });
+    }
+
+    res.json(await previewRename(req.layers, category, id, newName));
+  } catch (error) {
+    sendWriteError(res, error, 'previewing rename');
+  }
+});
+
+// Item kind of each category that can be renamed (VERSIONED_ITEMS)
+const RENAME_KINDS = { functions: 'function', exceptions: 'exception', types: 'type', enums: 'enum' };
+
+/**
+ * Item a rename request names in its body (null if category or id are invalid)
+ */
+function renameTarget(req) {
+  const { category, id } = req.body || {};
+  const kind = RENAME_KINDS[category];
+  return kind && typeof id === 'string' && ID_PATTERN.test(id) ? { kind, params: { id } } : null;
+}
+
+/**
+ * POST /:instance/interfacedesign/rename
+ * Rename a function, exception, type or enum and all references to it in one transaction
+ * Body: { category, id, newName } with the parameters of the preview
+ * Requires If-Match with the ETag of the renamed item; responds with the ETag under the new name
+ */
+router.post('/:instance/interfacedesign/rename', requireVersion(renameTarget), async (req, res) => {
+  try {
+    const { category, id, newName } = req.body || {};
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      return res.status(400).json({ error: `Invalid id '${id || ''}'` });
+    }
+
+    const files = await applyRename(req.layers, category, id, newName);
+    await auditProcessFiles(req, res, files);
+    await setVersionHeader(res, req.layers, { category, id: newName });
+
+    res.json({
+      success: true,
+      category,
+      id: newName,
+      previousId: id,
+      files
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'renaming item');
+  }
+});
+
+// ============================================
+// Validation Routes
+// ============================================
+
+/**
+ * GET /:instance/interfacedesign/validate
+ * Check every XML file against the _schema files (own files and schemas win over the base template's)
+ * Each violation is reported with file, layer, line, column, element path and message;
+ * files that are not well-formed XML are reported instead of being skipped. Elements the
+ * schema doesn't declare are listed in the same shape under warnings (valid stays true)
+ */
+router.get('/:instance/interfacedesign/validate', async (req, res) => {
+  try {
+    const result = await validateContent(req.layers);
+    res.json({
+      success: true,
+      valid: result.errors.length === 0,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error validating content:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /:instance/interfacedesign/integrity
+ * Cross-reference report: dangling references, unused items and duplicate ids over both layers
+ */
+router.get('/:instance/interfacedesign/integrity', async (req, res) => {
+  try {
+    const report = await analyzeIntegrity(req.layers);
+    res.json({
+      success: true,
+      consistent: report.dangling.length === 0 && report.duplicates.length === 0,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error analyzing integrity:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /:instance/interfacedesign/diagrams
+ * Check the mermaid diagrams of all processes and process chains: syntax of the supported subset,
+ * sequence participants against <actors>, same structure of de and en, called functions exist
+ */
+router.get('/:instance/interfacedesign/diagrams', async (req, res) => {
+  try {
+    const result = await validateDiagrams(req.layers);
+    res.json({
+      success: true,
+      valid: !result.findings.some(finding => finding.kind === 'syntax'),
+      ...result
+    });
+  } catch (error) {
+    console.error('Error validating diagrams:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /:instance/interfacedesign/translations
+ * Translation audit: missing xml:lang variants, identical de/en texts and diagrams with one language,
+ * per file and element path, with completion percentages per category
+ */
+router.get('/:instance/interfacedesign/translations', async (req, res) => {
+  try {
+    const audit = await auditTranslations(req.layers);
+    res.json({
+      success: true,
+      ...audit
+    });
+  } catch (error) {
+    console.error('Error auditing translations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Trash Routes
+// ============================================
+
+/**
+ * GET /:instance/interfacedesign/trash
+ * List the deleted items kept in the instance's trash, newest first
+ * Deletes of functions, exceptions, types, enums, processes and process chains move their files there
+ */
+router.get('/:instance/interfacedesign/trash', async (req, res) => {
+  try {
+    const items = await listTrash(req.layers);
+    res.json({
+      success: true,
+      items,
+      count: items.length
+    });
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /:instance/interfacedesign/trash/:entryId/restore
+ * Restore a deleted item into the instance and remove it from the trash
+ * Responds 409 if another item has taken its id, process number or chain id in the meantime
+ */
+router.post('/:instance/interfacedesign/trash/:entryId/restore', async (req, res) => {
+  try {
+    const { entry, files } = await restoreTrashEntry(req.layers, req.params.entryId);
+    await auditProcessFiles(req, res, files);
+
+    res.json({
+      success: true,
+      entry,
+      files
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'restoring trash entry');
+  }
+});
+
+/**
+ * DELETE /:instance/interfacedesign/trash/:entryId
+ * Remove a deleted item from the trash for good
+ */
+router.delete('/:instance/interfacedesign/trash/:entryId', async (req, res) => {
+  try {
+    await queueWrite(req.layers, () => purgeTrashEntry(req.layers, req.params.entryId));
+    res.json({
+      success: true,
+      id: req.params.entryId
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'purging trash entry');
+  }
+});
+
+/**
+ * DELETE /:instance/interfacedesign/trash
+ * Empty the trash
+ */
+router.delete('/:instance/interfacedesign/trash', async (req, res) => {
+  try {
+    const count = await queueWrite(req.layers, () => purgeTrash(req.layers));
+    res.json({
+      success: true,
+      count
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'emptying trash');
+  }
+});
+
+// ============================================
+// Layer Routes
+// ============================================
+
+/**
+ * POST /:instance/interfacedesign/detach
+ * Copy an inherited item of the base template into the instance
+ * Body: { category, id, actor?, diagramType? }
+ *   category: functions | enums | types | exceptions | processes | processchains | processmap
+ */
+router.post('/:instance/interfacedesign/detach', async (req, res) => {
+  try {
+    const layers = req.layers;
+    const { category, id, actor, diagramType } = req.body || {};
+    const item = { category, id, actor, diagramType };
+
+    if (category !== 'processmap') {
+      const params = category === 'processes' ? [id, actor, diagramType] : [id];
+      if (!params.every(value => typeof value === 'string' && ID_PATTERN.test(value))) {
+        return res.status(400).json({ error: 'Invalid id, actor or diagramType' });
+      }
+    }
+
+    // Process chains are addressed by id or chainId; their folder comes from the base template
+    if (category === 'processchains') {
+      const chains = await model.loadProcessChains(layers);
+      const chainInfo = chains.find(c => c.id === id || c.chainId === id);
+      if (!chainInfo) {
+        return res.status(404).json({ error: 'Process chain not found' });
+      }
+      item.id = chainInfo.id;
+      item.folder = chainInfo.folder;
+    }
+
+    const copied = await queueWrite(layers, () => detachItem(layers, item));
+    res.locals.auditFiles = copied.map(file => `interfacedesign/${file}`);
+
+    // Instances inheriting the default template implicitly must declare it now that they have own files
+    if (await pinBaseTemplate(req)) {
+      res.locals.auditFiles.push(INSTANCE_META_FILE);
+    }
+
+    res.status(201).json({
+      success: true,
+      category,
+      id: item.id,
+      layer: 'overridden',
+      files: copied
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'detaching item');
+  }
+});
+
+// ============================================
+// Model Cache Routes
+// ============================================
+
+/**
+ * GET /:instance/interfacedesign/cache/stats
+ * Get model cache statistics (hit rates, parse times, invalidations)
+ */
+router.get('/:instance/interfacedesign/cache/stats', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      stats: model.getCacheStats(req.layers.path),
+      baseStats: req.layers.base ? model.getCacheStats(req.layers.base) : null
+    });
+  } catch (error) {
+    console.error('Error getting cache stats:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
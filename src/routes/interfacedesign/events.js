@@ -0,0 +1,75 @@
+/**
+ * InterfaceDesign Live Reload Routes
+ * Streams file changes of an instance as Server-Sent Events
+ */
+
+const express = require('express');
+const { validateInstance } = require('../../middleware/interfacedesign');
+const { modelEvents, watchFolder } = require('../../utils/interfacedesign/modelCache');
+const { describeChange } = require('../../utils/interfacedesign/changeInfo');
+
+const router = express.Router();
+
+// Editors write a file in several steps; changes of the same file are sent once per window
+const DEBOUNCE_MS = 150;
+
+// Comment line to keep proxies from closing idle connections
+const HEARTBEAT_MS = 25000;
+
+/**
+ * GET /:instance/interfacedesign/events
+ * Server-Sent Events stream with one 'change' event per changed file:
+ *   { file, category, id, fileKind, lang?, actor?, diagramType?, folder?, eventType }
+ */
+router.get('/:instance/interfacedesign/events', validateInstance, (req, res) => {
+  // Changes of the base template show through in layered instances
+  const watched = new Set([req.layers.path, req.layers.base].filter(Boolean).map(watchFolder));
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // file -> { timer, eventType }
+  const pending = new Map();
+
+  const onChange = (change) => {
+    if (!watched.has(change.basePath)) return;
+
+    const key = `${change.basePath}:${change.file || ''}`;
+    const entry = pending.get(key);
+    if (entry) {
+      clearTimeout(entry.timer);
+    }
+
+    // A 'rename' within the window wins over 'change' (file added or removed)
+    const eventType = entry && entry.eventType === 'rename' ? 'rename' : change.eventType;
+    const timer = setTimeout(() => {
+      pending.delete(key);
+      send('change', { ...describeChange(change.file), eventType });
+    }, DEBOUNCE_MS);
+    pending.set(key, { timer, eventType });
+  };
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  modelEvents.on('change', onChange);
+  send('ready', { instance: req.instanceName });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    for (const entry of pending.values()) {
+      clearTimeout(entry.timer);
+    }
+    modelEvents.off('change', onChange);
+  });
+});
+
+module.exports = router;
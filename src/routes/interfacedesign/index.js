@@ -5,8 +5,10 @@
 
 const instances = require('./instances');
 const content = require('./content');
+const events = require('./events');
 
 module.exports = {
   instances,
-  content
+  content,
+  events
 };
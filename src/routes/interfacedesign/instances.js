@@ -7,26 +7,31 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const { INSTANCES_ROOT, TEMPLATES_ROOT } = require('../../config');
+const { readInstanceMeta, readTemplateManifest } = require('../../utils/global');
+const { getInterfaceDesignLayers } = require('./common');
 
 // Valid instance name pattern (URL-safe)
 const INSTANCE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
 
 /**
- * Count XML files in a directory
+ * List XML file names in a directory
  */
-async function countXmlFiles(dirPath) {
+async function listXmlFiles(dirPath) {
   try {
     const files = await fs.readdir(dirPath);
-    return files.filter(f => f.endsWith('.xml')).length;
+    return files.filter(f => f.endsWith('.xml'));
   } catch {
-    return 0;
+    return [];
   }
 }
 
 /**
  * Get InterfaceDesign statistics for a path
+ * With a base path (layered instance), files of both folders are counted once
+ * @param {string} interfacedesignPath - Interfacedesign folder
+ * @param {string|null} basePath - Interfacedesign folder of the base template
  */
-async function getInterfaceStats(interfacedesignPath) {
+async function getInterfaceStats(interfacedesignPath, basePath = null) {
   const stats = {
     hasInterfaces: false,
     functionCount: 0,
@@ -37,32 +42,31 @@ async function getInterfaceStats(interfacedesignPath) {
     processChainCount: 0
   };
 
-  try {
-    await fs.access(interfacedesignPath);
-
-    // Count functions
-    const functionsPath = path.join(interfacedesignPath, 'functions');
-    stats.functionCount = await countXmlFiles(functionsPath);
+  const roots = [interfacedesignPath, basePath].filter(Boolean);
 
-    // Count exceptions
-    const exceptionsPath = path.join(interfacedesignPath, 'exceptions');
-    stats.exceptionCount = await countXmlFiles(exceptionsPath);
-
-    // Count types
-    const typesPath = path.join(interfacedesignPath, 'types');
-    stats.typeCount = await countXmlFiles(typesPath);
+  // Union of relative file names over all roots
+  const countUnion = async (collect) => {
+    const names = new Set();
+    for (const root of roots) {
+      for (const name of await collect(root)) {
+        names.add(name);
+      }
+    }
+    return names.size;
+  };
 
-    // Count enums
-    const enumsPath = path.join(interfacedesignPath, 'enums');
-    stats.enumCount = await countXmlFiles(enumsPath);
+  try {
+    // Count functions, exceptions, types and enums
+    stats.functionCount = await countUnion(root => listXmlFiles(path.join(root, 'functions')));
+    stats.exceptionCount = await countUnion(root => listXmlFiles(path.join(root, 'exceptions')));
+    stats.typeCount = await countUnion(root => listXmlFiles(path.join(root, 'types')));
+    stats.enumCount = await countUnion(root => listXmlFiles(path.join(root, 'enums')));
 
     // Count processes (recursively in processes folder)
-    const processesPath = path.join(interfacedesignPath, 'processes');
-    stats.processCount = await countProcessFiles(processesPath);
+    stats.processCount = await countUnion(root => listProcessFiles(path.join(root, 'processes')));
 
     // Count process chains
-    const processChainsPath = path.join(interfacedesignPath, 'processes');
-    stats.processChainCount = await countProcessChainFiles(processChainsPath);
+    stats.processChainCount = await countUnion(root => listProcessChainFiles(path.join(root, 'processes')));
 
     // Only set hasInterfaces to true if at least one XML file exists
     const totalCount = stats.functionCount + stats.exceptionCount + stats.typeCount + stats.enumCount + stats.processCount + stats.processChainCount;
@@ -76,10 +80,11 @@ async function getInterfaceStats(interfacedesignPath) {
 }
 
 /**
- * Count process XML files recursively (processes/{actor}/{type}/*.xml)
+ * List process XML files recursively (processes/{actor}/{type}/*.xml)
+ * @returns {Promise<Array<string>>} - Relative paths 'actor/type/file.xml'
  */
-async function countProcessFiles(processesPath) {
-  let count = 0;
+async function listProcessFiles(processesPath) {
+  const files = [];
   try {
     const actors = await fs.readdir(processesPath, { withFileTypes: true });
     for (const actor of actors) {
@@ -89,7 +94,9 @@ async function countProcessFiles(processesPath) {
         for (const type of types) {
           if (type.isDirectory()) {
             const typePath = path.join(actorPath, type.name);
-            count += await countXmlFiles(typePath);
+            for (const file of await listXmlFiles(typePath)) {
+              files.push(`${actor.name}/${type.name}/${file}`);
+            }
           }
         }
       }
@@ -97,29 +104,74 @@ async function countProcessFiles(processesPath) {
   } catch {
     // Directory doesn't exist or is not accessible
   }
-  return count;
+  return files;
 }
 
 /**
- * Count process chain XML files (processes/{chainfolder}/*.xml)
+ * List process chain XML files (processes/{chainfolder}/*.xml)
+ * @returns {Promise<Array<string>>} - Relative paths 'chainfolder/file.xml'
  */
-async function countProcessChainFiles(processesPath) {
-  let count = 0;
+async function listProcessChainFiles(processesPath) {
+  const files = [];
   try {
     const chainFolders = await fs.readdir(processesPath, { withFileTypes: true });
     for (const folder of chainFolders) {
       if (folder.isDirectory()) {
         const folderPath = path.join(processesPath, folder.name);
-        count += await countXmlFiles(folderPath);
+        for (const file of await listXmlFiles(folderPath)) {
+          files.push(`${folder.name}/${file}`);
+        }
       }
     }
   } catch {
     // Directory doesn't exist or is not accessible
   }
-  return count;
+  return files;
 }
 
 
+/**
+ * Build the instance info object for a single instance folder
+ * @param {string} name - Instance folder name
+ * @returns {Promise<Object>} - Instance info with interface design stats
+ */
+async function getInstance(name) {
+  const instancePath = path.join(INSTANCES_ROOT, name);
+  const interfacedesignPath = path.join(instancePath, 'interfacedesign');
+
+  // Get interface design stats (including inherited files of a base template)
+  const layers = await getInterfaceDesignLayers(name);
+  const interfaceStats = layers
+    ? await getInterfaceStats(layers.path, layers.base)
+    : await getInterfaceStats(interfacedesignPath);
+  const meta = await readInstanceMeta(instancePath);
+
+  return {
+    id: name,
+    name: name,
+    path: interfacedesignPath,
+    templateId: meta.templateId || null,
+    templateVersion: meta.templateVersion || null,
+    baseTemplate: meta.baseTemplate || null,
+    hasProfiles: false,
+    profilesCompleted: false,
+    activeProfileCount: 0,
+    activeProfiles: [],
+    profileFilterMode: 'OR',
+    moduleCount: 0,
+    testcaseCount: 0,
+    filteredTestcaseCount: 0,
+    hasInterfaces: interfaceStats.hasInterfaces,
+    functionCount: interfaceStats.functionCount,
+    exceptionCount: interfaceStats.exceptionCount,
+    typeCount: interfaceStats.typeCount,
+    enumCount: interfaceStats.enumCount,
+    processCount: interfaceStats.processCount,
+    processChainCount: interfaceStats.processChainCount,
+    hasTestCases: false
+  };
+}
+
 async function getInstances() {
   try {
     const entries = await fs.readdir(INSTANCES_ROOT, { withFileTypes: true });
@@ -127,35 +179,7 @@ async function getInstances() {
     
     for (const entry of entries) {
       if (entry.isDirectory() && INSTANCE_NAME_PATTERN.test(entry.name)) {
-        const instancePath = path.join(INSTANCES_ROOT, entry.name);
-        const interfacedesignPath = path.join(instancePath, 'interfacedesign');
-        
-        // Get interface design stats
-        const interfaceStats = await getInterfaceStats(interfacedesignPath);
-        
-        let info = {
-          id: entry.name,
-          name: entry.name,
-          path: interfacedesignPath,
-          hasProfiles: false,
-          profilesCompleted: false,
-          activeProfileCount: 0,
-          activeProfiles: [],
-          profileFilterMode: 'OR',
-          moduleCount: 0,
-          testcaseCount: 0,
-          filteredTestcaseCount: 0,
-          hasInterfaces: interfaceStats.hasInterfaces,
-          functionCount: interfaceStats.functionCount,
-          exceptionCount: interfaceStats.exceptionCount,
-          typeCount: interfaceStats.typeCount,
-          enumCount: interfaceStats.enumCount,
-          processCount: interfaceStats.processCount,
-          processChainCount: interfaceStats.processChainCount,
-          hasTestCases: false
-        };
-        
-        instances.push(info);
+        instances.push(await getInstance(entry.name));
       }
     }
     return instances;
@@ -178,11 +202,17 @@ async function getTemplates() {
         
         // Get interface design stats
         const interfaceStats = await getInterfaceStats(interfacedesignPath);
+
+        // Optional template.json / template.xml
+        const manifest = await readTemplateManifest(templatePath);
         
         let template = {
           id: entry.name,
-          name: entry.name,
-          description: '',
+          name: (manifest && manifest.title.de) || entry.name,
+          description: manifest ? manifest.description.de : '',
+          version: manifest ? manifest.version : null,
+          standards: manifest ? manifest.standards : [],
+          manifest,
           moduleCount: 0,
           testcaseCount: 0,
           hasInterfaces: interfaceStats.hasInterfaces,
@@ -207,6 +237,8 @@ async function getTemplates() {
 
 
 module.exports = {
+  getInterfaceStats,
+  getInstance,
   getInstances,
   getTemplates
 }
\ No newline at end of file
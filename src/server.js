@@ -7,7 +7,7 @@
 const fs = require('fs');
 const path = require('path');
 const app = require('./app');
-const { PORT, INSTANCES_ROOT, TEMPLATES_ROOT, SRC_DIR, PUBLIC_DIR, BASE_DIR, VIRTUELL_DIR } = require('./config');
+const { PORT, INSTANCES_ROOT, TEMPLATES_ROOT, SRC_DIR, PUBLIC_DIR, BASE_DIR, VIRTUELL_DIR, AUTH_CONFIG } = require('./config');
 
 // ============================================
 // Helper: Directory Tree
@@ -53,6 +53,13 @@ if (!fs.existsSync(INSTANCES_ROOT)) {
   fs.mkdirSync(INSTANCES_ROOT, { recursive: true });
 }
 
+// Record file modifications of all instances in their audit logs
+try {
+  require('./utils/interfacedesign/auditWatcher').watchAllInstances();
+} catch (err) {
+  console.error('Error starting audit watcher:', err);
+}
+
 // Count instances and templates
 let instanceCount = 0;
 let templateCount = 0;
@@ -80,6 +87,11 @@ Instanzen Verzeichnis: ${INSTANCES_ROOT}
 Templates Verzeichnis: ${TEMPLATES_ROOT}
   → ${instanceCount} Instanz(en) gefunden
   → ${templateCount} Template(s) gefunden
+Anmeldung: ${fs.existsSync(AUTH_CONFIG.usersFile)
+  ? `aktiv (${AUTH_CONFIG.usersFile})`
+  : AUTH_CONFIG.openAccess
+    ? 'deaktiviert, voller Zugriff für alle (AUTH_OPEN=1)'
+    : `deaktiviert, nur Lesezugriff (keine Benutzerdatei ${AUTH_CONFIG.usersFile})`}
 
 Verfügbare URLs:
   http://localhost:${PORT}/           - Instanz-Auswahl
@@ -0,0 +1,156 @@
+/**
+ * Audit Log Utilities
+ * Append-only log of instance and content modifications (JSON lines in the instance root)
+ *
+ * Entry format:
+ *   {
+ *     "timestamp": "2026-01-03T10:00:00.000Z",
+ *     "action": "instance.create" | "instance.import" | "instance.clone" | "instance.rename"
+ *             | "api.post" | "api.put" | "api.patch" | "api.delete" | "file.modified" | "file.deleted",
+ *     "source": "api" | "filesystem",
+ *     "user": "admin" | null,
+ *     "file": "interfacedesign/functions/GetDescription.xml" | null,
+ *     "hash": "sha256:..." | null,
+ *     "details": { ... }
+ *   }
+ *
+ * The log is never rewritten: entries are only appended.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Audit log file name inside the instance root
+const AUDIT_FILE = 'audit.jsonl';
+
+// Pending appends per log file, so concurrent writers don't interleave lines
+const appendQueues = new Map();
+
+// Last logged hash per absolute file path (suppresses duplicate entries for the same content)
+const lastHashes = new Map();
+
+/**
+ * Compute the content hash of a file
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<string|null>} - 'sha256:<hex>' or null if the file does not exist
+ */
+async function hashFile(filePath) {
+  try {
+    const content = await fs.readFile(filePath);
+    return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Append entries to the audit log of an instance
+ * @param {string} instancePath - Instance root path
+ * @param {Object|Array<Object>} entries - Entries without timestamp (added here)
+ * @returns {Promise<Array<Object>>} - Written entries
+ */
+function appendAuditEntries(instancePath, entries) {
+  const logPath = path.join(instancePath, AUDIT_FILE);
+  const timestamp = new Date().toISOString();
+  const written = (Array.isArray(entries) ? entries : [entries]).map(entry => ({
+    timestamp,
+    action: entry.action,
+    source: entry.source || 'api',
+    user: entry.user || null,
+    file: entry.file || null,
+    hash: entry.hash || null,
+    details: entry.details || {}
+  }));
+
+  const previous = appendQueues.get(logPath) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(() => fs.appendFile(logPath, written.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf-8'));
+  appendQueues.set(logPath, next);
+
+  return next.then(() => written);
+}
+
+/**
+ * Log the current content of files of an instance
+ * Files whose content was already logged with the same hash are skipped
+ * @param {string} instancePath - Instance root path
+ * @param {Array<string>} files - File paths relative to the instance root
+ * @param {Object} entry - Common fields { action, source, user, details }
+ * @param {Object} options - { force: log even if the hash is unchanged }
+ * @returns {Promise<Array<Object>>} - Written entries
+ */
+async function auditFiles(instancePath, files, entry, options = {}) {
+  const entries = [];
+  for (const file of files) {
+    const filePath = path.join(instancePath, ...file.split('/'));
+    const hash = await hashFile(filePath);
+    if (!options.force && lastHashes.has(filePath) && lastHashes.get(filePath) === hash) continue;
+    lastHashes.set(filePath, hash);
+    entries.push({ ...entry, file, hash });
+  }
+  return entries.length > 0 ? appendAuditEntries(instancePath, entries) : [];
+}
+
+/**
+ * Read and filter the audit log of an instance (newest entries first)
+ * @param {string} instancePath - Instance root path
+ * @param {Object} filter - { user, action, source, file, from, to, limit, offset }
+ *   action - exact action or prefix ending with '.' (e.g. 'file.')
+ *   file   - substring of the file path
+ *   from/to - ISO timestamps (inclusive)
+ * @returns {Promise<Object>} - { total, entries, users, actions }
+ *   users/actions - all values occurring in the log (for filter selections)
+ */
+async function readAuditLog(instancePath, filter = {}) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(instancePath, AUDIT_FILE), 'utf-8');
+  } catch {
+    return { total: 0, entries: [], users: [], actions: [] };
+  }
+
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A partially written last line must not hide the rest of the log
+    }
+  }
+
+  const matches = entries.filter(entry => {
+    if (filter.user && entry.user !== filter.user) return false;
+    if (filter.source && entry.source !== filter.source) return false;
+    if (filter.action) {
+      const matchesAction = filter.action.endsWith('.')
+        ? (entry.action || '').startsWith(filter.action)
+        : entry.action === filter.action;
+      if (!matchesAction) return false;
+    }
+    if (filter.file && !(entry.file || '').includes(filter.file)) return false;
+    if (filter.from && entry.timestamp < filter.from) return false;
+    if (filter.to && entry.timestamp > filter.to) return false;
+    return true;
+  }).reverse();
+
+  const offset = Math.max(0, parseInt(filter.offset, 10) || 0);
+  const limit = Math.max(0, parseInt(filter.limit, 10) || 0);
+
+  return {
+    total: matches.length,
+    entries: limit > 0 ? matches.slice(offset, offset + limit) : matches.slice(offset),
+    users: [...new Set(entries.map(entry => entry.user).filter(Boolean))].sort(),
+    actions: [...new Set(entries.map(entry => entry.action).filter(Boolean))].sort()
+  };
+}
+
+module.exports = {
+  AUDIT_FILE,
+  hashFile,
+  appendAuditEntries,
+  auditFiles,
+  readAuditLog
+};
@@ -0,0 +1,246 @@
+/**
+ * Authentication Utilities
+ * Local user accounts from the users file, password hashing and in-memory sessions
+ *
+ * Users file format (AUTH_CONFIG.usersFile, default users.json next to the instances folder):
+ *   {
+ *     "users": [
+ *       { "username": "admin", "password": "initial", "role": "admin", "displayName": "Administrator" }
+ *     ]
+ *   }
+ *
+ * Plain "password" entries are replaced by a "passwordHash" (scrypt) when the file is loaded.
+ * Without a users file, authentication is disabled and every request runs as an anonymous
+ * viewer (read-only); full anonymous access has to be enabled explicitly (AUTH_CONFIG.openAccess).
+ */
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { AUTH_CONFIG } = require('../../config');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in ascending order of permissions
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+
+// Loaded users file: { mtimeMs, users: Map<username, user> }
+let usersCache = null;
+
+// Active sessions: token -> { username, expiresAt }
+const sessions = new Map();
+
+/**
+ * Hash a password ('scrypt$<salt>$<hash>', hex encoded)
+ * @param {string} password - Plain password
+ * @returns {Promise<string>} - Password hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scrypt(String(password), salt, KEY_LENGTH);
+  return `${HASH_PREFIX}$${salt}$${key.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash created by hashPassword
+ * @param {string} password - Plain password
+ * @param {string} passwordHash - Stored hash
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+async function verifyPassword(password, passwordHash) {
+  const [prefix, salt, hash] = String(passwordHash || '').split('$');
+  if (prefix !== HASH_PREFIX || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const key = await scrypt(String(password), salt, expected.length || KEY_LENGTH);
+  return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+}
+
+/**
+ * Check whether a role includes the permissions of another role
+ * @param {string} role - Role of the user
+ * @param {string} required - Required role
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+  const index = ROLES.indexOf(role);
+  return index >= 0 && index >= ROLES.indexOf(required);
+}
+
+/**
+ * Load the users file (reloaded when it changes on disk)
+ * Plain passwords are hashed and written back
+ * @returns {Promise<Map|null>} - Users by name or null if authentication is disabled
+ */
+async function loadUsers() {
+  let stat;
+  try {
+    stat = await fs.stat(AUTH_CONFIG.usersFile);
+  } catch {
+    usersCache = null;
+    return null;
+  }
+
+  if (usersCache && usersCache.mtimeMs === stat.mtimeMs) {
+    return usersCache.users;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(AUTH_CONFIG.usersFile, 'utf-8'));
+  } catch (error) {
+    // A broken users file must not open up the server: nobody can log in until it is fixed
+    console.error(`Error reading users file ${AUTH_CONFIG.usersFile}:`, error.message);
+    return new Map();
+  }
+
+  const entries = Array.isArray(config.users) ? config.users : [];
+  let hashed = false;
+  for (const entry of entries) {
+    if (entry && entry.password !== undefined) {
+      entry.passwordHash = await hashPassword(entry.password);
+      delete entry.password;
+      hashed = true;
+    }
+  }
+
+  if (hashed) {
+    await fs.writeFile(AUTH_CONFIG.usersFile, JSON.stringify(config, null, 2), 'utf-8');
+    stat = await fs.stat(AUTH_CONFIG.usersFile);
+  }
+
+  const users = new Map();
+  for (const entry of entries) {
+    if (!entry || typeof entry.username !== 'string' || !entry.passwordHash) continue;
+    if (!ROLES.includes(entry.role)) {
+      console.error(`User "${entry.username}" has an unknown role "${entry.role}" and is ignored`);
+      continue;
+    }
+    users.set(entry.username, {
+      username: entry.username,
+      displayName: entry.displayName || entry.username,
+      role: entry.role,
+      passwordHash: entry.passwordHash
+    });
+  }
+
+  usersCache = { mtimeMs: stat.mtimeMs, users };
+  return users;
+}
+
+/**
+ * Check whether authentication is enabled (a users file exists)
+ */
+async function isAuthEnabled() {
+  return (await loadUsers()) !== null;
+}
+
+/**
+ * User of every request while authentication is disabled
+ * Read-only unless open access is enabled explicitly
+ */
+function getAnonymousUser() {
+  return { username: null, displayName: null, role: AUTH_CONFIG.openAccess ? 'admin' : 'viewer' };
+}
+
+/**
+ * Public view of a user (without password hash)
+ */
+function describeUser(user) {
+  return { username: user.username, displayName: user.displayName, role: user.role };
+}
+
+/**
+ * Check username and password
+ * @returns {Promise<Object|null>} - User or null if the credentials are wrong
+ */
+async function authenticateUser(username, password) {
+  const users = await loadUsers();
+  const user = users && users.get(username);
+  if (!user) {
+    // Same amount of work as for an existing user
+    await hashPassword(password || '');
+    return null;
+  }
+  return (await verifyPassword(password || '', user.passwordHash)) ? describeUser(user) : null;
+}
+
+/**
+ * Start a session for a user
+ * @param {string} username - User name
+ * @returns {string} - Session token
+ */
+function createSession(username) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, { username, expiresAt: Date.now() + AUTH_CONFIG.sessionMaxAge });
+  return token;
+}
+
+/**
+ * Resolve the user of a session and extend it
+ * The user is looked up in the users file, so removed users and role changes apply immediately
+ * @param {string} token - Session token
+ * @returns {Promise<Object|null>} - User or null if the session is unknown or expired
+ */
+async function getSessionUser(token) {
+  const now = Date.now();
+  for (const [key, session] of sessions) {
+    if (session.expiresAt <= now) sessions.delete(key);
+  }
+
+  const session = token ? sessions.get(token) : null;
+  if (!session) return null;
+
+  const users = await loadUsers();
+  const user = users && users.get(session.username);
+  if (!user) {
+    sessions.delete(token);
+    return null;
+  }
+
+  session.expiresAt = now + AUTH_CONFIG.sessionMaxAge;
+  return describeUser(user);
+}
+
+/**
+ * End a session
+ */
+function destroySession(token) {
+  if (token) sessions.delete(token);
+}
+
+/**
+ * Read the session token from the Cookie header
+ * @param {Object} req - Express request
+ * @returns {string|null} - Session token
+ */
+function getSessionToken(req) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    if (part.slice(0, index).trim() === AUTH_CONFIG.sessionCookie) {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  hasRole,
+  isAuthEnabled,
+  getAnonymousUser,
+  authenticateUser,
+  createSession,
+  getSessionUser,
+  destroySession,
+  getSessionToken
+};
@@ -0,0 +1,152 @@
+/**
+ * Instance Bundle Utilities
+ * Packs an instance folder into a ZIP bundle and unpacks it again
+ *
+ * Bundle layout:
+ *   manifest.json        - bundle manifest (format, origin, stats, build date)
+ *   instance/...         - the instance folder contents
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const JSZip = require('jszip');
+const { httpError } = require('./httpError');
+
+const BUNDLE_FORMAT = 'tr03151-instance-bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+const CONTENT_PREFIX = 'instance/';
+
+// Top-level folders a bundle must contain at least one of
+const CONTENT_FOLDERS = ['interfacedesign', 'testcases'];
+
+/**
+ * Add a directory recursively to a zip folder
+ * @param {JSZip} zipFolder - Target zip folder
+ * @param {string} dirPath - Source directory
+ * @returns {Promise<number>} - Number of files added
+ */
+async function addDirectoryToZip(zipFolder, dirPath) {
+  let count = 0;
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      count += await addDirectoryToZip(zipFolder.folder(entry.name), entryPath);
+    } else if (entry.isFile()) {
+      zipFolder.file(entry.name, await fs.readFile(entryPath));
+      count++;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Create a bundle for an instance folder
+ * @param {string} instancePath - Instance root path
+ * @param {Object} manifest - Manifest fields (format fields and fileCount are added)
+ * @returns {Promise<{zip: JSZip, manifest: Object}>}
+ */
+async function createInstanceBundle(instancePath, manifest) {
+  const zip = new JSZip();
+  const fileCount = await addDirectoryToZip(zip.folder(CONTENT_PREFIX.slice(0, -1)), instancePath);
+
+  const fullManifest = {
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    ...manifest,
+    fileCount
+  };
+  zip.file(MANIFEST_FILE, JSON.stringify(fullManifest, null, 2));
+
+  return { zip, manifest: fullManifest };
+}
+
+/**
+ * Load a bundle and check its structure
+ * @param {Buffer} buffer - ZIP file content
+ * @returns {Promise<{zip: JSZip, manifest: Object, files: Array}>}
+ * @throws {Error} - With status 400 if the bundle is not a valid instance bundle
+ */
+async function readInstanceBundle(buffer) {
+  const invalid = (message) => httpError(400, message);
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    throw invalid('Datei ist kein gültiges ZIP-Archiv');
+  }
+
+  const manifestEntry = zip.file(MANIFEST_FILE);
+  if (!manifestEntry) {
+    throw invalid(`Bundle enthält keine ${MANIFEST_FILE}`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await manifestEntry.async('string'));
+  } catch {
+    throw invalid(`${MANIFEST_FILE} ist kein gültiges JSON`);
+  }
+
+  if (manifest.format !== BUNDLE_FORMAT) {
+    throw invalid(`Unbekanntes Bundle-Format: ${manifest.format}`);
+  }
+  if (manifest.formatVersion > BUNDLE_FORMAT_VERSION) {
+    throw invalid(`Bundle-Version ${manifest.formatVersion} wird nicht unterstützt`);
+  }
+
+  const files = [];
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir || entry.name === MANIFEST_FILE) continue;
+
+    // Reject anything outside the content folder or escaping it. Backslashes are separators
+    // on Windows, so 'instance/..\\x' would pass the posix checks but escape there
+    const normalized = path.posix.normalize(entry.name);
+    if (entry.name.includes('\\') || !normalized.startsWith(CONTENT_PREFIX) ||
+        normalized.split('/').includes('..') || path.posix.isAbsolute(normalized)) {
+      throw invalid(`Ungültiger Pfad im Bundle: ${entry.name}`);
+    }
+
+    files.push({ entry, relativePath: normalized.slice(CONTENT_PREFIX.length) });
+  }
+
+  const topLevel = new Set(files.map(f => f.relativePath.split('/')[0]));
+  if (!CONTENT_FOLDERS.some(folder => topLevel.has(folder))) {
+    throw invalid(`Bundle enthält keinen der Ordner: ${CONTENT_FOLDERS.join(', ')}`);
+  }
+
+  return { zip, manifest, files };
+}
+
+/**
+ * Extract the files of a checked bundle into a directory
+ * @param {Array} files - Files from readInstanceBundle
+ * @param {string} destPath - Target directory (must not exist)
+ * @throws {Error} - With status 400 if a file would end up outside destPath
+ */
+async function extractInstanceBundle(files, destPath) {
+  const root = path.resolve(destPath);
+  await fs.mkdir(root, { recursive: false });
+
+  for (const { entry, relativePath } of files) {
+    // Second line of defence against zip-slip: never write outside the target directory
+    const targetPath = path.resolve(root, ...relativePath.split('/'));
+    if (!targetPath.startsWith(root + path.sep)) {
+      throw httpError(400, `Ungültiger Pfad im Bundle: ${entry.name}`);
+    }
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.writeFile(targetPath, await entry.async('nodebuffer'));
+  }
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_FORMAT_VERSION,
+  createInstanceBundle,
+  readInstanceBundle,
+  extractInstanceBundle
+};
@@ -10,13 +10,15 @@ const path = require('path');
  * Copy directory recursively
  * @param {string} src - Source path
  * @param {string} dest - Destination path
+ * @param {Array<string>} skip - Optional: names of top-level entries not to copy
  */
-async function copyDirectory(src, dest) {
+async function copyDirectory(src, dest, skip = []) {
   await fs.mkdir(dest, { recursive: true });
   
   const entries = await fs.readdir(src, { withFileTypes: true });
   
   for (const entry of entries) {
+    if (skip.includes(entry.name)) continue;
     const srcPath = path.join(src, entry.name);
     const destPath = path.join(dest, entry.name);
     
@@ -28,6 +30,28 @@ async function copyDirectory(src, dest) {
   }
 }
 
+/**
+ * Write a file atomically (temporary file in the same folder, then rename)
+ * Readers and watchers never see a partially written file; the temporary file is hidden
+ * (leading dot), so the model cache ignores it
+ * @param {string} filePath - Target path
+ * @param {string|Buffer} content - File content
+ */
+async function writeFileAtomic(filePath, content) {
+  const dir = path.dirname(filePath);
+  const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+
+  await fs.mkdir(dir, { recursive: true });
+  try {
+    await fs.writeFile(tempPath, content, 'utf-8');
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
 module.exports = {
-  copyDirectory
+  copyDirectory,
+  writeFileAtomic
 };
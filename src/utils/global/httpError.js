@@ -0,0 +1,22 @@
+/**
+ * HTTP Error Utilities
+ * Errors thrown by utilities that the routes turn into a response with the error's status
+ */
+
+/**
+ * Error with an HTTP status (and optional validation errors) for the routes
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Array<Object>} errors - Optional: [{ path, message }]
+ * @returns {Error} - Error with status (and errors)
+ */
+function httpError(status, message, errors = null) {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+module.exports = {
+  httpError
+};
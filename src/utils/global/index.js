@@ -3,8 +3,48 @@
  */
 
 const fileSystem = require('./fileSystem');
+const instanceMeta = require('./instanceMeta');
+const bundle = require('./bundle');
+const templateManifest = require('./templateManifest');
+const auth = require('./auth');
+const audit = require('./audit');
+const httpErrors = require('./httpError');
 
 module.exports = {
   // File system utilities
-  copyDirectory: fileSystem.copyDirectory
+  copyDirectory: fileSystem.copyDirectory,
+  writeFileAtomic: fileSystem.writeFileAtomic,
+
+  // Errors with an HTTP status for the routes
+  httpError: httpErrors.httpError,
+
+  // Instance metadata
+  INSTANCE_META_FILE: instanceMeta.INSTANCE_META_FILE,
+  readInstanceMeta: instanceMeta.readInstanceMeta,
+  writeInstanceMeta: instanceMeta.writeInstanceMeta,
+
+  // Instance bundles (ZIP export/import)
+  createInstanceBundle: bundle.createInstanceBundle,
+  readInstanceBundle: bundle.readInstanceBundle,
+  extractInstanceBundle: bundle.extractInstanceBundle,
+
+  // Template manifests (template.json / template.xml)
+  readTemplateManifest: templateManifest.readTemplateManifest,
+
+  // Authentication (users file, sessions)
+  ROLES: auth.ROLES,
+  hasRole: auth.hasRole,
+  isAuthEnabled: auth.isAuthEnabled,
+  getAnonymousUser: auth.getAnonymousUser,
+  authenticateUser: auth.authenticateUser,
+  createSession: auth.createSession,
+  getSessionUser: auth.getSessionUser,
+  destroySession: auth.destroySession,
+  getSessionToken: auth.getSessionToken,
+
+  // Audit log (audit.jsonl)
+  AUDIT_FILE: audit.AUDIT_FILE,
+  appendAuditEntries: audit.appendAuditEntries,
+  auditFiles: audit.auditFiles,
+  readAuditLog: audit.readAuditLog
 };
@@ -0,0 +1,43 @@
+/**
+ * Instance Metadata Utilities
+ * Reads and writes the instance.json file in an instance root folder
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Metadata file name inside the instance root
+const INSTANCE_META_FILE = 'instance.json';
+
+/**
+ * Read instance metadata
+ * @param {string} instancePath - Instance root path
+ * @returns {Promise<Object>} - Metadata object (empty if file is missing or invalid)
+ */
+async function readInstanceMeta(instancePath) {
+  try {
+    const content = await fs.readFile(path.join(instancePath, INSTANCE_META_FILE), 'utf-8');
+    return JSON.parse(content);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Write instance metadata (merged with the existing metadata)
+ * @param {string} instancePath - Instance root path
+ * @param {Object} meta - Metadata fields to set
+ * @returns {Promise<Object>} - The written metadata
+ */
+async function writeInstanceMeta(instancePath, meta) {
+  const current = await readInstanceMeta(instancePath);
+  const merged = { ...current, ...meta };
+  await fs.writeFile(path.join(instancePath, INSTANCE_META_FILE), JSON.stringify(merged, null, 2), 'utf-8');
+  return merged;
+}
+
+module.exports = {
+  INSTANCE_META_FILE,
+  readInstanceMeta,
+  writeInstanceMeta
+};
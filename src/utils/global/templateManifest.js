@@ -0,0 +1,130 @@
+/**
+ * Template Manifest Utilities
+ * Reads the optional template.json / template.xml in a template root folder
+ *
+ * JSON format:
+ *   {
+ *     "title": { "de": "...", "en": "..." },
+ *     "description": { "de": "...", "en": "..." },
+ *     "version": "1.0.0",
+ *     "standards": ["BSI TR-03151-1"],
+ *     "changelog": [{ "version": "1.0.0", "date": "2026-01-03", "changes": { "de": "...", "en": "..." } }]
+ *   }
+ *
+ * XML format (same fields, multilingual text as <text xml:lang="de|en">):
+ *   <template>
+ *     <title><text xml:lang="de">...</text></title>
+ *     <version>1.0.0</version>
+ *     <standards><standard>BSI TR-03151-1</standard></standards>
+ *     <changelog><entry version="1.0.0" date="2026-01-03"><text xml:lang="de">...</text></entry></changelog>
+ *   </template>
+ *
+ * Plain strings are accepted wherever multilingual text is expected.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const xml2js = require('xml2js');
+
+const TEMPLATE_MANIFEST_JSON = 'template.json';
+const TEMPLATE_MANIFEST_XML = 'template.xml';
+
+/**
+ * Normalize a multilingual value to { de, en }
+ * Accepts a plain string, a { de, en } object or xml2js <text xml:lang> nodes
+ * A missing language falls back to the other one
+ */
+function normalizeText(value) {
+  let de = '';
+  let en = '';
+
+  if (typeof value === 'string') {
+    de = en = value;
+  } else if (value && typeof value === 'object') {
+    if (value.text !== undefined) {
+      const texts = Array.isArray(value.text) ? value.text : [value.text];
+      for (const text of texts) {
+        if (typeof text === 'string') {
+          de = de || text;
+          en = en || text;
+        } else if (text && text['xml:lang'] === 'de') {
+          de = text._ || '';
+        } else if (text && text['xml:lang'] === 'en') {
+          en = text._ || '';
+        }
+      }
+    } else {
+      de = typeof value.de === 'string' ? value.de : '';
+      en = typeof value.en === 'string' ? value.en : '';
+    }
+  }
+
+  return { de: de || en, en: en || de };
+}
+
+function toArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Bring a raw manifest (parsed from JSON or XML) into the common shape
+ * @param {Object} raw - Raw manifest
+ * @returns {Object} - { title, description, version, date, standards, changelog }
+ */
+function normalizeManifest(raw) {
+  const standards = raw.standards && typeof raw.standards === 'object' && !Array.isArray(raw.standards)
+    ? raw.standards.standard
+    : raw.standards;
+  const changelog = raw.changelog && typeof raw.changelog === 'object' && !Array.isArray(raw.changelog)
+    ? raw.changelog.entry
+    : raw.changelog;
+
+  return {
+    title: normalizeText(raw.title),
+    description: normalizeText(raw.description),
+    version: raw.version ? String(raw.version) : null,
+    date: raw.date ? String(raw.date) : null,
+    standards: toArray(standards).map(String),
+    changelog: toArray(changelog).map(entry => ({
+      version: entry.version ? String(entry.version) : null,
+      date: entry.date ? String(entry.date) : null,
+      changes: normalizeText(entry.changes !== undefined ? entry.changes : entry)
+    }))
+  };
+}
+
+/**
+ * Read the manifest of a template (template.json takes precedence over template.xml)
+ * @param {string} templatePath - Template root path
+ * @returns {Promise<Object|null>} - Normalized manifest or null if none exists or it is invalid
+ */
+async function readTemplateManifest(templatePath) {
+  try {
+    const content = await fs.readFile(path.join(templatePath, TEMPLATE_MANIFEST_JSON), 'utf-8');
+    return normalizeManifest(JSON.parse(content));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error reading ${TEMPLATE_MANIFEST_JSON} in ${templatePath}:`, error.message);
+      return null;
+    }
+  }
+
+  try {
+    const content = await fs.readFile(path.join(templatePath, TEMPLATE_MANIFEST_XML), 'utf-8');
+    const parser = new xml2js.Parser({ explicitArray: false, mergeAttrs: true, trim: true });
+    const result = await parser.parseStringPromise(content);
+    return result && result.template ? normalizeManifest(result.template) : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error reading ${TEMPLATE_MANIFEST_XML} in ${templatePath}:`, error.message);
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  TEMPLATE_MANIFEST_JSON,
+  TEMPLATE_MANIFEST_XML,
+  readTemplateManifest
+};
@@ -0,0 +1,324 @@
+/**
+ * Template Upgrade Utilities
+ * Three-way merge of template corrections into instances that were created from a template
+ *
+ * When an instance is created from a template, the template is snapshotted into
+ * <instance>/.template-base. An upgrade compares per file:
+ *   base     - template as the instance was created from (.template-base)
+ *   template - current template under TEMPLATES_ROOT
+ *   instance - the instance's own file
+ * Non-conflicting changes are applied, conflicts are stored in
+ * <instance>/.template-upgrade.json until they are resolved.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { copyDirectory } = require('./fileSystem');
+const { threeWayMerge } = require('./textMerge');
+const { readTemplateManifest } = require('./templateManifest');
+
+const TEMPLATE_BASE_DIR = '.template-base';
+const UPGRADE_STATE_FILE = '.template-upgrade.json';
+
+// Merge labels used in conflict markers
+const MERGE_LABELS = { ours: 'instance', theirs: 'template' };
+
+/**
+ * List all files below a directory (relative paths with forward slashes)
+ * Hidden entries (starting with '.') are skipped
+ * @param {string} dirPath - Directory path
+ * @returns {Promise<Array<string>>} - Sorted relative file paths
+ */
+async function listFiles(dirPath, prefix = '') {
+  let entries;
+  try {
+    entries = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(dirPath, entry.name), relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Read a file as text, returning null if it doesn't exist
+ */
+async function readTextOrNull(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compute a content fingerprint of a directory (sha256 over paths and contents)
+ * @param {string} dirPath - Directory path
+ * @returns {Promise<string>} - Hex fingerprint (first 16 chars)
+ */
+async function getDirectoryFingerprint(dirPath) {
+  const hash = crypto.createHash('sha256');
+  for (const file of await listFiles(dirPath)) {
+    hash.update(file);
+    hash.update('\0');
+    hash.update(await fs.readFile(path.join(dirPath, ...file.split('/'))));
+    hash.update('\0');
+  }
+  return hash.digest('hex').slice(0, 16);
+}
+
+/**
+ * Snapshot a template into an instance as merge base
+ * @param {string} templatePath - Template root path
+ * @param {string} instancePath - Instance root path
+ * @returns {Promise<string>} - Template fingerprint
+ */
+async function snapshotTemplate(templatePath, instancePath) {
+  const basePath = path.join(instancePath, TEMPLATE_BASE_DIR);
+  await fs.rm(basePath, { recursive: true, force: true });
+  await copyDirectory(templatePath, basePath);
+  return getDirectoryFingerprint(templatePath);
+}
+
+/**
+ * Read pending upgrade state of an instance
+ * @param {string} instancePath - Instance root path
+ * @returns {Promise<Object|null>} - Upgrade state or null
+ */
+async function readUpgradeState(instancePath) {
+  const content = await readTextOrNull(path.join(instancePath, UPGRADE_STATE_FILE));
+  if (!content) return null;
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+async function writeUpgradeState(instancePath, state) {
+  const statePath = path.join(instancePath, UPGRADE_STATE_FILE);
+  if (!state || state.conflicts.length === 0) {
+    await fs.rm(statePath, { force: true });
+  } else {
+    await fs.writeFile(statePath, JSON.stringify(state, null, 2), 'utf-8');
+  }
+}
+
+/**
+ * Decide what to do with a single file
+ * @returns {Object} - { action, content? }
+ *   action: unchanged | keep | add | update | delete | merge | conflict
+ */
+function planFile(base, template, instance, baseAvailable) {
+  // Nothing changed in the template (only decidable with a base)
+  if (baseAvailable && base === template) {
+    return { action: instance === template ? 'unchanged' : 'keep' };
+  }
+  if (instance === template) {
+    return { action: 'unchanged' };
+  }
+
+  // Template removed the file
+  if (template === null) {
+    if (baseAvailable && instance === base) return { action: 'delete' };
+    if (instance === null) return { action: 'unchanged' };
+    return { action: 'conflict', reason: 'deleted-in-template' };
+  }
+
+  // Instance doesn't have the file
+  if (instance === null) {
+    if (!baseAvailable || base === null) return { action: 'add', content: template };
+    return { action: 'conflict', reason: 'deleted-in-instance' };
+  }
+
+  // Instance untouched since creation: take the template version
+  if (baseAvailable && instance === base) {
+    return { action: 'update', content: template };
+  }
+
+  // Both changed: try a line merge
+  if (baseAvailable) {
+    const merged = threeWayMerge(base || '', instance, template, MERGE_LABELS);
+    if (merged.clean) {
+      return { action: 'merge', content: merged.text };
+    }
+    return { action: 'conflict', reason: 'both-modified', merged: merged.text };
+  }
+
+  return { action: 'conflict', reason: 'no-base' };
+}
+
+/**
+ * Compute the upgrade plan of an instance against its template
+ * @param {string} instancePath - Instance root path
+ * @param {string} templatePath - Template root path
+ * @returns {Promise<Object>} - Plan with summary and per-file changes
+ */
+async function planTemplateUpgrade(instancePath, templatePath) {
+  const basePath = path.join(instancePath, TEMPLATE_BASE_DIR);
+  const baseFiles = await listFiles(basePath);
+  const templateFiles = await listFiles(templatePath);
+  const baseAvailable = baseFiles.length > 0;
+
+  // Only files known to the template (old or new) are considered; local additions stay untouched
+  const files = [...new Set([...baseFiles, ...templateFiles])].sort();
+
+  const summary = { unchanged: 0, keep: 0, add: 0, update: 0, delete: 0, merge: 0, conflict: 0 };
+  const changes = [];
+
+  for (const file of files) {
+    const parts = file.split('/');
+    const base = baseAvailable ? await readTextOrNull(path.join(basePath, ...parts)) : null;
+    const template = await readTextOrNull(path.join(templatePath, ...parts));
+    const instance = await readTextOrNull(path.join(instancePath, ...parts));
+
+    const decision = planFile(base, template, instance, baseAvailable);
+    summary[decision.action]++;
+
+    if (decision.action !== 'unchanged' && decision.action !== 'keep') {
+      changes.push({ file, base, template, instance, ...decision });
+    }
+  }
+
+  const manifest = await readTemplateManifest(templatePath);
+
+  return {
+    baseAvailable,
+    templatePath,
+    templateHash: await getDirectoryFingerprint(templatePath),
+    templateVersion: manifest ? manifest.version : null,
+    files,
+    summary,
+    changes
+  };
+}
+
+/**
+ * Strip file contents from a plan for API responses
+ */
+function describePlan(plan) {
+  return {
+    baseAvailable: plan.baseAvailable,
+    templateHash: plan.templateHash,
+    templateVersion: plan.templateVersion,
+    summary: plan.summary,
+    changes: plan.changes.map(c => ({ file: c.file, action: c.action, reason: c.reason || null }))
+  };
+}
+
+/**
+ * Write or delete a file of the instance or base snapshot
+ */
+async function putFile(rootPath, file, content) {
+  const filePath = path.join(rootPath, ...file.split('/'));
+  if (content === null) {
+    await fs.rm(filePath, { force: true });
+  } else {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, 'utf-8');
+  }
+}
+
+/**
+ * Apply the non-conflicting part of an upgrade plan and store the conflicts
+ * @param {string} instancePath - Instance root path
+ * @param {Object} plan - Plan from planTemplateUpgrade
+ * @returns {Promise<Object>} - { applied, conflicts }
+ */
+async function applyTemplateUpgrade(instancePath, plan) {
+  const basePath = path.join(instancePath, TEMPLATE_BASE_DIR);
+  const conflicts = [];
+  let applied = 0;
+
+  for (const change of plan.changes) {
+    if (change.action === 'conflict') {
+      conflicts.push({
+        file: change.file,
+        reason: change.reason,
+        base: change.base,
+        template: change.template,
+        instance: change.instance,
+        merged: change.merged || null
+      });
+      continue;
+    }
+
+    await putFile(instancePath, change.file, change.action === 'delete' ? null : change.content);
+    applied++;
+  }
+
+  // The base snapshot follows the template for every file without a conflict
+  const conflictFiles = new Set(conflicts.map(c => c.file));
+  for (const file of plan.files) {
+    if (!conflictFiles.has(file)) {
+      await putFile(basePath, file, await readTextOrNull(path.join(plan.templatePath, ...file.split('/'))));
+    }
+  }
+
+  await writeUpgradeState(instancePath, {
+    templateHash: plan.templateHash,
+    templateVersion: plan.templateVersion,
+    startedAt: new Date().toISOString(),
+    conflicts
+  });
+
+  return { applied, conflicts: conflicts.length };
+}
+
+/**
+ * Resolve a stored conflict
+ * @param {string} instancePath - Instance root path
+ * @param {string} file - Relative file path of the conflict
+ * @param {string} resolution - 'instance' | 'template' | 'custom'
+ * @param {string} content - File content for 'custom'
+ * @returns {Promise<Object|null>} - { remaining, templateHash, templateVersion } or null if there is no such conflict
+ */
+async function resolveUpgradeConflict(instancePath, file, resolution, content) {
+  const state = await readUpgradeState(instancePath);
+  const conflict = state && state.conflicts.find(c => c.file === file);
+  if (!conflict) return null;
+
+  let result;
+  if (resolution === 'instance') {
+    result = conflict.instance;
+  } else if (resolution === 'template') {
+    result = conflict.template;
+  } else {
+    result = content;
+  }
+
+  await putFile(instancePath, file, result);
+  await putFile(path.join(instancePath, TEMPLATE_BASE_DIR), file, conflict.template);
+
+  state.conflicts = state.conflicts.filter(c => c.file !== file);
+  await writeUpgradeState(instancePath, state);
+
+  return {
+    remaining: state.conflicts.length,
+    templateHash: state.templateHash,
+    templateVersion: state.templateVersion || null
+  };
+}
+
+module.exports = {
+  TEMPLATE_BASE_DIR,
+  UPGRADE_STATE_FILE,
+  getDirectoryFingerprint,
+  snapshotTemplate,
+  planTemplateUpgrade,
+  describePlan,
+  applyTemplateUpgrade,
+  readUpgradeState,
+  resolveUpgradeConflict
+};
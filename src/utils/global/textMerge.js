@@ -0,0 +1,190 @@
+/**
+ * Text Merge Utilities
+ * Line-based diff and three-way merge (diff3) for template upgrades
+ */
+
+// Upper bound for the LCS table (base lines x side lines) before giving up on a line diff
+const MAX_DIFF_CELLS = 25 * 1000 * 1000;
+
+/**
+ * Split text into lines (keeps a trailing empty line if the text ends with a newline)
+ * @param {string} text - Text content
+ * @returns {Array<string>} - Lines
+ */
+function splitLines(text) {
+  return text === '' ? [] : text.split('\n');
+}
+
+/**
+ * Compute the changed regions between two line arrays
+ * Each hunk replaces a[aStart..aEnd) with b[bStart..bEnd)
+ * @param {Array<string>} a - Original lines
+ * @param {Array<string>} b - Changed lines
+ * @returns {Array<Object>|null} - Hunks sorted by aStart, or null if the files are too large
+ */
+function diffLines(a, b) {
+  // Trim common prefix and suffix - most template changes are small
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const n = a.length - prefix - suffix;
+  const m = b.length - prefix - suffix;
+
+  if (n === 0 && m === 0) return [];
+  if (n === 0 || m === 0) {
+    return [{ aStart: prefix, aEnd: prefix + n, bStart: prefix, bEnd: prefix + m }];
+  }
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) return null;
+
+  // LCS length table over the trimmed middle part
+  const width = m + 1;
+  const table = new Int32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = a[prefix + i] === b[prefix + j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  // Walk the table and collect runs of non-matching lines as hunks
+  const hunks = [];
+  let i = 0;
+  let j = 0;
+  let current = null;
+  const flush = () => {
+    if (current) {
+      current.aEnd = prefix + i;
+      current.bEnd = prefix + j;
+      hunks.push(current);
+      current = null;
+    }
+  };
+
+  while (i < n || j < m) {
+    if (i < n && j < m && a[prefix + i] === b[prefix + j]) {
+      flush();
+      i++;
+      j++;
+      continue;
+    }
+    if (!current) {
+      current = { aStart: prefix + i, bStart: prefix + j };
+    }
+    if (j < m && (i === n || table[i * width + j + 1] >= table[(i + 1) * width + j])) {
+      j++;
+    } else {
+      i++;
+    }
+  }
+  flush();
+
+  return hunks;
+}
+
+/**
+ * Three-way merge of two descendants of a common base
+ * @param {string} base - Common ancestor text
+ * @param {string} ours - First descendant (e.g. the instance file)
+ * @param {string} theirs - Second descendant (e.g. the new template file)
+ * @param {Object} labels - Conflict marker labels { ours, theirs }
+ * @returns {Object} - { clean: boolean, conflicts: number, text: string }
+ */
+function threeWayMerge(base, ours, theirs, labels = { ours: 'ours', theirs: 'theirs' }) {
+  if (ours === theirs) return { clean: true, conflicts: 0, text: ours };
+  if (base === ours) return { clean: true, conflicts: 0, text: theirs };
+  if (base === theirs) return { clean: true, conflicts: 0, text: ours };
+
+  const baseLines = splitLines(base);
+  const sides = {
+    ours: splitLines(ours),
+    theirs: splitLines(theirs)
+  };
+
+  const oursHunks = diffLines(baseLines, sides.ours);
+  const theirsHunks = diffLines(baseLines, sides.theirs);
+
+  // Too large for a line diff: report the whole file as one conflict
+  if (!oursHunks || !theirsHunks) {
+    return {
+      clean: false,
+      conflicts: 1,
+      text: [`<<<<<<< ${labels.ours}`, ours, '=======', theirs, `>>>>>>> ${labels.theirs}`].join('\n')
+    };
+  }
+
+  const hunks = [
+    ...oursHunks.map(h => ({ ...h, side: 'ours' })),
+    ...theirsHunks.map(h => ({ ...h, side: 'theirs' }))
+  ].sort((x, y) => x.aStart - y.aStart || x.aEnd - y.aEnd);
+
+  // Group overlapping (or touching) hunks of both sides
+  const groups = [];
+  for (const hunk of hunks) {
+    const last = groups[groups.length - 1];
+    if (last && hunk.aStart <= last.aEnd) {
+      last.aEnd = Math.max(last.aEnd, hunk.aEnd);
+      last.hunks.push(hunk);
+    } else {
+      groups.push({ aStart: hunk.aStart, aEnd: hunk.aEnd, hunks: [hunk] });
+    }
+  }
+
+  // Content of one side over a base range, given that side's hunks in the range
+  const sideContent = (side, group) => {
+    const lines = [];
+    let pos = group.aStart;
+    for (const h of group.hunks.filter(h => h.side === side)) {
+      lines.push(...baseLines.slice(pos, h.aStart));
+      lines.push(...sides[side].slice(h.bStart, h.bEnd));
+      pos = h.aEnd;
+    }
+    lines.push(...baseLines.slice(pos, group.aEnd));
+    return lines;
+  };
+
+  const result = [];
+  let conflicts = 0;
+  let pos = 0;
+
+  for (const group of groups) {
+    result.push(...baseLines.slice(pos, group.aStart));
+
+    const touched = new Set(group.hunks.map(h => h.side));
+    if (touched.size === 1) {
+      result.push(...sideContent([...touched][0], group));
+    } else {
+      const oursLines = sideContent('ours', group);
+      const theirsLines = sideContent('theirs', group);
+      if (oursLines.join('\n') === theirsLines.join('\n')) {
+        result.push(...oursLines);
+      } else {
+        conflicts++;
+        result.push(`<<<<<<< ${labels.ours}`, ...oursLines, '=======', ...theirsLines, `>>>>>>> ${labels.theirs}`);
+      }
+    }
+
+    pos = group.aEnd;
+  }
+  result.push(...baseLines.slice(pos));
+
+  return {
+    clean: conflicts === 0,
+    conflicts,
+    text: result.join('\n')
+  };
+}
+
+module.exports = {
+  diffLines,
+  threeWayMerge
+};
@@ -0,0 +1,101 @@
+/**
+ * Audit Watcher for InterfaceDesign
+ * Records file modifications the model cache detects in instance folders
+ * (edits outside of the API, e.g. in an editor or by git) in the instance's audit log
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { INSTANCES_ROOT } = require('../../config');
+const { auditFiles } = require('../global/audit');
+const { modelEvents, watchFolder } = require('./modelCache');
+
+// Editors often write a file several times in a row
+const DEBOUNCE_MS = 500;
+
+// Pending changes: absolute file path -> timer
+const pending = new Map();
+
+/**
+ * Get the instance root of a watched interfacedesign folder
+ * @returns {string|null} - Instance root or null for folders outside the instances (base templates)
+ */
+function getInstanceRoot(basePath) {
+  const instancePath = path.dirname(basePath);
+  if (path.basename(basePath) !== 'interfacedesign' || path.dirname(instancePath) !== path.resolve(INSTANCES_ROOT)) {
+    return null;
+  }
+  return instancePath;
+}
+
+/**
+ * Log a changed file (unchanged content, e.g. after a write through the API, is skipped)
+ */
+async function recordChange(instancePath, file) {
+  const relativeFile = `interfacedesign/${file}`;
+  const filePath = path.join(instancePath, ...relativeFile.split('/'));
+
+  let exists = true;
+  try {
+    // Folders only matter through the files inside them
+    if (fs.statSync(filePath).isDirectory()) return;
+  } catch {
+    exists = false;
+  }
+
+  // The instance itself is gone (deleted or renamed), nothing to log into
+  if (!fs.existsSync(instancePath)) return;
+
+  await auditFiles(instancePath, [relativeFile], {
+    action: exists ? 'file.modified' : 'file.deleted',
+    source: 'filesystem',
+    user: null
+  });
+}
+
+modelEvents.on('change', ({ basePath, file }) => {
+  const instancePath = getInstanceRoot(basePath);
+  if (!instancePath || !file) return;
+
+  const key = path.join(basePath, file);
+  clearTimeout(pending.get(key));
+  pending.set(key, setTimeout(() => {
+    pending.delete(key);
+    recordChange(instancePath, file).catch(error => {
+      console.error(`Error writing audit log for ${key}:`, error.message);
+    });
+  }, DEBOUNCE_MS));
+});
+
+/**
+ * Start watching the interfacedesign folder of an instance
+ * @param {string} instancePath - Instance root path
+ */
+function watchInstance(instancePath) {
+  const interfacedesignPath = path.join(instancePath, 'interfacedesign');
+  if (fs.existsSync(interfacedesignPath)) {
+    watchFolder(interfacedesignPath);
+  }
+}
+
+/**
+ * Start watching all instances (on server start)
+ */
+function watchAllInstances() {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(INSTANCES_ROOT, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    if (entry.isDirectory() && !entry.name.startsWith('.') && !entry.name.startsWith('_')) {
+      watchInstance(path.join(INSTANCES_ROOT, entry.name));
+    }
+  }
+}
+
+module.exports = {
+  watchInstance,
+  watchAllInstances
+};
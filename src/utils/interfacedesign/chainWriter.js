@@ -0,0 +1,477 @@
+/**
+ * Process Chain Writer for InterfaceDesign
+ * Creates, updates and deletes process chains:
+ *   processes/prozessketten/PKnn-name.xml with PKnn-name_de.mermaid and PKnn-name_en.mermaid
+ *
+ * Writable: name, description, involvedProcesses, prerequisites, actors, steps (with function
+ * and linked process), variants, usageScenario, importantNotes, rules, securityAspects,
+ * securityMechanisms, errorCases and references. Other elements (outcome, useCases, ...) are
+ * preserved. Merging works like in functionWriter, the diagrams are written like in processWriter.
+ *
+ * Every step function must exist in functions/ and every linked process must be a loaded process;
+ * links that were already dangling in the existing file are tolerated.
+ */
+
+const xmlParser = require('./xmlParser');
+const model = require('./model');
+const {
+  createElement,
+  cloneNode,
+  getChild,
+  getChildren,
+  replaceChildren,
+  buildMultiLang,
+  buildText,
+  sameValue,
+  setChild,
+  nameElement,
+  setOptionalText,
+  booleanText,
+  buildContainer,
+  buildItems
+} = require('./xmlDocument');
+const { ELEMENT_ORDER } = require('./elementOrder');
+const { httpError } = require('../global/httpError');
+const { queueWrite, queuedWriter, readDocument, checkSchema, documentChanged, commitDocuments } = require('./documentStore');
+const {
+  CHAIN_FOLDER,
+  diagramFiles,
+  readDiagrams,
+  diagramChanges,
+  checkDiagramData,
+  nameText,
+  slugify
+} = require('./processWriter');
+
+const SCHEMA_FILE = 'processchain.xsd';
+
+// Diagram of a new chain without mermaid content (most chains are sequence diagrams)
+const EMPTY_DIAGRAM = 'sequenceDiagram\n';
+
+// ============================================
+// Element Builders
+// ============================================
+
+/**
+ * Build a process reference (<process> of involvedProcesses or <linkedProcess>)
+ */
+function processReference(name) {
+  return (existing, reference) => {
+    const node = existing ? cloneNode(existing) : createElement(name);
+    const nameTag = nameElement(node);
+    setChild(node, 'id', buildText('id', reference.id, getChild(node, 'id')), ELEMENT_ORDER.processReference);
+    setChild(node, nameTag, buildMultiLang(nameTag, reference.name, getChild(node, nameTag)), ELEMENT_ORDER.processReference);
+    return node;
+  };
+}
+
+const buildLinkedProcess = processReference('linkedProcess');
+
+function buildChainFunction(existing, func) {
+  const node = existing ? cloneNode(existing) : createElement('function');
+  const nameTag = nameElement(node);
+  const linkedProcess = func.linkedProcess ? buildLinkedProcess(getChild(node, 'linkedProcess'), func.linkedProcess) : null;
+  setChild(node, nameTag, buildText(nameTag, func.name, getChild(node, nameTag)), ELEMENT_ORDER.chainFunction);
+  setChild(node, 'linkedProcess', linkedProcess, ELEMENT_ORDER.chainFunction);
+  return node;
+}
+
+function buildStep(existing, step) {
+  const node = existing ? cloneNode(existing) : createElement('step');
+  const nameTag = nameElement(node);
+  const order = ELEMENT_ORDER.chainStep;
+
+  setChild(node, 'stepNumber', buildText('stepNumber', step.stepNumber, getChild(node, 'stepNumber')), order);
+  setChild(node, nameTag, buildMultiLang(nameTag, step.name, getChild(node, nameTag)), order);
+  if (step.function !== undefined) {
+    setChild(node, 'function', step.function ? buildChainFunction(getChild(node, 'function'), step.function) : null, order);
+  }
+  if (step.functions !== undefined) {
+    const existingFunctions = getChild(node, 'functions');
+    const functionNodes = getChildren(existingFunctions, 'function');
+    const functions = (step.functions || []).map((func, i) => buildChainFunction(functionNodes[i], func));
+    setChild(node, 'functions', buildContainer('functions', 'function', existingFunctions, functions, false), order);
+  }
+  setChild(node, 'description', buildMultiLang('description', step.description, getChild(node, 'description')), order);
+  setOptionalText(node, 'critical', booleanText(step.critical), 'false', order);
+  setOptionalText(node, 'optional', booleanText(step.optional), 'false', order);
+  setChild(node, 'frequency', buildText('frequency', step.frequency, getChild(node, 'frequency')), order);
+  return node;
+}
+
+function buildVariant(existing, variant) {
+  const node = existing ? cloneNode(existing) : createElement('variant');
+  const nameTag = nameElement(node);
+  setChild(node, nameTag, buildMultiLang(nameTag, variant.name, getChild(node, nameTag)), ELEMENT_ORDER.variant);
+  setChild(node, 'description', buildMultiLang('description', variant.description, getChild(node, 'description')), ELEMENT_ORDER.variant);
+  return node;
+}
+
+function buildErrorCase(existing, errorCase) {
+  const node = existing ? cloneNode(existing) : createElement('errorCase');
+  setChild(node, 'error', buildMultiLang('error', errorCase.error, getChild(node, 'error')), ELEMENT_ORDER.chainErrorCase);
+  setChild(node, 'reaction', buildMultiLang('reaction', errorCase.reaction, getChild(node, 'reaction')), ELEMENT_ORDER.chainErrorCase);
+  return node;
+}
+
+const multiLangItem = name => (existing, value) => buildMultiLang(name, value, existing);
+
+// List fields of the chain data: <container><item/></container>
+const LISTS = {
+  involvedProcesses: { container: 'involvedProcesses', item: 'process', build: processReference('process') },
+  prerequisites: { container: 'prerequisites', item: 'prerequisite', build: multiLangItem('prerequisite') },
+  actors: { container: 'actors', item: 'actor', build: multiLangItem('actor') },
+  steps: { container: 'steps', item: 'step', build: buildStep },
+  variants: { container: 'variants', item: 'variant', build: buildVariant },
+  securityAspects: { container: 'securityAspects', item: 'aspect', build: multiLangItem('aspect') },
+  rules: { container: 'rules', item: 'rule', build: multiLangItem('rule') },
+  errorCases: { container: 'errorCases', item: 'errorCase', build: buildErrorCase },
+  securityMechanisms: { container: 'securityMechanisms', item: 'mechanism', build: multiLangItem('mechanism') },
+  references: { container: 'references', item: 'reference', build: (existing, value) => buildText('reference', value, existing) }
+};
+
+// ============================================
+// Chain Document
+// ============================================
+
+/**
+ * Create a process chain document (4-space indentation like the shipped chains)
+ * @param {string} chainId - Chain id, e.g. 'PK16'
+ */
+function createChainDocument(chainId) {
+  return {
+    declaration: '<?xml version="1.0" encoding="UTF-8"?>',
+    indent: '    ',
+    trailer: '\n',
+    root: createElement('processChain', {
+      children: [createElement('chainId', { text: chainId })]
+    })
+  };
+}
+
+/**
+ * Merge process chain data into a chain document
+ * @param {Object} doc - Existing document (modified)
+ * @param {Object} data - Chain data (shape of parseProcessChainDetail)
+ * @param {Object|null} previous - Parsed data of the existing document (null for new chains)
+ * @returns {Object} - The document
+ */
+function applyChainData(doc, data, previous) {
+  const root = doc.root;
+  const order = ELEMENT_ORDER.processChain;
+  const changed = field => data[field] !== undefined && !(previous && sameValue(previous[field], data[field]));
+
+  if (changed('name')) {
+    const nameTag = nameElement(root);
+    setChild(root, nameTag, buildMultiLang(nameTag, data.name, getChild(root, nameTag)), order);
+  }
+  for (const field of ['description', 'usageScenario']) {
+    if (changed(field)) {
+      setChild(root, field, buildMultiLang(field, data[field], getChild(root, field)), order);
+    }
+  }
+
+  for (const [field, list] of Object.entries(LISTS)) {
+    if (!changed(field)) continue;
+
+    const existing = getChild(root, list.container);
+    const items = buildItems(getChildren(existing, list.item), previous && previous[field], data[field], list.build);
+    setChild(root, list.container, buildContainer(list.container, list.item, existing, items, false), order);
+  }
+
+  if (changed('importantNotes')) {
+    // Some chains split their notes into several <importantNotes> blocks; they are merged into the first one
+    const sections = getChildren(root, 'importantNotes');
+    const noteNodes = sections.flatMap(section => getChildren(section, 'note'));
+    const notes = buildItems(noteNodes, previous && previous.importantNotes, data.importantNotes,
+      (node, note) => buildMultiLang('note', note, node));
+    const container = buildContainer('importantNotes', 'note', sections[0] || null, notes, false);
+    replaceChildren(root, 'importantNotes', container ? [container] : [], order);
+  }
+
+  return doc;
+}
+
+/**
+ * Check the structure of process chain data before it is merged
+ * @param {Object} data - Chain data
+ * @param {boolean} create - New chain (name is required)
+ * @returns {Array<Object>} - Errors [{ path, message }]
+ */
+function checkChainData(data, create) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ path: '', message: 'Process chain data must be an object' }];
+  }
+
+  const errors = [];
+  const name = data.name && nameText(data.name);
+  if ((create || data.name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    errors.push({ path: 'name', message: 'Name is required' });
+  }
+  for (const field of [...Object.keys(LISTS), 'importantNotes']) {
+    if (data[field] !== undefined && data[field] !== null && !Array.isArray(data[field])) {
+      errors.push({ path: field, message: `'${field}' must be an array` });
+    }
+  }
+  errors.push(...checkDiagramData(data));
+  if (errors.length > 0) return errors;
+
+  (data.steps || []).forEach((step, i) => {
+    if (!step || typeof step !== 'object') {
+      errors.push({ path: `steps[${i}]`, message: 'Step must be an object' });
+      return;
+    }
+    if (step.functions !== undefined && step.functions !== null && !Array.isArray(step.functions)) {
+      errors.push({ path: `steps[${i}].functions`, message: "'functions' must be an array" });
+      return;
+    }
+    for (const [path, func] of stepFunctions(step, i)) {
+      if (!func || typeof func.name !== 'string' || !func.name.trim()) {
+        errors.push({ path: `${path}.name`, message: 'Function name is required' });
+      } else if (func.linkedProcess && (func.linkedProcess.id === undefined || String(func.linkedProcess.id).trim() === '')) {
+        errors.push({ path: `${path}.linkedProcess.id`, message: 'Linked process id is required' });
+      }
+    }
+  });
+
+  return errors;
+}
+
+// ============================================
+// Link Validation
+// ============================================
+
+/**
+ * Functions of a step with their data path ([path, function] pairs)
+ */
+function stepFunctions(step, index) {
+  const functions = [];
+  if (step.function) functions.push([`steps[${index}].function`, step.function]);
+  (step.functions || []).forEach((func, i) => functions.push([`steps[${index}].functions[${i}]`, func]));
+  return functions;
+}
+
+/**
+ * Check the function and linked process of every step
+ * Linked processes without a name get the name of the process
+ * @param {Object} layers - { path, base }
+ * @param {Array<Object>} steps - Steps of the chain data
+ * @param {Object|null} previous - Parsed data of the existing chain (its dangling links are tolerated)
+ * @returns {Promise<Object>} - { steps, errors }
+ */
+async function resolveChainLinks(layers, steps, previous) {
+  const functions = new Set((await model.loadCategory(layers, 'functions')).flatMap(func => [func.id, func.name]));
+  const processes = new Map();
+  for (const process of await model.loadProcesses(layers)) {
+    processes.set(String(process.processId), process);
+    processes.set(process.id, process);
+  }
+
+  const knownFunctions = new Set();
+  const knownProcesses = new Set();
+  ((previous && previous.steps) || []).forEach((step, i) => {
+    for (const [, func] of stepFunctions(step, i)) {
+      knownFunctions.add(func.name);
+      if (func.linkedProcess) knownProcesses.add(String(func.linkedProcess.id));
+    }
+  });
+
+  const errors = [];
+  const resolve = (path, func) => {
+    if (!functions.has(func.name) && !knownFunctions.has(func.name)) {
+      errors.push({ path: `${path}.name`, message: `Function '${func.name}' does not exist` });
+    }
+    if (!func.linkedProcess) return func;
+
+    const id = String(func.linkedProcess.id).trim();
+    const process = processes.get(id);
+    if (!process) {
+      if (!knownProcesses.has(id)) {
+        errors.push({ path: `${path}.linkedProcess.id`, message: `Process '${id}' does not exist` });
+      }
+      return func;
+    }
+    const name = func.linkedProcess.name && nameText(func.linkedProcess.name);
+    return name ? func : { ...func, linkedProcess: { ...func.linkedProcess, name: process.name } };
+  };
+
+  const resolved = steps.map((step, i) => {
+    const result = { ...step };
+    if (step.function) result.function = resolve(`steps[${i}].function`, step.function);
+    if (Array.isArray(step.functions)) {
+      result.functions = step.functions.map((func, j) => resolve(`steps[${i}].functions[${j}]`, func));
+    }
+    return result;
+  });
+
+  return { steps: resolved, errors };
+}
+
+// ============================================
+// Write Operations
+// ============================================
+
+/**
+ * Find a process chain by file name or chain id (like GET /processchain/:id)
+ * @returns {Promise<Object|null>} - Entry of loadProcessChains
+ */
+async function findChain(layers, id) {
+  const chains = await model.loadProcessChains(layers);
+  return chains.find(chain => chain.id === id || chain.chainId === id) || null;
+}
+
+/**
+ * Next free chain id (highest PKnn of all chains plus one)
+ * @param {Object} layers - { path, base }
+ * @returns {Promise<string>} - e.g. 'PK16'
+ */
+async function nextChainId(layers) {
+  const chains = await model.loadProcessChains(layers);
+  const highest = chains.reduce((max, chain) => {
+    const match = String(chain.chainId).match(/^PK(\d+)$/i) || String(chain.id).match(/^PK(\d+)-/i);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+  return `PK${String(highest + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Write a process chain (XML and diagrams) into the instance
+ * Inherited chains are written into the instance (they become 'overridden')
+ * @param {Object} layers - { path, base }
+ * @param {Object} location - { folder, id } of the chain file
+ * @param {Object} data - Chain data (shape of parseProcessChainDetail, diagrams in mermaidContent { de, en })
+ * @param {Object} options - { create: true for new chains, chainId of new chains }
+ * @returns {Promise<Array<string>>} - Written files relative to the interfacedesign folder
+ */
+async function writeChain(layers, { folder, id }, data, { create = false, chainId = null } = {}) {
+  const files = diagramFiles(['processes', folder], id);
+  const current = await readDocument(layers, files.xml);
+  if (create && current) {
+    throw httpError(409, `Process chain '${id}' already exists`);
+  }
+  if (!create && !current) {
+    throw httpError(404, 'Process chain not found');
+  }
+
+  const previous = current ? await xmlParser.parseProcessChainDetail(current.filePath) : null;
+  let chainData = data;
+  if (Array.isArray(data.steps) && !(previous && sameValue(previous.steps, data.steps))) {
+    const { steps, errors } = await resolveChainLinks(layers, data.steps, previous);
+    if (errors.length > 0) {
+      throw httpError(400, 'Process chain has dangling links', errors);
+    }
+    // New steps without a number are numbered by their position
+    chainData = {
+      ...data,
+      steps: steps.map((step, i) => (step.stepNumber === undefined || step.stepNumber === null ? { ...step, stepNumber: i + 1 } : step))
+    };
+  }
+
+  const doc = current ? { ...current.doc, root: cloneNode(current.doc.root) } : createChainDocument(chainId);
+  applyChainData(doc, chainData, previous);
+
+  const schemaErrors = await checkSchema(layers, SCHEMA_FILE, doc, current && current.doc);
+  if (schemaErrors.length > 0) {
+    throw httpError(400, `Process chain does not conform to ${SCHEMA_FILE}`, schemaErrors);
+  }
+
+  const changes = [];
+  if (!current || current.layer === 'inherited' || documentChanged(current.doc, doc)) {
+    changes.push({ parts: files.xml, doc });
+  }
+  changes.push(...await diagramChanges(layers, files, EMPTY_DIAGRAM, data,
+    previous && { mermaidContent: { de: previous.mermaidContent.de || '', en: previous.mermaidContent.en || '' } }, current));
+
+  return commitDocuments(layers, changes);
+}
+
+/**
+ * Create a process chain with the next free chain id (PKnn)
+ * The file name is PKnn-<slug>; the slug is taken from data.slug or the (German) name
+ * @param {Object} layers - { path, base }
+ * @param {Object} data - Chain data (name is required)
+ * @returns {Promise<Object>} - { id, chainId, files }
+ */
+function createChain(layers, data) {
+  const dataErrors = checkChainData(data, true);
+  if (dataErrors.length > 0) {
+    return Promise.reject(httpError(400, 'Invalid process chain data', dataErrors));
+  }
+
+  const slug = slugify(data.slug || nameText(data.name));
+  if (!slug) {
+    return Promise.reject(httpError(400, 'Invalid process chain data', [{ path: 'slug', message: 'File name can\'t be derived from the name' }]));
+  }
+
+  // Id allocation and write in one queued task, concurrent creations don't get the same chain id
+  return queueWrite(layers, async () => {
+    const chainId = await nextChainId(layers);
+    const id = `${chainId}-${slug}`;
+    const files = await writeChain(layers, { folder: CHAIN_FOLDER, id }, data, { create: true, chainId });
+    return { id, chainId, files };
+  });
+}
+
+/**
+ * Update a process chain (XML fields and/or diagrams)
+ * @param {Object} layers - { path, base }
+ * @param {string} id - File name or chain id
+ * @param {Object} data - Chain data (missing fields stay unchanged)
+ * @returns {Promise<Object>} - { id, files }
+ */
+async function updateChain(layers, id, data) {
+  const chain = await findChain(layers, id);
+  if (!chain) {
+    throw httpError(404, 'Process chain not found');
+  }
+  if (data && data.id !== undefined && data.id !== chain.id) {
+    throw httpError(400, `Process chain id '${data.id}' does not match '${chain.id}'`);
+  }
+  if (data && data.chainId !== undefined && data.chainId !== chain.chainId) {
+    throw httpError(400, `Chain id '${data.chainId}' can't be changed`);
+  }
+
+  const dataErrors = checkChainData(data, false);
+  if (dataErrors.length > 0) {
+    throw httpError(400, 'Invalid process chain data', dataErrors);
+  }
+
+  const files = await writeChain(layers, { folder: chain.folder, id: chain.id }, data);
+  return { id: chain.id, files };
+}
+
+/**
+ * Delete a process chain (XML and diagrams) from the instance
+ * For overridden chains the base template's version becomes visible again
+ * @param {Object} layers - { path, base }
+ * @param {string} id - File name or chain id
+ * @param {string} deletedBy - User name for the trash entry (null without login)
+ * @returns {Promise<Object>} - { id, files } with the removed files
+ */
+async function deleteChain(layers, id, deletedBy = null) {
+  const chain = await findChain(layers, id);
+  if (!chain) {
+    throw httpError(404, 'Process chain not found');
+  }
+  if (chain.layer === 'inherited') {
+    throw httpError(409, `Process chain '${chain.id}' is inherited from the base template and can't be deleted in the instance`);
+  }
+
+  const files = diagramFiles(['processes', chain.folder], chain.id);
+  const diagrams = await readDiagrams(layers.path, files);
+  const removed = await commitDocuments(layers, [
+    { parts: files.xml, remove: true },
+    ...diagrams.map(diagram => ({ parts: diagram.parts, remove: true }))
+  ], { trash: { category: 'processchains', id: chain.id, folder: chain.folder, chainId: chain.chainId, deletedBy } });
+  return { id: chain.id, files: removed };
+}
+
+module.exports = {
+  createChainDocument,
+  applyChainData,
+  checkChainData,
+  nextChainId,
+  createChain,
+  updateChain: queuedWriter(updateChain),
+  deleteChain: queuedWriter(deleteChain)
+};
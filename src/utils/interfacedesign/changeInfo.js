@@ -0,0 +1,97 @@
+/**
+ * Change Classification for InterfaceDesign
+ * Maps a changed file (relative to the interfacedesign folder) to the model item it belongs to
+ */
+
+// Flat category folders
+const CATEGORY_FOLDERS = ['functions', 'enums', 'types', 'exceptions'];
+
+/**
+ * Split a file name into stem, file kind and mermaid language
+ * e.g. '001-start_de.mermaid' -> { stem: '001-start', fileKind: 'mermaid', lang: 'de' }
+ */
+function splitFileName(name) {
+  if (name.endsWith('.xml')) {
+    return { stem: name.slice(0, -4), fileKind: 'xml', lang: null };
+  }
+  if (name.endsWith('.mermaid')) {
+    const base = name.slice(0, -8);
+    const match = base.match(/^(.*)_(de|en)$/);
+    return match
+      ? { stem: match[1], fileKind: 'mermaid', lang: match[2] }
+      : { stem: base, fileKind: 'mermaid', lang: null };
+  }
+  return { stem: name, fileKind: 'other', lang: null };
+}
+
+/**
+ * Describe a change below an interfacedesign folder
+ * @param {string|null} relativePath - Changed path with forward slashes (null = unknown)
+ * @returns {Object} - { file, category, id, fileKind, lang?, actor?, diagramType?, folder? }
+ *   category: functions | enums | types | exceptions | processes | processchains | processmap | schema | unknown
+ *   fileKind: xml | mermaid | xsd | folder | other
+ */
+function describeChange(relativePath) {
+  if (!relativePath) {
+    return { file: null, category: 'unknown', id: null, fileKind: 'other' };
+  }
+
+  const parts = relativePath.split('/');
+  const name = parts[parts.length - 1];
+
+  // Category folder itself or a file inside it
+  if (CATEGORY_FOLDERS.includes(parts[0])) {
+    if (parts.length === 1) {
+      return { file: relativePath, category: parts[0], id: null, fileKind: 'folder' };
+    }
+    const { stem, fileKind } = splitFileName(name);
+    return { file: relativePath, category: parts[0], id: stem, fileKind };
+  }
+
+  if (parts[0] === '_schema') {
+    return { file: relativePath, category: 'schema', id: null, fileKind: name.endsWith('.xsd') ? 'xsd' : 'other' };
+  }
+
+  if (parts[0] === 'processes') {
+    // processes/map.xml
+    if (parts.length === 2 && name === 'map.xml') {
+      return { file: relativePath, category: 'processmap', id: null, fileKind: 'xml' };
+    }
+
+    // processes/{actor}/{flow|sequenz}/NNN-name.xml|_de.mermaid|_en.mermaid
+    if (parts.length === 4) {
+      const { stem, fileKind, lang } = splitFileName(name);
+      return {
+        file: relativePath,
+        category: 'processes',
+        id: stem,
+        fileKind,
+        lang,
+        actor: parts[1],
+        diagramType: parts[2]
+      };
+    }
+
+    // processes/{chainFolder}/PKnn-name.xml|.mermaid
+    if (parts.length === 3) {
+      const { stem, fileKind, lang } = splitFileName(name);
+      return {
+        file: relativePath,
+        category: fileKind === 'other' ? 'processes' : 'processchains',
+        id: fileKind === 'other' ? null : stem,
+        fileKind: fileKind === 'other' ? 'folder' : fileKind,
+        lang,
+        folder: parts[1]
+      };
+    }
+
+    // An actor, chain or diagram type folder was added or removed
+    return { file: relativePath, category: 'processes', id: null, fileKind: 'folder' };
+  }
+
+  return { file: relativePath, category: 'unknown', id: null, fileKind: 'other' };
+}
+
+module.exports = {
+  describeChange
+};
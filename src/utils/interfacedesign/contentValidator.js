@@ -0,0 +1,164 @@
+/**
+ * Content Validator for InterfaceDesign
+ * Checks every XML file of an instance against the _schema files of its layers
+ *
+ * xmlParser skips files it can't parse, so broken files just disappear from the lists;
+ * this check reports them together with schema violations, each with line and column.
+ * Files are checked as the instance sees them: its own files win over the base template's,
+ * schemas are looked up the same way. Files without a schema (processes/map.xml) are only
+ * checked for well-formedness. Elements the schema doesn't declare are kept by the write API,
+ * so they are reported as warnings rather than errors.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseXmlDocument, elementPositions } = require('./xmlDocument');
+const { validateDocument } = require('./xsdValidator');
+const { listLayerFiles } = require('./layers');
+const { locateFile } = require('./model');
+const { loadDocumentSchema } = require('./documentStore');
+
+// Schema of the files in each flat category folder
+const CATEGORY_SCHEMAS = {
+  functions: 'functions.xsd',
+  exceptions: 'exceptions.xsd',
+  types: 'types.xsd',
+  enums: 'enums.xsd'
+};
+
+function localName(name) {
+  const index = name.indexOf(':');
+  return index >= 0 ? name.slice(index + 1) : name;
+}
+
+/**
+ * Schema file for a design file
+ * processes/<actor>/<type>/<id>.xml are processes, processes/<folder>/<id>.xml process chains
+ * @param {Array<string>} parts - File path parts relative to the interfacedesign folder
+ * @returns {string|null} - Schema file name or null if the file has none
+ */
+function schemaFor(parts) {
+  if (parts.length === 2 && CATEGORY_SCHEMAS[parts[0]]) return CATEGORY_SCHEMAS[parts[0]];
+  if (parts[0] === 'processes' && parts.length === 4) return 'process.xsd';
+  if (parts[0] === 'processes' && parts.length === 3) return 'processchain.xsd';
+  return null;
+}
+
+/**
+ * Find the node a violation path points to (/function/parameters[1]/parameter[2][@xml:lang='de'])
+ * Steps that can't be followed leave the deepest node found
+ */
+function findNode(root, errorPath) {
+  let node = root;
+  for (const step of errorPath.split('/').slice(2)) {
+    const match = step.match(/^([^[]+)\[(\d+)\](?:\[@xml:lang='([^']*)'\])?$/);
+    if (!match) break;
+
+    const child = node.children.filter(c => localName(c.name) === match[1])[parseInt(match[2], 10) - 1];
+    if (!child) break;
+    node = child;
+
+    const variant = match[3] && node.children.find(c => c.attributes['xml:lang'] === match[3]);
+    if (variant) node = variant;
+  }
+  return node;
+}
+
+/**
+ * Position of a parse error (sax reports 0-based lines)
+ */
+function parseErrorPosition(error) {
+  const line = (error.message.match(/Line: (\d+)/) || [])[1];
+  const column = (error.message.match(/Column: (\d+)/) || [])[1];
+  return {
+    line: line !== undefined ? parseInt(line, 10) + 1 : null,
+    column: column !== undefined ? parseInt(column, 10) : null
+  };
+}
+
+/**
+ * Load the compiled schemas used by the files, once per schema file and root element
+ * (see documentStore.loadDocumentSchema for the fallback to the template's schema)
+ * @returns {Function} - (schemaFile, rootName) -> compiled schema or null if no layer has it
+ */
+function schemaLoader(layers) {
+  const schemas = new Map();
+  return async (schemaFile, rootName) => {
+    const key = `${schemaFile}|${rootName}`;
+    if (!schemas.has(key)) {
+      schemas.set(key, await loadDocumentSchema(layers, schemaFile, rootName));
+    }
+    return schemas.get(key);
+  };
+}
+
+/**
+ * Check a single file
+ * @param {string} content - File content
+ * @param {Function|null} getSchema - rootName -> compiled schema (null: no schema check)
+ * @returns {Promise<Object>} - { errors, warnings }, each [{ line, column, path, message }]
+ */
+async function validateFile(content, getSchema) {
+  let doc;
+  try {
+    doc = await parseXmlDocument(content);
+  } catch (error) {
+    const message = error.message.split('\n')[0];
+    return { errors: [{ ...parseErrorPosition(error), path: null, message: `Not well-formed XML: ${message}` }], warnings: [] };
+  }
+  const schema = getSchema && await getSchema(localName(doc.root.name));
+  if (!schema) return { errors: [], warnings: [] };
+
+  const warnings = [];
+  const errors = validateDocument(schema, doc.root, warnings);
+  if (errors.length === 0 && warnings.length === 0) return { errors, warnings };
+
+  const positions = elementPositions(content, doc.root);
+  const locate = violation => {
+    const position = positions.get(findNode(doc.root, violation.path)) || { line: null, column: null };
+    return { ...position, path: violation.path, message: violation.message };
+  };
+  return { errors: errors.map(locate), warnings: warnings.map(locate) };
+}
+
+/**
+ * Validate all XML files of an instance
+ * @param {Object} layers - { path, base }
+ * @returns {Promise<Object>} - { checked, errors: [{ file, layer, schema, line, column, path, message }],
+ *   warnings (undeclared elements, same shape), invalidFiles: [file], missingSchemas: [schemaFile] }
+ */
+async function validateContent(layers) {
+  const getSchema = schemaLoader(layers);
+  const errors = [];
+  const warnings = [];
+  const missingSchemas = new Set();
+  let checked = 0;
+
+  for (const { file, root, layer } of await listLayerFiles(layers)) {
+    if (!file.endsWith('.xml')) continue;
+    const parts = file.split('/');
+    const schemaFile = schemaFor(parts);
+    const hasSchema = Boolean(schemaFile && await locateFile(layers, ['_schema', schemaFile]));
+    if (schemaFile && !hasSchema) missingSchemas.add(schemaFile);
+
+    const content = await fs.readFile(path.join(root, ...parts), 'utf-8');
+    const fileSchema = hasSchema ? rootName => getSchema(schemaFile, rootName) : null;
+    const result = await validateFile(content, fileSchema);
+    const schema = hasSchema ? schemaFile : null;
+    errors.push(...result.errors.map(violation => ({ file, layer, schema, ...violation })));
+    warnings.push(...result.warnings.map(violation => ({ file, layer, schema, ...violation })));
+    checked++;
+  }
+
+  return {
+    checked,
+    errors,
+    warnings,
+    invalidFiles: [...new Set(errors.map(error => error.file))],
+    missingSchemas: [...missingSchemas].sort()
+  };
+}
+
+module.exports = {
+  validateContent
+};
@@ -0,0 +1,193 @@
+/**
+ * Document Store for the InterfaceDesign write API
+ * Reads, validates and writes the XML files of an instance's layers
+ *
+ * Writes always go to the instance itself (layers.path); the base template is read-only.
+ * All writes of an instance run one after the other in its write queue (queueWrite), so the
+ * read-modify-write steps of concurrent requests can't overwrite each other.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { TEMPLATES_ROOT } = require('../../config');
+const { writeFileAtomic } = require('../global/fileSystem');
+const { httpError } = require('../global/httpError');
+const { readInstanceMeta } = require('../global/instanceMeta');
+const { parseXmlDocument, serializeXmlDocument } = require('./xmlDocument');
+const { loadSchema, validateDocument } = require('./xsdValidator');
+const { invalidatePath } = require('./modelCache');
+const { locateFile } = require('./model');
+const { writeTrashEntry } = require('./trash');
+
+// Pending writes per instance and the instance whose queue the running task holds
+const writeQueues = new Map();
+const queueContext = new AsyncLocalStorage();
+
+/**
+ * Run a write task after the pending writes of the instance
+ * Version checks, number allocation, reference sync and the commit of a request therefore see
+ * the files no other request is changing at the same time. Tasks started from a queued task
+ * (a writer called by a route that holds the queue) run directly, the queue is already held.
+ * @param {Object} layers - { path, base }
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>} - Result of the task
+ */
+function queueWrite(layers, task) {
+  const queueKey = path.resolve(layers.path);
+  if (queueContext.getStore() === queueKey) {
+    return Promise.resolve().then(task);
+  }
+
+  const previous = writeQueues.get(queueKey) || Promise.resolve();
+  const next = previous.catch(() => {}).then(() => queueContext.run(queueKey, task));
+  writeQueues.set(queueKey, next);
+  return next;
+}
+
+/**
+ * Writer function whose calls run in the write queue of the instance
+ * @param {Function} writer - async (layers, ...args) => result
+ */
+function queuedWriter(writer) {
+  return (layers, ...args) => queueWrite(layers, () => writer(layers, ...args));
+}
+
+/**
+ * Read the document of a file from the layer that provides it
+ * @param {Object} layers - { path, base }
+ * @param {Array<string>} parts - File path parts relative to the interfacedesign folder
+ * @returns {Promise<Object|null>} - { doc, filePath, layer } or null if no layer has the file
+ */
+async function readDocument(layers, parts) {
+  const location = await locateFile(layers, parts);
+  if (!location) return null;
+
+  const filePath = path.join(location.root, ...parts);
+  try {
+    const doc = await parseXmlDocument(await fs.readFile(filePath, 'utf-8'));
+    return { doc, filePath, layer: location.layer };
+  } catch (error) {
+    throw httpError(409, `${parts.join('/')} is not well-formed XML and must be fixed by hand: ${error.message}`);
+  }
+}
+
+/**
+ * Load the schema a document of an instance is checked against
+ * Instances keep the schemas of the template version they were created from. If that schema
+ * doesn't declare the document's root element yet (e.g. 'type' in types.xsd before the type
+ * write API), the current schema of the template is used instead: the base template for
+ * layered instances, the template the instance was copied from otherwise.
+ * @param {Object} layers - { path, base }
+ * @param {string} schemaFile - Schema file name (e.g. 'types.xsd')
+ * @param {string} rootName - Root element of the document
+ * @returns {Promise<Object|null>} - Compiled schema or null if no layer has the schema file
+ */
+async function loadDocumentSchema(layers, schemaFile, rootName) {
+  const location = await locateFile(layers, ['_schema', schemaFile]);
+  if (!location) return null;
+
+  const schema = await loadSchema(path.join(location.root, '_schema', schemaFile));
+  if (schema.elements[rootName]) return schema;
+
+  let templatePath = layers.base;
+  if (!templatePath) {
+    const { templateId } = await readInstanceMeta(path.dirname(layers.path));
+    if (!templateId || !/^[a-zA-Z0-9_-][a-zA-Z0-9_.-]*$/.test(templateId)) return schema;
+    templatePath = path.join(TEMPLATES_ROOT, templateId, 'interfacedesign');
+  }
+  if (templatePath === location.root) return schema;
+
+  const current = await loadSchema(path.join(templatePath, '_schema', schemaFile)).catch(() => null);
+  return current && current.elements[rootName] ? current : schema;
+}
+
+/**
+ * Validate a document against a schema of the instance's _schema folder
+ * Violations the previous version of the file already had are not reported,
+ * so hand-written files with schema deviations stay editable. Documents whose root element
+ * no schema declares are not checked, like documents without a schema.
+ * @param {Object} layers - { path, base }
+ * @param {string} schemaFile - Schema file name (e.g. 'functions.xsd')
+ * @param {Object} doc - New document
+ * @param {Object|null} previousDoc - Previous document (null for new files)
+ * @returns {Promise<Array<Object>>} - New violations [{ path, message }]
+ */
+async function checkSchema(layers, schemaFile, doc, previousDoc = null) {
+  const rootName = doc.root.name.split(':').pop();
+  const schema = await loadDocumentSchema(layers, schemaFile, rootName);
+  if (!schema || !schema.elements[rootName]) return [];
+
+  const errors = validateDocument(schema, doc.root);
+  if (!previousDoc) return errors;
+
+  const known = new Set(validateDocument(schema, previousDoc.root).map(e => `${e.path}|${e.message}`));
+  return errors.filter(e => !known.has(`${e.path}|${e.message}`));
+}
+
+/**
+ * Check whether a new document differs from the file it was read from
+ * Unchanged files are not rewritten, so hand-written formatting survives
+ */
+function documentChanged(previousDoc, doc) {
+  return serializeXmlDocument(previousDoc) !== serializeXmlDocument(doc);
+}
+
+/**
+ * Write and remove files of the instance as one transaction
+ * Every file is written atomically; if one fails, the files written before are restored
+ * @param {Object} layers - { path, base }
+ * @param {Array<Object>} changes - [{ parts, doc }] or [{ parts, content }] to write (XML document or
+ *   plain text such as mermaid diagrams), [{ parts, remove: true }] to delete
+ * @param {Object} options - { trash: { category, id, ..., deletedBy } } to keep the deleted files
+ *   in the instance's trash (written as part of the transaction)
+ * @returns {Promise<Array<string>>} - Changed files relative to the interfacedesign folder
+ */
+async function commitDocuments(layers, changes, options = {}) {
+  const applied = [];
+  try {
+    for (const change of changes) {
+      const filePath = path.join(layers.path, ...change.parts);
+      const backup = await fs.readFile(filePath).catch(() => null);
+
+      if (change.remove) {
+        await fs.unlink(filePath);
+      } else {
+        await writeFileAtomic(filePath, change.doc ? serializeXmlDocument(change.doc) : change.content);
+      }
+      applied.push({ filePath, backup, parts: change.parts });
+      invalidatePath(layers.path, change.parts.join('/'));
+    }
+
+    if (options.trash) {
+      const deleted = applied.filter((entry, index) => changes[index].remove && entry.backup !== null);
+      await writeTrashEntry(layers, options.trash, deleted.map(({ parts, backup }) => ({ parts, content: backup })));
+    }
+  } catch (error) {
+    for (const { filePath, backup, parts } of applied.reverse()) {
+      try {
+        if (backup === null) {
+          await fs.rm(filePath, { force: true });
+        } else {
+          await writeFileAtomic(filePath, backup);
+        }
+      } catch (restoreError) {
+        console.error(`Error restoring ${filePath}:`, restoreError.message);
+      }
+      invalidatePath(layers.path, parts.join('/'));
+    }
+    throw error;
+  }
+
+  return changes.map(change => change.parts.join('/'));
+}
+
+module.exports = {
+  queueWrite,
+  queuedWriter,
+  readDocument,
+  loadDocumentSchema,
+  checkSchema,
+  documentChanged,
+  commitDocuments
+};
@@ -0,0 +1,86 @@
+/**
+ * Element Order for the InterfaceDesign write API
+ * Order of the child elements per parent element: the schema order, extended by the
+ * elements the shipped files use. New elements are inserted according to these lists.
+ */
+
+const ELEMENT_ORDER = {
+  // functions.xsd
+  function: [
+    'name', 'n', 'category', 'description', 'authorizedRoles', 'detailedSteps', 'parameters', 'returnValue',
+    'overloads', 'mutualExclusions', 'exceptions', 'requirements', 'note', 'precondition', 'postcondition',
+    'systemLog', 'transactionLog'
+  ],
+  step: ['number', 'standardStep', 'originalText', 'germanText', 'description', 'pseudocode', 'errorCase', 'successCase'],
+  errorCase: ['exception', 'trigger', 'action'],
+  successCase: ['condition', 'action'],
+  parameter: ['name', 'n', 'type', 'description', 'direction', 'required', 'defaultValue', 'note'],
+  returnValue: ['type', 'description'],
+  overload: ['signature', 'description', 'parameters', 'note'],
+  log: ['logType', 'requirement', 'asn1Structure', 'structure'],
+  asn1Structure: ['logMessage', 'systemLogMessage', 'transactionLogMessage'],
+  logField: ['name', 'n', 'type', 'tag', 'required', 'defaultValue', 'description', 'note', 'origin'],
+
+  // exceptions.xsd
+  exception: [
+    'name', 'n', 'description', 'category', 'subcategory', 'severity', 'javadoc', 'specification', 'thrownBy',
+    'executionSequence', 'recovery', 'relatedExceptions', 'triggerConditions', 'postconditionality', 'usage',
+    'example', 'notes', 'note', 'implementationContext'
+  ],
+  javadoc: ['summary', 'description', 'throws', 'constructors', 'since', 'author'],
+  specification: ['source', 'section', 'requirement', 'applicability', 'reference'],
+  recovery: ['description', 'action', 'alternativePath', 'step'],
+
+  // types.xsd
+  type: [
+    'name', 'n', 'category', 'source', 'baseType', 'description', 'constraints', 'choices', 'asn1Definition',
+    'fields', 'usage', 'examples', 'references', 'note'
+  ],
+  typeField: ['name', 'n', 'type', 'optional', 'required', 'description', 'getter', 'setter', 'defaultValue'],
+  constraint: ['type', 'description'],
+
+  // enums.xsd
+  enum: [
+    'name', 'n', 'category', 'source', 'description', 'germanText', 'values', 'constraints', 'typeInfo',
+    'usageContext', 'relatedEnumerations', 'note', 'version', 'lastModified'
+  ],
+  enumValue: ['name', 'n', 'numericValue', 'hexValue', 'description', 'germanText', 'usage', 'deprecated', 'since'],
+  typeInfo: ['asn1Type', 'javaType', 'cType', 'encoding'],
+
+  // process.xsd (regulatory processes use requirements, steps, deadlines, outcomes, ... instead)
+  process: [
+    'processId', 'processName', 'description', 'actors', 'usedObjects', 'interfaceFunctions', 'inputParameters',
+    'outputParameters', 'usedDataObjects', 'possibleExceptions', 'requirements', 'steps', 'deadlines', 'exceptions',
+    'outcomes', 'restrictions', 'references', 'notes'
+  ],
+  processParameter: ['name', 'type', 'description'],
+  processStep: ['order', 'action', 'reference', 'details', 'note'],
+  deadline: ['type', 'period', 'reference'],
+  outcome: ['type', 'description'],
+
+  // processchain.xsd (plus category, usedObjects, interfaceFunctions and keyDifferences of the transaction chains)
+  processChain: [
+    'chainId', 'name', 'description', 'category', 'involvedProcesses', 'prerequisites', 'actors', 'usedObjects',
+    'interfaceFunctions', 'steps', 'variants', 'outcome', 'usageScenario', 'importantNotes', 'securityAspects', 'rules',
+    'frequency', 'useCases', 'logMessages', 'errorCases', 'securityMechanisms', 'keyDifferences', 'references'
+  ],
+  chainStep: [
+    'stepNumber', 'name', 'function', 'functions', 'description', 'input', 'critical', 'optional', 'frequency',
+    'variants', 'note'
+  ],
+  chainFunction: ['name', 'linkedProcess'],
+  processReference: ['id', 'name'],
+  variant: ['name', 'description'],
+  chainErrorCase: ['error', 'reaction'],
+
+  // processes/map.xml (no schema: order of the shipped map)
+  processMap: ['metadata', 'mainCategories', 'actors', 'usageScenarios', 'criticalProcesses', 'navigation'],
+  mapCategory: ['id', 'name', 'description', 'icon', 'color', 'subCategories'],
+  mapSubCategory: ['id', 'name', 'description', 'processes', 'processChains'],
+  mapProcess: ['id', 'name', 'mandatory', 'critical', 'frequency', 'deadline'],
+  mapChain: ['id', 'name']
+};
+
+module.exports = {
+  ELEMENT_ORDER
+};
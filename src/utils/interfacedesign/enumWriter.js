@@ -0,0 +1,294 @@
+/**
+ * Enum Writer for InterfaceDesign
+ * Serializes enum data in the shape of parseEnumDetail back into enum XML
+ *
+ * Writable: name, category, description, germanText, values (with descriptions), typeInfo,
+ * constraints, usageContext, relatedEnumerations, notes and version. Other elements
+ * (e.g. source) are preserved. Merging works like in functionWriter.
+ */
+
+const xmlParser = require('./xmlParser');
+const {
+  createElement,
+  cloneNode,
+  getChild,
+  getChildren,
+  childText,
+  replaceChildren,
+  buildText,
+  buildList,
+  sameValue,
+  withPrevious,
+  setChild,
+  nameElement,
+  setOptionalText,
+  buildFlexible,
+  booleanText,
+  buildContainer,
+  buildItems
+} = require('./xmlDocument');
+const { ELEMENT_ORDER } = require('./elementOrder');
+const { httpError } = require('../global/httpError');
+const { queuedWriter, readDocument, checkSchema, documentChanged, commitDocuments } = require('./documentStore');
+const { buildConstraint } = require('./typeWriter');
+const { locateFile } = require('./model');
+
+const NAMESPACE = 'http://bsi.bund.de/TR03151';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+const SCHEMA_FILE = 'enums.xsd';
+
+// List fields of the enum data
+const LIST_FIELDS = ['values', 'constraints', 'relatedEnumerations', 'notes'];
+
+// ============================================
+// Element Builders
+// ============================================
+
+function buildValue(existing, value) {
+  const node = existing ? cloneNode(existing) : createElement('value');
+  const nameTag = nameElement(node);
+  const order = ELEMENT_ORDER.enumValue;
+
+  setChild(node, nameTag, buildText(nameTag, value.name, getChild(node, nameTag)), order);
+  setChild(node, 'numericValue', buildText('numericValue', value.numericValue, getChild(node, 'numericValue')), order);
+  setChild(node, 'hexValue', buildText('hexValue', value.hexValue, getChild(node, 'hexValue')), order);
+  setChild(node, 'description', buildFlexible('description', value.description, getChild(node, 'description')), order);
+  setChild(node, 'germanText', buildText('germanText', value.germanText, getChild(node, 'germanText')), order);
+  setChild(node, 'usage', buildText('usage', value.usage, getChild(node, 'usage')), order);
+  setOptionalText(node, 'deprecated', booleanText(value.deprecated), 'false', order);
+  setChild(node, 'since', buildText('since', value.since, getChild(node, 'since')), order);
+  return node;
+}
+
+function buildTypeInfo(existing, typeInfo) {
+  if (!typeInfo) return null;
+  const node = existing ? cloneNode(existing) : createElement('typeInfo');
+  for (const field of ELEMENT_ORDER.typeInfo) {
+    if (typeInfo[field] !== undefined) {
+      setChild(node, field, buildText(field, typeInfo[field], getChild(node, field)), ELEMENT_ORDER.typeInfo);
+    }
+  }
+  return node.children.length > 0 ? node : null;
+}
+
+// ============================================
+// Enum Document
+// ============================================
+
+/**
+ * Create an empty enum document
+ * @param {string} id - Enum id (file stem)
+ */
+function createEnumDocument(id) {
+  return {
+    declaration: '<?xml version="1.0" encoding="UTF-8"?>',
+    root: createElement('enum', {
+      attributes: {
+        id,
+        xmlns: NAMESPACE,
+        'xmlns:xsi': XSI_NAMESPACE,
+        'xsi:schemaLocation': `${NAMESPACE} ../../_schema/${SCHEMA_FILE}`
+      }
+    })
+  };
+}
+
+/**
+ * Merge enum data into an enum document
+ * @param {Object} doc - Existing document (modified)
+ * @param {Object} data - Enum data (shape of parseEnumDetail)
+ * @param {Object|null} previous - Parsed data of the existing document (null for new enums)
+ * @returns {Object} - The document
+ */
+function applyEnumData(doc, data, previous) {
+  const root = doc.root;
+  const order = ELEMENT_ORDER.enum;
+  const changed = field => data[field] !== undefined && !(previous && sameValue(previous[field], data[field]));
+
+  if (changed('name')) {
+    const nameTag = nameElement(root);
+    setChild(root, nameTag, buildText(nameTag, data.name, getChild(root, nameTag)), order);
+  }
+  if (changed('category')) {
+    // parseEnumDetail reports a missing category as 'Uncategorized'
+    setOptionalText(root, 'category', data.category, 'Uncategorized', order);
+  }
+  for (const field of ['description', 'usageContext']) {
+    if (changed(field)) {
+      setChild(root, field, buildFlexible(field, data[field], getChild(root, field)), order);
+    }
+  }
+  for (const field of ['germanText', 'version']) {
+    if (changed(field)) {
+      setChild(root, field, buildText(field, data[field], getChild(root, field)), order);
+    }
+  }
+
+  if (changed('values')) {
+    const existing = getChild(root, 'values');
+    const previousValues = previous ? previous.values : [];
+    const values = buildList(getChildren(existing, 'value'), data.values, (node, item) => {
+      const before = previousValues.find(v => v.name === item.name);
+      const value = node ? withPrevious(item, before) : item;
+      if (node && before && sameValue(before, value)) return cloneNode(node);
+      return buildValue(node, value);
+    }, value => value.name, node => childText(node, nameElement(node)));
+    setChild(root, 'values', buildContainer('values', 'value', existing, values, !!existing), order);
+  }
+
+  if (changed('typeInfo')) {
+    const typeInfo = withPrevious(data.typeInfo, previous && previous.typeInfo);
+    setChild(root, 'typeInfo', buildTypeInfo(getChild(root, 'typeInfo'), typeInfo), order);
+  }
+
+  if (changed('constraints')) {
+    const existing = getChild(root, 'constraints');
+    const constraints = buildItems(getChildren(existing, 'constraint'), previous && previous.constraints, data.constraints, buildConstraint);
+    setChild(root, 'constraints', buildContainer('constraints', 'constraint', existing, constraints, false), order);
+  }
+
+  if (changed('relatedEnumerations')) {
+    const existing = getChild(root, 'relatedEnumerations');
+    const enumerationNodes = getChildren(existing, 'enumeration');
+    const enumerations = (data.relatedEnumerations || [])
+      .map((enumeration, i) => buildText('enumeration', enumeration, enumerationNodes[i]))
+      .filter(Boolean);
+    setChild(root, 'relatedEnumerations',
+      buildContainer('relatedEnumerations', 'enumeration', existing, enumerations, false), order);
+  }
+
+  if (changed('notes')) {
+    replaceChildren(root, 'note',
+      buildItems(getChildren(root, 'note'), previous && previous.notes, data.notes,
+        (node, note) => buildFlexible('note', note, node)),
+      order);
+  }
+
+  return doc;
+}
+
+/**
+ * Check the structure of enum data before it is merged
+ * @param {Object} data - Enum data
+ * @param {boolean} create - New enum (name and values are required)
+ * @returns {Array<Object>} - Errors [{ path, message }]
+ */
+function checkEnumData(data, create) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ path: '', message: 'Enum data must be an object' }];
+  }
+
+  const errors = [];
+  if ((create || data.name !== undefined) && (typeof data.name !== 'string' || !data.name.trim())) {
+    errors.push({ path: 'name', message: 'Name is required' });
+  }
+  for (const field of LIST_FIELDS) {
+    if (data[field] !== undefined && data[field] !== null && !Array.isArray(data[field])) {
+      errors.push({ path: field, message: `'${field}' must be an array` });
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  if ((create || data.values !== undefined) && (!data.values || data.values.length === 0)) {
+    errors.push({ path: 'values', message: 'At least one value is required' });
+  }
+
+  const names = new Set();
+  (data.values || []).forEach((value, i) => {
+    if (!value || typeof value.name !== 'string' || !value.name.trim()) {
+      errors.push({ path: `values[${i}].name`, message: 'Value name is required' });
+    } else if (names.has(value.name)) {
+      errors.push({ path: `values[${i}].name`, message: `Duplicate value '${value.name}'` });
+    } else {
+      names.add(value.name);
+    }
+    const numericValue = value ? value.numericValue : undefined;
+    if (numericValue !== undefined && numericValue !== null && numericValue !== '' && !/^-?\d+$/.test(String(numericValue).trim())) {
+      errors.push({ path: `values[${i}].numericValue`, message: 'Numeric value must be an integer' });
+    }
+  });
+
+  (data.constraints || []).forEach((constraint, i) => {
+    if (!constraint || typeof constraint.type !== 'string' || !constraint.type.trim()) {
+      errors.push({ path: `constraints[${i}].type`, message: 'Constraint type is required' });
+    }
+  });
+
+  return errors;
+}
+
+// ============================================
+// Write Operations
+// ============================================
+
+/**
+ * Create or update an enum in the instance
+ * Inherited enums are written into the instance (they become 'overridden')
+ * @param {Object} layers - { path, base }
+ * @param {string} id - Enum id (file stem)
+ * @param {Object} data - Enum data (shape of parseEnumDetail)
+ * @param {Object} options - { create: true for POST (fails if the enum exists) }
+ * @returns {Promise<Array<string>>} - Written files relative to the interfacedesign folder
+ */
+async function saveEnum(layers, id, data, { create = false } = {}) {
+  if (data && data.id !== undefined && data.id !== id) {
+    throw httpError(400, `Enum id '${data.id}' does not match '${id}'`);
+  }
+
+  const dataErrors = checkEnumData(data, create);
+  if (dataErrors.length > 0) {
+    throw httpError(400, 'Invalid enum data', dataErrors);
+  }
+
+  const parts = ['enums', `${id}.xml`];
+  const current = await readDocument(layers, parts);
+  if (create && current) {
+    throw httpError(409, `Enum '${id}' already exists`);
+  }
+  if (!create && !current) {
+    throw httpError(404, 'Enum not found');
+  }
+
+  const previous = current ? await xmlParser.parseEnumDetail(current.filePath) : null;
+  const doc = current ? { ...current.doc, root: cloneNode(current.doc.root) } : createEnumDocument(id);
+  applyEnumData(doc, data, previous);
+
+  const schemaErrors = await checkSchema(layers, SCHEMA_FILE, doc, current && current.doc);
+  if (schemaErrors.length > 0) {
+    throw httpError(400, `Enum does not conform to ${SCHEMA_FILE}`, schemaErrors);
+  }
+
+  if (current && current.layer !== 'inherited' && !documentChanged(current.doc, doc)) {
+    return [];
+  }
+  return commitDocuments(layers, [{ parts, doc }]);
+}
+
+/**
+ * Delete an enum from the instance
+ * For overridden enums the base template's version becomes visible again
+ * @param {Object} layers - { path, base }
+ * @param {string} id - Enum id (file stem)
+ * @param {string} deletedBy - User name for the trash entry (null without login)
+ * @returns {Promise<Array<string>>} - Removed files relative to the interfacedesign folder
+ */
+async function deleteEnum(layers, id, deletedBy = null) {
+  const parts = ['enums', `${id}.xml`];
+  const location = await locateFile(layers, parts);
+  if (!location) {
+    throw httpError(404, 'Enum not found');
+  }
+  if (location.layer === 'inherited') {
+    throw httpError(409, `Enum '${id}' is inherited from the base template and can't be deleted in the instance`);
+  }
+
+  return commitDocuments(layers, [{ parts, remove: true }], { trash: { category: 'enums', id, deletedBy } });
+}
+
+module.exports = {
+  createEnumDocument,
+  applyEnumData,
+  checkEnumData,
+  saveEnum: queuedWriter(saveEnum),
+  deleteEnum: queuedWriter(deleteEnum)
+};
@@ -0,0 +1,113 @@
+/**
+ * Exception Check for InterfaceDesign functions
+ * A function names its exceptions three times: the <exceptions> list, the <errorCase> entries
+ * of its detailedSteps and the THROW / RAISE (en) and WERFE (de) lines of the step pseudocode.
+ * This check compares the three on the parsed function details (xmlParser.parseFunctionDetail).
+ */
+
+// Pseudocode statements raising exceptions in both languages
+const THROW_PATTERN = /\b(?:THROW|RAISE|WERFE)\b(.*)$/;
+
+// Exception names in a THROW line: "THROW ErrorA", "RAISE ErrorA or ErrorB", "WERFE ErrorA (mit Info)"
+const NAME_PATTERN = /^[A-Z][A-Za-z0-9_]*$/;
+
+/**
+ * Exceptions raised by the THROW / RAISE / WERFE lines of a pseudocode text
+ * Rethrown variables (RAISE e, WERFE e) are not exception names and are skipped
+ * @param {string} text - Pseudocode of one language
+ * @returns {Array<string>} - Exception names
+ */
+function pseudocodeThrows(text) {
+  const names = [];
+  for (const line of String(text || '').split('\n')) {
+    const match = line.match(THROW_PATTERN);
+    if (!match) continue;
+    match[1]
+      .replace(/\(.*?\)/g, ' ')
+      .split(/\s+(?:or|oder)\s+|[,|]/)
+      .map(name => name.trim())
+      .filter(name => NAME_PATTERN.test(name))
+      .forEach(name => names.includes(name) || names.push(name));
+  }
+  return names;
+}
+
+/**
+ * Compare declared exceptions, step errorCases and pseudocode THROWs of a function
+ * @param {Object} func - Function details (parseFunctionDetail)
+ * @returns {Array<Object>} - Warnings [{ kind, exception, steps, message }], kinds:
+ *   undeclared       - raised in a step (errorCase or THROW) but missing in <exceptions>
+ *   unthrown         - declared in <exceptions> but raised in no step
+ *   missingErrorCase - THROW / RAISE / WERFE in a step without an errorCase for the exception in that step
+ */
+function checkFunctionExceptions(func) {
+  const declared = new Set(func.exceptions || []);
+  const steps = func.detailedSteps || [];
+  if (steps.length === 0) return [];
+
+  // Steps raising each exception, per source
+  const errorCaseSteps = new Map();
+  const throwSteps = new Map();
+  const note = (map, name, step) => {
+    const list = map.get(name) || [];
+    if (!list.includes(step)) list.push(step);
+    map.set(name, list);
+  };
+
+  const warnings = [];
+  for (const step of steps) {
+    // Free-text entries ("various, depending on ...") don't name an exception
+    const errorCases = new Set((step.errorCases || [])
+      .map(errorCase => String(errorCase.exception || '').trim())
+      .filter(name => NAME_PATTERN.test(name)));
+    errorCases.forEach(name => note(errorCaseSteps, name, step.number));
+
+    const pseudocode = step.pseudocode || {};
+    const languages = Object.keys(pseudocode).filter(lang => lang !== '_default');
+    const texts = languages.length > 0 ? languages.map(lang => pseudocode[lang]) : [pseudocode._default];
+    const thrown = [...new Set(texts.flatMap(pseudocodeThrows))];
+
+    for (const name of thrown) {
+      note(throwSteps, name, step.number);
+      if (!errorCases.has(name)) {
+        warnings.push({
+          kind: 'missingErrorCase',
+          exception: name,
+          steps: [step.number],
+          message: `Step ${step.number} throws '${name}' in its pseudocode but has no errorCase for it`
+        });
+      }
+    }
+  }
+
+  const raised = new Map(errorCaseSteps);
+  throwSteps.forEach((list, name) => list.forEach(step => note(raised, name, step)));
+
+  for (const [name, list] of raised) {
+    if (declared.has(name)) continue;
+    const stepList = list.sort((a, b) => a - b);
+    warnings.push({
+      kind: 'undeclared',
+      exception: name,
+      steps: stepList,
+      message: `'${name}' is raised in step ${stepList.join(', ')} but missing in the exceptions list`
+    });
+  }
+
+  for (const name of declared) {
+    if (raised.has(name)) continue;
+    warnings.push({
+      kind: 'unthrown',
+      exception: name,
+      steps: [],
+      message: `'${name}' is declared in the exceptions list but raised in no step`
+    });
+  }
+
+  return warnings;
+}
+
+module.exports = {
+  pseudocodeThrows,
+  checkFunctionExceptions
+};
@@ -0,0 +1,346 @@
+/**
+ * Exception Writer for InterfaceDesign
+ * Serializes exception data in the shape of parseExceptionDetail back into exception XML
+ *
+ * Writable: name, category, subcategory, severity, description, javadoc, specification,
+ * thrownBy, executionSequence and recovery. All other elements (relatedExceptions,
+ * postconditionality, notes, ...) are preserved unchanged. Merging works like in
+ * functionWriter: unchanged fields keep their elements, fields missing in the data stay as they are.
+ */
+
+const xmlParser = require('./xmlParser');
+const {
+  createElement,
+  cloneNode,
+  getChild,
+  getChildren,
+  replaceChildren,
+  normalizeMultiLang,
+  buildMultiLang,
+  buildText,
+  sameValue,
+  withPrevious,
+  setChild,
+  setOptionalText,
+  nameElement,
+  buildFlexible,
+  buildContainer,
+  buildItems
+} = require('./xmlDocument');
+const { ELEMENT_ORDER } = require('./elementOrder');
+const { httpError } = require('../global/httpError');
+const { queuedWriter, readDocument, checkSchema, documentChanged, commitDocuments } = require('./documentStore');
+const { exceptionThrownBy, syncExceptionThrownBy } = require('./referenceSync');
+const { locateFile } = require('./model');
+
+const NAMESPACE = 'http://bsi.bund.de/TR03151';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+const SCHEMA_FILE = 'exceptions.xsd';
+
+// ============================================
+// Element Builders
+// ============================================
+
+function hasText(value) {
+  const texts = normalizeMultiLang(value);
+  return !!(texts.de || texts.en);
+}
+
+/**
+ * Build a list of text elements (e.g. <throws>, <reference>) reusing the existing elements
+ */
+function buildTextItems(name, nodes, values) {
+  return (values || []).map((value, i) => buildText(name, value, nodes[i] || null)).filter(Boolean);
+}
+
+function buildJavadoc(existing, javadoc, previous) {
+  if (!javadoc) return null;
+  const node = existing ? cloneNode(existing) : createElement('javadoc');
+  const order = ELEMENT_ORDER.javadoc;
+
+  setChild(node, 'summary', buildMultiLang('summary', javadoc.summary, getChild(node, 'summary')), order);
+  setChild(node, 'description', buildMultiLang('description', javadoc.description, getChild(node, 'description')), order);
+  if (javadoc.throws !== undefined && !(previous && sameValue(previous.throws, javadoc.throws))) {
+    replaceChildren(node, 'throws', buildTextItems('throws', getChildren(node, 'throws'), javadoc.throws), order);
+  }
+  // Constructors are documentation of the generated class and stay as they are
+  setChild(node, 'since', buildText('since', javadoc.since, getChild(node, 'since')), order);
+  setChild(node, 'author', buildText('author', javadoc.author, getChild(node, 'author')), order);
+  return node;
+}
+
+function buildSpecification(existing, specification, previous) {
+  if (!specification) return null;
+  const node = existing ? cloneNode(existing) : createElement('specification');
+  const order = ELEMENT_ORDER.specification;
+
+  setChild(node, 'source', buildText('source', specification.source, getChild(node, 'source')), order);
+  setChild(node, 'section', buildText('section', specification.section, getChild(node, 'section')), order);
+  setChild(node, 'requirement', buildMultiLang('requirement', specification.requirement, getChild(node, 'requirement')), order);
+  setChild(node, 'applicability', buildMultiLang('applicability', specification.applicability, getChild(node, 'applicability')), order);
+  if (specification.references !== undefined && (!previous || !sameValue(previous.references, specification.references))) {
+    replaceChildren(node, 'reference', buildTextItems('reference', getChildren(node, 'reference'), specification.references), order);
+  }
+  return node;
+}
+
+function buildSequenceStep(existing, step) {
+  const node = buildMultiLang('step', step.description, existing);
+  if (!node) return null;
+
+  for (const attribute of ['number', 'name']) {
+    if (step[attribute] !== undefined && step[attribute] !== null && step[attribute] !== '') {
+      node.attributes[attribute] = String(step[attribute]);
+    } else {
+      delete node.attributes[attribute];
+    }
+  }
+  return node;
+}
+
+function buildRecovery(existing, recovery, previous) {
+  if (!recovery) return null;
+
+  // Recovery written as plain text stays plain text as long as there is nothing but a description
+  const structured = (recovery.steps && recovery.steps.length > 0) || hasText(recovery.action) ||
+    hasText(recovery.alternativePath) || !existing || existing.children.length > 0;
+  if (!structured) {
+    return buildFlexible('recovery', recovery.description, existing);
+  }
+
+  const node = existing ? cloneNode(existing) : createElement('recovery');
+  const order = ELEMENT_ORDER.recovery;
+  node.text = null;
+
+  for (const field of ['description', 'action', 'alternativePath']) {
+    if (recovery[field] !== undefined) {
+      setChild(node, field, buildMultiLang(field, recovery[field], getChild(node, field)), order);
+    }
+  }
+  if (recovery.steps !== undefined) {
+    replaceChildren(node, 'step',
+      buildItems(getChildren(node, 'step'), previous && previous.steps, recovery.steps,
+        (stepNode, step) => buildMultiLang('step', step, stepNode)),
+      order);
+  }
+  return node;
+}
+
+// ============================================
+// Exception Document
+// ============================================
+
+/**
+ * Create an empty exception document
+ * @param {string} id - Exception id (file stem)
+ */
+function createExceptionDocument(id) {
+  return {
+    declaration: "<?xml version='1.0' encoding='UTF-8' standalone='yes'?>",
+    root: createElement('exception', {
+      attributes: {
+        xmlns: NAMESPACE,
+        'xmlns:xsi': XSI_NAMESPACE,
+        id,
+        'xsi:schemaLocation': `${NAMESPACE} ../../_schema/${SCHEMA_FILE}`
+      }
+    })
+  };
+}
+
+/**
+ * Merge exception data into an exception document
+ * @param {Object} doc - Existing document (modified)
+ * @param {Object} data - Exception data (shape of parseExceptionDetail)
+ * @param {Object|null} previous - Parsed data of the existing document (null for new exceptions)
+ * @returns {Object} - The document
+ */
+function applyExceptionData(doc, data, previous) {
+  const root = doc.root;
+  const order = ELEMENT_ORDER.exception;
+
+  // Nested objects may be partial, their missing fields stay unchanged
+  data = { ...data };
+  for (const field of ['javadoc', 'specification', 'recovery']) {
+    data[field] = withPrevious(data[field], previous && previous[field]);
+  }
+
+  const changed = field => data[field] !== undefined && !(previous && sameValue(previous[field], data[field]));
+
+  if (changed('name')) {
+    const nameTag = nameElement(root);
+    setChild(root, nameTag, buildText(nameTag, data.name, getChild(root, nameTag)), order);
+  }
+  if (changed('description')) {
+    setChild(root, 'description', buildMultiLang('description', data.description, getChild(root, 'description')), order);
+  }
+  for (const field of ['category', 'subcategory']) {
+    if (changed(field)) {
+      setChild(root, field, buildFlexible(field, data[field], getChild(root, field)), order);
+    }
+  }
+  if (changed('severity')) {
+    setOptionalText(root, 'severity', data.severity, 'Medium', order);
+  }
+
+  if (changed('javadoc')) {
+    setChild(root, 'javadoc', buildJavadoc(getChild(root, 'javadoc'), data.javadoc, previous && previous.javadoc), order);
+  }
+  if (changed('specification')) {
+    setChild(root, 'specification',
+      buildSpecification(getChild(root, 'specification'), data.specification, previous && previous.specification), order);
+  }
+
+  if (changed('thrownBy')) {
+    const existing = getChild(root, 'thrownBy');
+    const functions = buildTextItems('function', getChildren(existing, 'function'), data.thrownBy);
+    setChild(root, 'thrownBy', buildContainer('thrownBy', 'function', existing, functions, !!existing), order);
+  }
+
+  if (changed('executionSequence')) {
+    const existing = getChild(root, 'executionSequence');
+    const steps = buildItems(getChildren(existing, 'step'), previous && previous.executionSequence,
+      data.executionSequence, buildSequenceStep);
+    setChild(root, 'executionSequence', buildContainer('executionSequence', 'step', existing, steps, false), order);
+  }
+
+  if (changed('recovery')) {
+    setChild(root, 'recovery', buildRecovery(getChild(root, 'recovery'), data.recovery, previous && previous.recovery), order);
+  }
+
+  return doc;
+}
+
+/**
+ * Check the structure of exception data before it is merged
+ * @param {Object} data - Exception data
+ * @param {boolean} create - New exception (name is required)
+ * @returns {Array<Object>} - Errors [{ path, message }]
+ */
+function checkExceptionData(data, create) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ path: '', message: 'Exception data must be an object' }];
+  }
+
+  const errors = [];
+  if ((create || data.name !== undefined) && (typeof data.name !== 'string' || !data.name.trim())) {
+    errors.push({ path: 'name', message: 'Name is required' });
+  }
+
+  const lists = {
+    thrownBy: data.thrownBy,
+    executionSequence: data.executionSequence,
+    'javadoc.throws': data.javadoc && data.javadoc.throws,
+    'specification.references': data.specification && data.specification.references,
+    'recovery.steps': data.recovery && data.recovery.steps
+  };
+  for (const [field, value] of Object.entries(lists)) {
+    if (value !== undefined && value !== null && !Array.isArray(value)) {
+      errors.push({ path: field, message: `'${field}' must be an array` });
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  const functions = new Set();
+  (data.thrownBy || []).forEach((name, i) => {
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push({ path: `thrownBy[${i}]`, message: 'Function name must be a non-empty string' });
+    } else if (functions.has(name)) {
+      errors.push({ path: `thrownBy[${i}]`, message: `Duplicate function '${name}'` });
+    } else {
+      functions.add(name);
+    }
+  });
+
+  return errors;
+}
+
+// ============================================
+// Write Operations
+// ============================================
+
+/**
+ * Create or update an exception in the instance
+ * Inherited exceptions are written into the instance (they become 'overridden').
+ * Changes of thrownBy are mirrored in the exceptions blocks of the functions.
+ * @param {Object} layers - { path, base }
+ * @param {string} id - Exception id (file stem)
+ * @param {Object} data - Exception data (shape of parseExceptionDetail)
+ * @param {Object} options - { create: true for POST (fails if the exception exists) }
+ * @returns {Promise<Array<string>>} - Written files relative to the interfacedesign folder
+ */
+async function saveException(layers, id, data, { create = false } = {}) {
+  if (data && data.id !== undefined && data.id !== id) {
+    throw httpError(400, `Exception id '${data.id}' does not match '${id}'`);
+  }
+
+  const dataErrors = checkExceptionData(data, create);
+  if (dataErrors.length > 0) {
+    throw httpError(400, 'Invalid exception data', dataErrors);
+  }
+
+  const parts = ['exceptions', `${id}.xml`];
+  const current = await readDocument(layers, parts);
+  if (create && current) {
+    throw httpError(409, `Exception '${id}' already exists`);
+  }
+  if (!create && !current) {
+    throw httpError(404, 'Exception not found');
+  }
+
+  const previous = current ? await xmlParser.parseExceptionDetail(current.filePath) : null;
+  const doc = current ? { ...current.doc, root: cloneNode(current.doc.root) } : createExceptionDocument(id);
+  applyExceptionData(doc, data, previous);
+
+  const schemaErrors = await checkSchema(layers, SCHEMA_FILE, doc, current && current.doc);
+  if (schemaErrors.length > 0) {
+    throw httpError(400, `Exception does not conform to ${SCHEMA_FILE}`, schemaErrors);
+  }
+
+  const changes = [];
+  if (!current || current.layer === 'inherited' || documentChanged(current.doc, doc)) {
+    changes.push({ parts, doc });
+  }
+  changes.push(...await syncExceptionThrownBy(layers, id,
+    current ? exceptionThrownBy(current.doc.root) : [], exceptionThrownBy(doc.root)));
+
+  return commitDocuments(layers, changes);
+}
+
+/**
+ * Delete an exception from the instance
+ * For overridden exceptions the base template's version becomes visible again;
+ * the exceptions blocks of the functions follow the exception that remains visible
+ * @param {Object} layers - { path, base }
+ * @param {string} id - Exception id (file stem)
+ * @param {string} deletedBy - User name for the trash entry (null without login)
+ * @returns {Promise<Array<string>>} - Removed and updated files relative to the interfacedesign folder
+ */
+async function deleteException(layers, id, deletedBy = null) {
+  const parts = ['exceptions', `${id}.xml`];
+  const location = await locateFile(layers, parts);
+  if (!location) {
+    throw httpError(404, 'Exception not found');
+  }
+  if (location.layer === 'inherited') {
+    throw httpError(409, `Exception '${id}' is inherited from the base template and can't be deleted in the instance`);
+  }
+
+  // A broken file can still be deleted, its references are unknown then
+  const own = await readDocument({ path: layers.path }, parts).catch(() => null);
+  const base = layers.base ? await readDocument({ path: layers.base }, parts).catch(() => null) : null;
+
+  return commitDocuments(layers, [
+    { parts, remove: true },
+    ...await syncExceptionThrownBy(layers, id,
+      own ? exceptionThrownBy(own.doc.root) : [], base ? exceptionThrownBy(base.doc.root) : [])
+  ], { trash: { category: 'exceptions', id, deletedBy } });
+}
+
+module.exports = {
+  createExceptionDocument,
+  applyExceptionData,
+  checkExceptionData,
+  saveException: queuedWriter(saveException),
+  deleteException: queuedWriter(deleteException)
+};
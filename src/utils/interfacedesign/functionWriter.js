@@ -0,0 +1,505 @@
+/**
+ * Function Writer for InterfaceDesign
+ * Serializes function data in the shape of parseFunctionDetail back into function XML
+ *
+ * Changes are merged into the existing document instead of regenerating it:
+ *   - fields and list items that are unchanged compared to the parsed file keep their elements as they are
+ *   - changed elements are updated in place, new elements are inserted in schema order
+ *   - elements the parser does not know (e.g. <note> in parameters) are preserved
+ *   - both language variants (<text xml:lang="en|de">) are kept
+ * Fields missing in the data (also in list items that already exist) are left unchanged;
+ * null or empty lists remove them.
+ */
+
+const xmlParser = require('./xmlParser');
+const {
+  createElement,
+  cloneNode,
+  getChild,
+  getChildren,
+  childText,
+  replaceChildren,
+  buildMultiLang,
+  buildText,
+  buildList,
+  sameValue,
+  withPrevious,
+  setChild,
+  nameElement,
+  setOptionalText,
+  buildFlexible,
+  booleanText,
+  buildContainer,
+  buildItems
+} = require('./xmlDocument');
+const { ELEMENT_ORDER } = require('./elementOrder');
+const { httpError } = require('../global/httpError');
+const { queuedWriter, readDocument, checkSchema, documentChanged, commitDocuments } = require('./documentStore');
+const { functionExceptions, syncFunctionExceptions } = require('./referenceSync');
+const { locateFile } = require('./model');
+
+const NAMESPACE = 'http://bsi.bund.de/TR03151';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+const SCHEMA_FILE = 'functions.xsd';
+
+// List fields of the function data
+const LIST_FIELDS = ['parameters', 'detailedSteps', 'exceptions', 'authorizedRoles', 'notes', 'overloads', 'mutualExclusions'];
+
+// ============================================
+// Element Builders
+// ============================================
+
+function buildErrorCase(existing, errorCase) {
+  const node = existing ? cloneNode(existing) : createElement('errorCase');
+  const exceptions = (Array.isArray(errorCase.exception) ? errorCase.exception : [errorCase.exception])
+    .filter(Boolean);
+  const exceptionNodes = getChildren(node, 'exception');
+
+  replaceChildren(node, 'exception', exceptions.map((exception, i) => buildText('exception', exception, exceptionNodes[i])), ELEMENT_ORDER.errorCase);
+  setChild(node, 'trigger', buildMultiLang('trigger', errorCase.trigger, getChild(node, 'trigger')), ELEMENT_ORDER.errorCase);
+  setChild(node, 'action', buildMultiLang('action', errorCase.action, getChild(node, 'action')), ELEMENT_ORDER.errorCase);
+  return node;
+}
+
+function buildSuccessCase(existing, successCase) {
+  const node = existing ? cloneNode(existing) : createElement('successCase');
+  setChild(node, 'condition', buildMultiLang('condition', successCase.condition, getChild(node, 'condition')), ELEMENT_ORDER.successCase);
+  setChild(node, 'action', buildMultiLang('action', successCase.action, getChild(node, 'action')), ELEMENT_ORDER.successCase);
+  return node;
+}
+
+function buildStandardStep(existing, standardStep) {
+  if (!standardStep) return null;
+
+  let node = buildMultiLang('standardStep', standardStep.shortCommand, existing, {
+    childName: 'shortCommand',
+    languages: ['de', 'en']
+  });
+  if (!node) {
+    node = existing ? cloneNode(existing) : createElement('standardStep');
+    node.children = node.children.filter(child => child.name !== 'shortCommand');
+  }
+
+  if (standardStep.number !== null && standardStep.number !== undefined && standardStep.number !== '') {
+    node.attributes.number = String(standardStep.number);
+  } else {
+    delete node.attributes.number;
+  }
+  return node;
+}
+
+function buildStep(existing, step, previous) {
+  const node = existing ? cloneNode(existing) : createElement('step');
+
+  setChild(node, 'number', buildText('number', step.number, getChild(node, 'number')), ELEMENT_ORDER.step);
+  if (!previous || !sameValue(previous.standardStep, step.standardStep)) {
+    setChild(node, 'standardStep', buildStandardStep(getChild(node, 'standardStep'), step.standardStep), ELEMENT_ORDER.step);
+  }
+
+  // Legacy steps describe themselves in <germanText> / <originalText>
+  const legacy = !getChild(node, 'description') && (getChild(node, 'germanText') || getChild(node, 'originalText'));
+  if (legacy) {
+    const description = step.description || {};
+    const de = typeof description === 'string' ? description : (description.de || description._default || '');
+    const en = typeof description === 'string' ? description : (description.en || '');
+    setChild(node, 'germanText', buildText('germanText', de, getChild(node, 'germanText')), ELEMENT_ORDER.step);
+    if (getChild(node, 'originalText') || (en && en !== de)) {
+      setChild(node, 'originalText', buildText('originalText', en, getChild(node, 'originalText')), ELEMENT_ORDER.step);
+    }
+  } else {
+    setChild(node, 'description', buildMultiLang('description', step.description, getChild(node, 'description')), ELEMENT_ORDER.step);
+  }
+
+  setChild(node, 'pseudocode', buildMultiLang('pseudocode', step.pseudocode, getChild(node, 'pseudocode')), ELEMENT_ORDER.step);
+
+  replaceChildren(node, 'errorCase',
+    buildItems(getChildren(node, 'errorCase'), previous && previous.errorCases, step.errorCases, buildErrorCase),
+    ELEMENT_ORDER.step);
+  replaceChildren(node, 'successCase',
+    buildItems(getChildren(node, 'successCase'), previous && previous.successCases, step.successCases, buildSuccessCase),
+    ELEMENT_ORDER.step);
+
+  return node;
+}
+
+function buildParameter(existing, parameter) {
+  const node = existing ? cloneNode(existing) : createElement('parameter');
+  const nameTag = nameElement(node);
+
+  setChild(node, nameTag, buildText(nameTag, parameter.name, getChild(node, nameTag)), ELEMENT_ORDER.parameter);
+  setChild(node, 'type', buildText('type', parameter.type, getChild(node, 'type')), ELEMENT_ORDER.parameter);
+  setChild(node, 'description', buildMultiLang('description', parameter.description, getChild(node, 'description')), ELEMENT_ORDER.parameter);
+  setOptionalText(node, 'direction', parameter.direction, 'INPUT', ELEMENT_ORDER.parameter);
+  setOptionalText(node, 'required', booleanText(parameter.required), 'false', ELEMENT_ORDER.parameter);
+  setChild(node, 'defaultValue', buildText('defaultValue', parameter.defaultValue, getChild(node, 'defaultValue')), ELEMENT_ORDER.parameter);
+  return node;
+}
+
+function buildReturnValue(existing, returnValue) {
+  if (!returnValue) return null;
+  const type = returnValue.type || 'void';
+  const description = buildMultiLang('description', returnValue.description, existing && getChild(existing, 'description'));
+  if (!existing && type === 'void' && !description) return null;
+
+  const node = existing ? cloneNode(existing) : createElement('returnValue');
+  setChild(node, 'type', buildText('type', type, getChild(node, 'type')), ELEMENT_ORDER.returnValue);
+  setChild(node, 'description', description, ELEMENT_ORDER.returnValue);
+  return node;
+}
+
+function buildNote(existing, note) {
+  const value = typeof note === 'string' ? { text: note } : (note || {});
+  const node = buildFlexible('note', value.text, existing);
+  if (!node) return null;
+
+  if (value.type) {
+    node.attributes.type = value.type;
+  } else {
+    delete node.attributes.type;
+  }
+  return node;
+}
+
+function buildOverload(existing, overload) {
+  const node = existing ? cloneNode(existing) : createElement('overload');
+
+  if (overload.id !== undefined && overload.id !== null && overload.id !== '') {
+    node.attributes.id = String(overload.id);
+  } else {
+    delete node.attributes.id;
+  }
+  setChild(node, 'signature', buildText('signature', overload.signature, getChild(node, 'signature')), ELEMENT_ORDER.overload);
+  setChild(node, 'description', buildMultiLang('description', overload.description, getChild(node, 'description')), ELEMENT_ORDER.overload);
+
+  const paramsNode = getChild(node, 'parameters');
+  const paramNodes = getChildren(paramsNode, 'param');
+  const params = (overload.parameters || []).map((param, i) => {
+    if (typeof param === 'string') return buildText('param', param, paramNodes[i]);
+    return paramNodes[i] ? cloneNode(paramNodes[i]) : null;
+  }).filter(Boolean);
+  setChild(node, 'parameters', buildContainer('parameters', 'param', paramsNode, params, true), ELEMENT_ORDER.overload);
+
+  setChild(node, 'note', buildFlexible('note', overload.note, getChild(node, 'note')), ELEMENT_ORDER.overload);
+  return node;
+}
+
+function buildLogField(existing, field) {
+  const node = existing ? cloneNode(existing) : createElement('field');
+  const nameTag = nameElement(node);
+
+  setChild(node, nameTag, buildText(nameTag, field.name, getChild(node, nameTag)), ELEMENT_ORDER.logField);
+  setChild(node, 'type', buildText('type', field.type, getChild(node, 'type')), ELEMENT_ORDER.logField);
+  setChild(node, 'tag', buildText('tag', field.tag, getChild(node, 'tag')), ELEMENT_ORDER.logField);
+  setOptionalText(node, 'required', booleanText(field.required), 'false', ELEMENT_ORDER.logField);
+  setChild(node, 'defaultValue', buildText('defaultValue', field.defaultValue, getChild(node, 'defaultValue')), ELEMENT_ORDER.logField);
+  setChild(node, 'description', buildMultiLang('description', field.description, getChild(node, 'description')), ELEMENT_ORDER.logField);
+  setChild(node, 'note', buildFlexible('note', field.note, getChild(node, 'note')), ELEMENT_ORDER.logField);
+  setChild(node, 'origin', buildText('origin', field.origin, getChild(node, 'origin')), ELEMENT_ORDER.logField);
+  return node;
+}
+
+/**
+ * Build <systemLog> or <transactionLog>
+ * @param {string} name - systemLog | transactionLog
+ * @param {string} messageName - systemLogMessage | transactionLogMessage
+ */
+function buildLog(name, messageName, existing, log, previous) {
+  if (!log) return null;
+  const node = existing ? cloneNode(existing) : createElement(name);
+
+  setChild(node, 'logType', buildText('logType', log.logType, getChild(node, 'logType')), ELEMENT_ORDER.log);
+  setChild(node, 'requirement', buildFlexible('requirement', log.requirement, getChild(node, 'requirement')), ELEMENT_ORDER.log);
+
+  if (!previous || !sameValue(previous.asn1Structure, log.asn1Structure)) {
+    let asn1 = null;
+    if (log.asn1Structure) {
+      asn1 = getChild(node, 'asn1Structure') ? cloneNode(getChild(node, 'asn1Structure')) : createElement('asn1Structure');
+      setChild(asn1, 'logMessage', buildText('logMessage', log.asn1Structure.logMessage, getChild(asn1, 'logMessage')), ELEMENT_ORDER.asn1Structure);
+      setChild(asn1, messageName, buildText(messageName, log.asn1Structure[messageName], getChild(asn1, messageName)), ELEMENT_ORDER.asn1Structure);
+    }
+    setChild(node, 'asn1Structure', asn1, ELEMENT_ORDER.log);
+  }
+
+  if (!previous || !sameValue(previous.fields, log.fields)) {
+    const structure = getChild(node, 'structure');
+    const fields = buildItems(getChildren(structure, 'field'), previous && previous.fields, log.fields, buildLogField);
+    setChild(node, 'structure', buildContainer('structure', 'field', structure, fields, false), ELEMENT_ORDER.log);
+  }
+  return node;
+}
+
+// ============================================
+// Function Document
+// ============================================
+
+/**
+ * Create an empty function document
+ * @param {string} id - Function id (file stem)
+ */
+function createFunctionDocument(id) {
+  return {
+    declaration: "<?xml version='1.0' encoding='utf-8'?>",
+    root: createElement('function', {
+      attributes: {
+        xmlns: NAMESPACE,
+        'xmlns:xsi': XSI_NAMESPACE,
+        id,
+        'xsi:schemaLocation': `${NAMESPACE} ../../_schema/${SCHEMA_FILE}`
+      }
+    })
+  };
+}
+
+/**
+ * Merge function data into a function document
+ * @param {Object} doc - Existing document (modified)
+ * @param {Object} data - Function data (shape of parseFunctionDetail)
+ * @param {Object|null} previous - Parsed data of the existing document (null for new functions)
+ * @returns {Object} - The document
+ */
+function applyFunctionData(doc, data, previous) {
+  const root = doc.root;
+  const changed = field => data[field] !== undefined && !(previous && sameValue(previous[field], data[field]));
+
+  if (changed('name')) {
+    const nameTag = nameElement(root);
+    setChild(root, nameTag, buildText(nameTag, data.name, getChild(root, nameTag)), ELEMENT_ORDER.function);
+  }
+  if (changed('category')) {
+    setChild(root, 'category', buildText('category', data.category, getChild(root, 'category')), ELEMENT_ORDER.function);
+  }
+  if (changed('description')) {
+    setChild(root, 'description', buildMultiLang('description', data.description, getChild(root, 'description')), ELEMENT_ORDER.function);
+  }
+
+  if (changed('authorizedRoles')) {
+    const existing = getChild(root, 'authorizedRoles');
+    const roleNodes = getChildren(existing, 'role');
+    const roles = (data.authorizedRoles || []).map((role, i) => buildText('role', role, roleNodes[i])).filter(Boolean);
+    setChild(root, 'authorizedRoles', buildContainer('authorizedRoles', 'role', existing, roles, false), ELEMENT_ORDER.function);
+  }
+
+  if (changed('detailedSteps')) {
+    const existing = getChild(root, 'detailedSteps');
+    const previousSteps = previous ? previous.detailedSteps : [];
+    const steps = buildList(getChildren(existing, 'step'), data.detailedSteps, (node, item) => {
+      const before = previousSteps.find(s => String(s.number) === String(item.number)) || null;
+      const step = node ? withPrevious(item, before) : item;
+      if (node && before && sameValue(before, step)) return cloneNode(node);
+      return buildStep(node, step, node ? before : null);
+    }, step => String(step.number), node => (childText(node, 'number') || '').trim());
+    setChild(root, 'detailedSteps', buildContainer('detailedSteps', 'step', existing, steps, false), ELEMENT_ORDER.function);
+  }
+
+  if (changed('parameters')) {
+    const existing = getChild(root, 'parameters');
+    const previousParameters = previous ? previous.parameters : [];
+    const parameters = buildList(getChildren(existing, 'parameter'), data.parameters, (node, item) => {
+      const before = previousParameters.find(p => p.name === item.name);
+      const parameter = node ? withPrevious(item, before) : item;
+      if (node && before && sameValue(before, parameter)) return cloneNode(node);
+      return buildParameter(node, parameter);
+    }, parameter => parameter.name, node => childText(node, nameElement(node)));
+    setChild(root, 'parameters', buildContainer('parameters', 'parameter', existing, parameters, true), ELEMENT_ORDER.function);
+  }
+
+  if (changed('returnValue')) {
+    setChild(root, 'returnValue', buildReturnValue(getChild(root, 'returnValue'), data.returnValue), ELEMENT_ORDER.function);
+  }
+
+  if (changed('overloads')) {
+    const existing = getChild(root, 'overloads');
+    const overloads = buildItems(getChildren(existing, 'overload'), previous && previous.overloads, data.overloads, buildOverload);
+    setChild(root, 'overloads', buildContainer('overloads', 'overload', existing, overloads, false), ELEMENT_ORDER.function);
+  }
+
+  if (changed('mutualExclusions')) {
+    const existing = getChild(root, 'mutualExclusions');
+    const exclusionNodes = getChildren(existing, 'exclusion');
+    const exclusions = (data.mutualExclusions || [])
+      .map((exclusion, i) => buildMultiLang('exclusion', exclusion, exclusionNodes[i] || null))
+      .filter(Boolean);
+    setChild(root, 'mutualExclusions', buildContainer('mutualExclusions', 'exclusion', existing, exclusions, false), ELEMENT_ORDER.function);
+  }
+
+  if (changed('exceptions')) {
+    const existing = getChild(root, 'exceptions');
+    const exceptionNodes = getChildren(existing, 'exception');
+    const exceptions = (data.exceptions || []).map((exception, i) => buildText('exception', exception, exceptionNodes[i])).filter(Boolean);
+    setChild(root, 'exceptions', buildContainer('exceptions', 'exception', existing, exceptions, !!existing), ELEMENT_ORDER.function);
+  }
+
+  if (changed('notes')) {
+    replaceChildren(root, 'note',
+      buildItems(getChildren(root, 'note'), previous && previous.notes, data.notes, buildNote),
+      ELEMENT_ORDER.function);
+  }
+
+  for (const field of ['precondition', 'postcondition']) {
+    if (changed(field)) {
+      setChild(root, field, buildFlexible(field, data[field], getChild(root, field)), ELEMENT_ORDER.function);
+    }
+  }
+
+  if (changed('systemLog')) {
+    setChild(root, 'systemLog',
+      buildLog('systemLog', 'systemLogMessage', getChild(root, 'systemLog'), data.systemLog, previous && previous.systemLog),
+      ELEMENT_ORDER.function);
+  }
+  if (changed('transactionLog')) {
+    setChild(root, 'transactionLog',
+      buildLog('transactionLog', 'transactionLogMessage', getChild(root, 'transactionLog'), data.transactionLog, previous && previous.transactionLog),
+      ELEMENT_ORDER.function);
+  }
+
+  return doc;
+}
+
+/**
+ * Check the structure of function data before it is merged
+ * @param {Object} data - Function data
+ * @param {boolean} create - New function (name is required)
+ * @returns {Array<Object>} - Errors [{ path, message }]
+ */
+function checkFunctionData(data, create) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ path: '', message: 'Function data must be an object' }];
+  }
+
+  if ((create || data.name !== undefined) && (typeof data.name !== 'string' || !data.name.trim())) {
+    errors.push({ path: 'name', message: 'Name is required' });
+  }
+  for (const field of LIST_FIELDS) {
+    if (data[field] !== undefined && data[field] !== null && !Array.isArray(data[field])) {
+      errors.push({ path: field, message: `'${field}' must be an array` });
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  const names = new Set();
+  (data.parameters || []).forEach((parameter, i) => {
+    if (!parameter || typeof parameter.name !== 'string' || !parameter.name.trim()) {
+      errors.push({ path: `parameters[${i}].name`, message: 'Parameter name is required' });
+    } else if (names.has(parameter.name)) {
+      errors.push({ path: `parameters[${i}].name`, message: `Duplicate parameter '${parameter.name}'` });
+    } else {
+      names.add(parameter.name);
+    }
+  });
+
+  const numbers = new Set();
+  (data.detailedSteps || []).forEach((step, i) => {
+    const number = step ? parseInt(step.number, 10) : NaN;
+    if (!Number.isInteger(number) || number < 1 || String(number) !== String(step.number).trim()) {
+      errors.push({ path: `detailedSteps[${i}].number`, message: 'Step number must be a positive integer' });
+    } else if (numbers.has(number)) {
+      errors.push({ path: `detailedSteps[${i}].number`, message: `Duplicate step number ${number}` });
+    } else {
+      numbers.add(number);
+    }
+    (step && step.errorCases || []).forEach((errorCase, j) => {
+      if (!errorCase || !errorCase.exception) {
+        errors.push({ path: `detailedSteps[${i}].errorCases[${j}].exception`, message: 'Exception is required' });
+      }
+    });
+  });
+
+  (data.exceptions || []).forEach((exception, i) => {
+    if (typeof exception !== 'string' || !exception.trim()) {
+      errors.push({ path: `exceptions[${i}]`, message: 'Exception name must be a non-empty string' });
+    }
+  });
+
+  return errors;
+}
+
+// ============================================
+// Write Operations
+// ============================================
+
+/**
+ * Create or update a function in the instance
+ * Inherited functions are written into the instance (they become 'overridden').
+ * Changes of the exceptions list are mirrored in the thrownBy blocks of the exceptions.
+ * @param {Object} layers - { path, base }
+ * @param {string} id - Function id (file stem)
+ * @param {Object} data - Function data (shape of parseFunctionDetail)
+ * @param {Object} options - { create: true for POST (fails if the function exists) }
+ * @returns {Promise<Array<string>>} - Written files relative to the interfacedesign folder
+ */
+async function saveFunction(layers, id, data, { create = false } = {}) {
+  if (data && data.id !== undefined && data.id !== id) {
+    throw httpError(400, `Function id '${data.id}' does not match '${id}'`);
+  }
+
+  const dataErrors = checkFunctionData(data, create);
+  if (dataErrors.length > 0) {
+    throw httpError(400, 'Invalid function data', dataErrors);
+  }
+
+  const parts = ['functions', `${id}.xml`];
+  const current = await readDocument(layers, parts);
+  if (create && current) {
+    throw httpError(409, `Function '${id}' already exists`);
+  }
+  if (!create && !current) {
+    throw httpError(404, 'Function not found');
+  }
+
+  const previous = current ? await xmlParser.parseFunctionDetail(current.filePath) : null;
+  const doc = current ? { ...current.doc, root: cloneNode(current.doc.root) } : createFunctionDocument(id);
+  applyFunctionData(doc, data, previous);
+
+  const schemaErrors = await checkSchema(layers, SCHEMA_FILE, doc, current && current.doc);
+  if (schemaErrors.length > 0) {
+    throw httpError(400, `Function does not conform to ${SCHEMA_FILE}`, schemaErrors);
+  }
+
+  const changes = [];
+  if (!current || current.layer === 'inherited' || documentChanged(current.doc, doc)) {
+    changes.push({ parts, doc });
+  }
+  changes.push(...await syncFunctionExceptions(layers, id,
+    current ? functionExceptions(current.doc.root) : [], functionExceptions(doc.root)));
+
+  return commitDocuments(layers, changes);
+}
+
+/**
+ * Delete a function from the instance
+ * For overridden functions the base template's version becomes visible again;
+ * the thrownBy blocks of the exceptions follow the function that remains visible
+ * @param {Object} layers - { path, base }
+ * @param {string} id - Function id (file stem)
+ * @param {string} deletedBy - User name for the trash entry (null without login)
+ * @returns {Promise<Array<string>>} - Removed and updated files relative to the interfacedesign folder
+ */
+async function deleteFunction(layers, id, deletedBy = null) {
+  const parts = ['functions', `${id}.xml`];
+  const location = await locateFile(layers, parts);
+  if (!location) {
+    throw httpError(404, 'Function not found');
+  }
+  if (location.layer === 'inherited') {
+    throw httpError(409, `Function '${id}' is inherited from the base template and can't be deleted in the instance`);
+  }
+
+  // A broken file can still be deleted, its references are unknown then
+  const own = await readDocument({ path: layers.path }, parts).catch(() => null);
+  const base = layers.base ? await readDocument({ path: layers.base }, parts).catch(() => null) : null;
+
+  return commitDocuments(layers, [
+    { parts, remove: true },
+    ...await syncFunctionExceptions(layers, id,
+      own ? functionExceptions(own.doc.root) : [], base ? functionExceptions(base.doc.root) : [])
+  ], { trash: { category: 'functions', id, deletedBy } });
+}
+
+module.exports = {
+  createFunctionDocument,
+  applyFunctionData,
+  checkFunctionData,
+  saveFunction: queuedWriter(saveFunction),
+  deleteFunction: queuedWriter(deleteFunction)
+};
@@ -0,0 +1,305 @@
+/**
+ * Integrity Analyzer for InterfaceDesign
+ * Cross-reference check over the whole interface design of an instance (both layers merged)
+ *
+ * A symbol table of all functions, exceptions, types, enums, processes (id and number) and
+ * process chains (id and PKnn) is checked against the references between them:
+ *   functions      - <exceptions>, parameter and return value types
+ *   exceptions     - thrownBy
+ *   types          - field types and base type
+ *   processes      - interfaceFunctions, exceptions
+ *   process chains - step functions, linked processes, involved processes
+ *   process map    - processes and chains of the subcategories, critical processes, starting points
+ *
+ * Reported are dangling references, items nothing refers to and ids used by more than one file.
+ */
+
+const path = require('path');
+const model = require('./model');
+
+// Built-in Java and ASN.1 types used in parameters and fields (ASN.1 keywords are upper case)
+const BUILTIN_TYPES = new Set([
+  'void', 'String', 'byte', 'short', 'int', 'long', 'float', 'double', 'boolean', 'char',
+  'Object', 'Integer', 'Long', 'Boolean', 'Date', 'ZonedDateTime', 'InputStream', 'OutputStream',
+  'PrintableString', 'UTF8String', 'IA5String', 'VisibleString', 'NumericString', 'GeneralizedTime', 'UTCTime'
+]);
+
+const CATEGORY_LABELS = {
+  functions: 'Function',
+  exceptions: 'Exception',
+  types: 'Type',
+  enums: 'Enum',
+  typesOrEnums: 'Type',
+  processes: 'Process',
+  processchains: 'Process chain'
+};
+
+/**
+ * Name of the design type a type expression refers to, null for built-in types
+ * Handles arrays (X[]), generics (List<X>), constraints (X (SIZE (0..64))) and SEQUENCE OF X
+ */
+function typeName(expression) {
+  let name = String(expression || '').trim()
+    .replace(/\(.*$/, '')
+    .replace(/^(SEQUENCE|SET) OF\s+/, '')
+    .replace(/\[\]$/, '')
+    .trim();
+  const generic = name.match(/^[\w.]+<\s*([\w.]+)\s*>$/);
+  if (generic) name = generic[1];
+
+  if (!name || BUILTIN_TYPES.has(name) || /^[A-Z0-9 ]+$/.test(name)) return null;
+  return name;
+}
+
+/**
+ * Normalize a process number ('007', '7' and 7 are the same process)
+ */
+function processKey(id) {
+  const value = String(id || '').trim();
+  return /^\d+$/.test(value) ? `#${parseInt(value, 10)}` : value;
+}
+
+/**
+ * Entry of an item in the report: where it lives and how the client opens it
+ */
+function itemRef(layers, category, item) {
+  const root = item.layer === 'inherited' ? layers.base : layers.path;
+  const ref = {
+    category,
+    id: category === 'processes' || category === 'processchains' ? item.id : path.basename(item.filePath, '.xml'),
+    name: item.id,
+    file: path.relative(root, item.filePath).split(path.sep).join('/'),
+    layer: item.layer === undefined ? null : item.layer
+  };
+  if (category === 'processes') {
+    ref.actor = item.actor;
+    ref.diagramType = item.diagramType;
+  }
+  return ref;
+}
+
+// ============================================
+// Loading
+// ============================================
+
+/**
+ * Load all items with the details the references need
+ * @returns {Promise<Object>} - { [category]: [{ ref, data }] } plus map
+ */
+async function loadDesign(layers) {
+  const design = {};
+
+  for (const category of ['functions', 'exceptions', 'types', 'enums']) {
+    design[category] = [];
+    for (const item of await model.loadCategory(layers, category)) {
+      const ref = itemRef(layers, category, item);
+      const detail = category === 'types' ? await model.getDetail(layers, category, ref.id) : null;
+      design[category].push({ ref, data: detail || item });
+    }
+  }
+
+  design.processes = [];
+  for (const process of await model.loadProcesses(layers)) {
+    const detail = await model.getProcessDetail(layers, process.actor, process.diagramType, process.id);
+    design.processes.push({ ref: itemRef(layers, 'processes', process), data: { ...process, ...detail } });
+  }
+
+  design.processchains = [];
+  for (const chain of await model.loadProcessChains(layers)) {
+    const detail = await model.getProcessChainDetail(layers, chain);
+    design.processchains.push({ ref: itemRef(layers, 'processchains', chain), data: { ...chain, ...detail } });
+  }
+
+  const mapLocation = await model.locateFile(layers, ['processes', 'map.xml']);
+  design.map = mapLocation ? await model.parseProcessMap(layers) : null;
+  if (design.map) {
+    design.mapRef = { category: 'processmap', id: 'map', name: 'map', file: 'processes/map.xml', layer: mapLocation.layer };
+  }
+
+  return design;
+}
+
+/**
+ * Symbol table: category -> Map of key -> items (several items per key are duplicates)
+ */
+function buildSymbols(design) {
+  const symbols = {};
+  const add = (category, key, entry) => {
+    if (!key) return;
+    const table = symbols[category] = symbols[category] || new Map();
+    const items = table.get(key) || [];
+    if (!items.includes(entry)) items.push(entry);
+    table.set(key, items);
+  };
+
+  for (const category of ['functions', 'exceptions', 'types', 'enums']) {
+    for (const entry of design[category]) {
+      add(category, entry.data.id, entry);
+      if (entry.data.name && entry.data.name !== entry.data.id) add(category, entry.data.name, entry);
+    }
+  }
+  for (const entry of design.processes) {
+    add('processes', entry.data.id, entry);
+    add('processes', processKey(entry.data.processId), entry);
+  }
+  for (const entry of design.processchains) {
+    add('processchains', entry.data.id, entry);
+    add('processchains', entry.data.chainId, entry);
+  }
+  return symbols;
+}
+
+// ============================================
+// References
+// ============================================
+
+/**
+ * References of every item: [{ source, field, target, name, key }]
+ */
+function collectReferences(design) {
+  const references = [];
+  const refer = (source, field, target, name, key = name) => {
+    if (name === undefined || name === null || String(name).trim() === '') return;
+    references.push({ source, field, target, name: String(name).trim(), key: String(key).trim() });
+  };
+  const referType = (source, field, expression) => {
+    const name = typeName(expression);
+    if (name) refer(source, field, 'typesOrEnums', name);
+  };
+
+  for (const { ref, data } of design.functions) {
+    (data.exceptions || []).forEach((name, i) => refer(ref, `exceptions[${i}]`, 'exceptions', name));
+    (data.parameters || []).forEach((param, i) => referType(ref, `parameters[${i}].type`, param.type));
+    if (data.returnValue) referType(ref, 'returnValue.type', data.returnValue.type);
+  }
+
+  for (const { ref, data } of design.exceptions) {
+    (data.thrownBy || []).forEach((name, i) => refer(ref, `thrownBy[${i}]`, 'functions', name));
+  }
+
+  for (const { ref, data } of design.types) {
+    (data.fields || []).forEach((field, i) => referType(ref, `fields[${i}].type`, field.type));
+    if (data.baseType) referType(ref, 'baseType', data.baseType);
+  }
+
+  for (const { ref, data } of design.processes) {
+    (data.interfaceFunctions || []).forEach((name, i) => refer(ref, `interfaceFunctions[${i}]`, 'functions', name));
+    (data.exceptions || []).forEach((name, i) => refer(ref, `exceptions[${i}]`, 'exceptions', name));
+  }
+
+  for (const { ref, data } of design.processchains) {
+    (data.steps || []).forEach((step, i) => {
+      const functions = [
+        ...(step.function ? [[`steps[${i}].function`, step.function]] : []),
+        ...(step.functions || []).map((func, j) => [`steps[${i}].functions[${j}]`, func])
+      ];
+      for (const [field, func] of functions) {
+        refer(ref, `${field}.name`, 'functions', func.name);
+        if (func.linkedProcess) {
+          refer(ref, `${field}.linkedProcess.id`, 'processes', func.linkedProcess.id, processKey(func.linkedProcess.id));
+        }
+      }
+    });
+    (data.involvedProcesses || []).forEach((process, i) =>
+      refer(ref, `involvedProcesses[${i}].id`, 'processes', process.id, processKey(process.id)));
+  }
+
+  if (design.map) {
+    const ref = design.mapRef;
+    for (const category of design.map.categories || []) {
+      for (const sub of category.subCategories || []) {
+        (sub.processes || []).forEach((process, i) =>
+          refer(ref, `${sub.id}.processes[${i}]`, 'processes', process.id, processKey(process.id)));
+        (sub.processChains || []).forEach((chain, i) =>
+          refer(ref, `${sub.id}.processChains[${i}]`, 'processchains', chain.id));
+      }
+    }
+    (design.map.criticalProcesses || []).forEach((process, i) =>
+      refer(ref, `criticalProcesses[${i}]`, 'processes', process.id, processKey(process.id)));
+    ((design.map.navigation && design.map.navigation.startingPoints) || []).forEach((point, i) =>
+      refer(ref, `startingPoints[${i}].start`, 'processchains', point.start));
+  }
+
+  return references;
+}
+
+function lookup(symbols, target, key) {
+  if (target === 'typesOrEnums') {
+    return (symbols.types && symbols.types.get(key)) || (symbols.enums && symbols.enums.get(key)) || null;
+  }
+  return (symbols[target] && symbols[target].get(key)) || null;
+}
+
+// ============================================
+// Analysis
+// ============================================
+
+/**
+ * Analyze the cross references of an instance
+ * @param {Object} layers - { path, base }
+ * @returns {Promise<Object>} - { symbols: { [category]: count }, dangling, unused, duplicates }
+ *   dangling:   [{ source, field, target, name, message }]
+ *   unused:     [item ref]
+ *   duplicates: [{ category, key, items: [item ref] }]
+ */
+async function analyzeIntegrity(layers) {
+  const design = await loadDesign(layers);
+  const symbols = buildSymbols(design);
+  const references = collectReferences(design);
+
+  const dangling = [];
+  const referenced = new Set();
+  for (const reference of references) {
+    const targets = lookup(symbols, reference.target, reference.key);
+    if (!targets) {
+      const label = CATEGORY_LABELS[reference.target];
+      dangling.push({
+        source: reference.source,
+        field: reference.field,
+        target: reference.target === 'typesOrEnums' ? 'types' : reference.target,
+        name: reference.name,
+        message: `${label} '${reference.name}' does not exist`
+      });
+      continue;
+    }
+    // References of an item to itself (recursive types) don't make it used
+    targets.filter(entry => entry.ref !== reference.source).forEach(entry => referenced.add(entry));
+  }
+
+  // Types and enums can also be used inside the ASN.1 definitions of other types
+  const asn1Texts = design.types.map(({ ref, data }) => ({ ref, text: data.asn1Definition || '' }));
+  const usedInAsn1 = entry => asn1Texts.some(({ ref, text }) =>
+    ref !== entry.ref && new RegExp(`(?<![A-Za-z0-9_])${entry.data.id}(?![A-Za-z0-9_])`).test(text));
+
+  const unused = [];
+  for (const category of ['functions', 'exceptions', 'types', 'enums', 'processes', 'processchains']) {
+    for (const entry of design[category]) {
+      if (referenced.has(entry)) continue;
+      if ((category === 'types' || category === 'enums') && usedInAsn1(entry)) continue;
+      unused.push(entry.ref);
+    }
+  }
+
+  const duplicates = [];
+  for (const [category, table] of Object.entries(symbols)) {
+    for (const [key, items] of table) {
+      if (items.length < 2) continue;
+      duplicates.push({
+        category,
+        key: key.startsWith('#') ? key.slice(1).padStart(3, '0') : key,
+        items: items.map(entry => entry.ref)
+      });
+    }
+  }
+
+  const counts = {};
+  for (const category of ['functions', 'exceptions', 'types', 'enums', 'processes', 'processchains']) {
+    counts[category] = design[category].length;
+  }
+
+  return { symbols: counts, references: references.length, dangling, unused, duplicates };
+}
+
+module.exports = {
+  analyzeIntegrity
+};
@@ -0,0 +1,56 @@
+/**
+ * Item Versions for InterfaceDesign
+ * Versions of detail items for optimistic concurrency control (ETag / If-Match)
+ *
+ * The version is a fingerprint of the item's files as the client sees them (XML and, for
+ * processes and process chains, the mermaid diagrams), each read from the layer providing it.
+ * Copying an inherited item into the instance therefore keeps its version.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { resolveItemFiles, itemFileNames } = require('./layers');
+const { locateFile } = require('./model');
+
+/**
+ * Compute the version of an item
+ * @param {Object} layers - { path, base }
+ * @param {Object} item - { category, id, actor?, diagramType?, folder? } as for detachItem
+ * @returns {Promise<string|null>} - Quoted ETag value or null if the item doesn't exist
+ */
+async function itemVersion(layers, item) {
+  const { parts, stem, withMermaid } = resolveItemFiles(item);
+  const hash = crypto.createHash('sha256');
+
+  let found = false;
+  for (const name of itemFileNames(stem, withMermaid)) {
+    const location = await locateFile(layers, [...parts, name]);
+    if (!location) continue;
+    if (name === `${stem}.xml`) found = true;
+
+    hash.update(name);
+    hash.update('\0');
+    hash.update(await fs.readFile(path.join(location.root, ...parts, name)));
+    hash.update('\0');
+  }
+
+  return found ? `"${hash.digest('hex').slice(0, 32)}"` : null;
+}
+
+/**
+ * Check an If-Match header against the current version
+ * Accepts a list of ETags, weak ETags (W/"...") and '*'
+ * @param {string} ifMatch - Header value
+ * @param {string} version - Current version (quoted)
+ */
+function versionMatches(ifMatch, version) {
+  return ifMatch.split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .some(tag => tag === '*' || tag === version);
+}
+
+module.exports = {
+  itemVersion,
+  versionMatches
+};
@@ -0,0 +1,160 @@
+/**
+ * Layer Utilities for InterfaceDesign
+ * Detaches inherited items of a base template into the instance (overlay)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { httpError } = require('../global/httpError');
+
+// Folder of each flat category below the interfacedesign folder
+const CATEGORY_FOLDERS = ['functions', 'enums', 'types', 'exceptions'];
+
+// Files that make up the design; schemas and hidden folders are not part of it
+const DESIGN_FILE_PATTERN = /\.(xml|mermaid)$/;
+
+/**
+ * Resolve the folder and file stem of an item
+ * @param {Object} item - { category, id, actor?, diagramType?, folder? }
+ * @returns {Object} - { parts, stem, withMermaid }
+ */
+function resolveItemFiles(item) {
+  const { category, id, actor, diagramType, folder } = item;
+
+  if (CATEGORY_FOLDERS.includes(category)) {
+    return { parts: [category], stem: id, withMermaid: false };
+  }
+  if (category === 'processes') {
+    if (!actor || !diagramType) throw httpError(400, 'actor and diagramType are required for processes');
+    return { parts: ['processes', actor, diagramType], stem: id, withMermaid: true };
+  }
+  if (category === 'processchains') {
+    if (!folder) throw httpError(400, 'folder is required for process chains');
+    return { parts: ['processes', folder], stem: id, withMermaid: true };
+  }
+  if (category === 'processmap') {
+    return { parts: ['processes'], stem: 'map', withMermaid: false };
+  }
+
+  throw httpError(400, `Unknown category '${category}'`);
+}
+
+/**
+ * Names of the files that can belong to an item (XML and, for diagrams, the mermaid files)
+ */
+function itemFileNames(stem, withMermaid) {
+  const names = [`${stem}.xml`];
+  if (withMermaid) {
+    names.push(`${stem}.mermaid`, `${stem}_de.mermaid`, `${stem}_en.mermaid`);
+  }
+  return names;
+}
+
+/**
+ * List the files belonging to an item in a folder
+ */
+async function listItemFiles(dirPath, stem, withMermaid) {
+  const existing = [];
+  for (const name of itemFileNames(stem, withMermaid)) {
+    try {
+      const stat = await fs.stat(path.join(dirPath, name));
+      if (stat.isFile()) existing.push(name);
+    } catch {
+      // File not present in this layer
+    }
+  }
+  return existing;
+}
+
+/**
+ * List the XML and mermaid files of a layer recursively
+ * @param {string} root - interfacedesign folder of the layer
+ * @returns {Promise<Array<string>>} - Paths relative to the root, '/' separated
+ */
+async function listDesignFiles(root, prefix = []) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(root, ...prefix), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith('.') || entry.name.startsWith('_')) continue;
+    if (entry.isDirectory()) {
+      files.push(...await listDesignFiles(root, [...prefix, entry.name]));
+    } else if (entry.isFile() && DESIGN_FILE_PATTERN.test(entry.name)) {
+      files.push([...prefix, entry.name].join('/'));
+    }
+  }
+  return files;
+}
+
+/**
+ * List the design files of an instance over both layers, the instance's own files win
+ * @param {Object} layers - { path, base }
+ * @returns {Promise<Array<Object>>} - [{ file, root, layer }] sorted by file
+ *   (layer as for locateFile: local, overridden, inherited or null without base template)
+ */
+async function listLayerFiles(layers) {
+  const ownFiles = await listDesignFiles(layers.path);
+  const baseFiles = layers.base ? await listDesignFiles(layers.base) : [];
+  const inBase = new Set(baseFiles);
+  const inOwn = new Set(ownFiles);
+
+  return [
+    ...ownFiles.map(file => ({
+      file,
+      root: layers.path,
+      layer: layers.base ? (inBase.has(file) ? 'overridden' : 'local') : null
+    })),
+    ...baseFiles
+      .filter(file => !inOwn.has(file))
+      .map(file => ({ file, root: layers.base, layer: 'inherited' }))
+  ].sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Copy an inherited item from the base template into the instance
+ * Afterwards the item is 'overridden' and can be edited in the instance
+ * @param {Object} layers - { path, base }
+ * @param {Object} item - { category, id, actor?, diagramType?, folder? }
+ * @returns {Promise<Array<string>>} - Copied files relative to the interfacedesign folder
+ */
+async function detachItem(layers, item) {
+  if (!layers.base) {
+    throw httpError(400, 'Instance has no base template');
+  }
+
+  const { parts, stem, withMermaid } = resolveItemFiles(item);
+  const baseDir = path.join(layers.base, ...parts);
+  const ownDir = path.join(layers.path, ...parts);
+
+  const baseFiles = await listItemFiles(baseDir, stem, withMermaid);
+  if (!baseFiles.includes(`${stem}.xml`)) {
+    throw httpError(404, `'${item.id}' is not part of the base template`);
+  }
+
+  const ownFiles = await listItemFiles(ownDir, stem, withMermaid);
+  if (ownFiles.includes(`${stem}.xml`)) {
+    throw httpError(409, `'${item.id}' is already part of the instance`);
+  }
+
+  await fs.mkdir(ownDir, { recursive: true });
+  const copied = [];
+  for (const name of baseFiles) {
+    // Mermaid files the instance already has (without its XML) are kept
+    if (ownFiles.includes(name)) continue;
+    await fs.copyFile(path.join(baseDir, name), path.join(ownDir, name));
+    copied.push([...parts, name].join('/'));
+  }
+  return copied;
+}
+
+module.exports = {
+  resolveItemFiles,
+  itemFileNames,
+  listLayerFiles,
+  detachItem
+};
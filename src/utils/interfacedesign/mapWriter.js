@@ -0,0 +1,449 @@
+/**
+ * Process Map Writer for InterfaceDesign
+ * Edits the main categories of processes/map.xml: categories and subcategories (add, rename,
+ * reorder, recolor) and the processes and process chains assigned to the subcategories
+ * (add, move between subcategories, reorder, mandatory/critical flags, remove).
+ *
+ * Every operation reads map.xml, changes the affected elements and writes the file; all other
+ * sections (actors, usage scenarios, navigation, ...) stay unchanged. An inherited map.xml is
+ * written into the instance as a whole with its first change.
+ */
+
+const model = require('./model');
+const {
+  createElement,
+  cloneNode,
+  getChild,
+  getChildren,
+  childText,
+  buildMultiLang,
+  buildText,
+  setChild,
+  nameElement,
+  setOptionalText,
+  booleanText
+} = require('./xmlDocument');
+const { ELEMENT_ORDER } = require('./elementOrder');
+const { httpError } = require('../global/httpError');
+const { queueWrite, readDocument, documentChanged, commitDocuments } = require('./documentStore');
+
+const MAP_PARTS = ['processes', 'map.xml'];
+
+// Category and subcategory ids (subcategories use dotted ids like 'lifecycle.initialization')
+const MAP_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+// Entries of a subcategory per kind (URL segment)
+const ENTRY_KINDS = {
+  processes: { container: 'processes', item: 'process', order: ELEMENT_ORDER.mapProcess, label: 'Process' },
+  processchains: { container: 'processChains', item: 'processChain', order: ELEMENT_ORDER.mapChain, label: 'Process chain' }
+};
+
+// ============================================
+// Map Navigation
+// ============================================
+
+function mainCategories(root) {
+  let container = getChild(root, 'mainCategories');
+  if (!container) {
+    container = createElement('mainCategories');
+    setChild(root, 'mainCategories', container, ELEMENT_ORDER.processMap);
+  }
+  return container;
+}
+
+function findCategory(root, id) {
+  const category = getChildren(mainCategories(root), 'category').find(node => childText(node, 'id') === id);
+  if (!category) {
+    throw httpError(404, `Category '${id}' not found`);
+  }
+  return category;
+}
+
+/**
+ * Find a subcategory in all main categories
+ * @returns {Object} - { category, subCategory }
+ */
+function findSubCategory(root, id) {
+  for (const category of getChildren(mainCategories(root), 'category')) {
+    const subCategory = getChildren(getChild(category, 'subCategories'), 'subCategory').find(node => childText(node, 'id') === id);
+    if (subCategory) return { category, subCategory };
+  }
+  throw httpError(404, `Subcategory '${id}' not found`);
+}
+
+/**
+ * Get a container child, creating it at its place in the element order
+ */
+function containerOf(node, name, order) {
+  let container = getChild(node, name);
+  if (!container) {
+    container = createElement(name);
+    setChild(node, name, container, order);
+  }
+  return container;
+}
+
+/**
+ * Insert a node into the items of a container at a position (default: at the end)
+ * The position counts the items with the same name; other children keep their place.
+ * Items separated by empty lines (the categories of the shipped map) stay separated.
+ */
+function insertAt(container, node, position) {
+  const items = getChildren(container, node.name);
+  const spaced = Boolean(node.blankBefore) || items.slice(1).some(item => item.blankBefore);
+  if (position === undefined || position === null || position >= items.length) {
+    const last = items[items.length - 1];
+    const index = last ? container.children.indexOf(last) + 1 : container.children.length;
+    container.children.splice(index, 0, node);
+  } else {
+    container.children.splice(container.children.indexOf(items[Math.max(position, 0)]), 0, node);
+  }
+  container.text = null;
+  getChildren(container, node.name).forEach((item, index) => {
+    item.blankBefore = spaced && index > 0;
+  });
+}
+
+function removeChild(container, node) {
+  container.children = container.children.filter(child => child !== node);
+}
+
+// ============================================
+// Checks
+// ============================================
+
+function checkPosition(value, field = 'position') {
+  if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0)) {
+    return [{ path: field, message: 'Position must be a non-negative integer' }];
+  }
+  return [];
+}
+
+function checkNameRequired(data, errors) {
+  const name = data.name && typeof data.name === 'object' ? (data.name.de || data.name.en || data.name._default) : data.name;
+  if (typeof name !== 'string' || !name.trim()) {
+    errors.push({ path: 'name', message: 'Name is required' });
+  }
+}
+
+/**
+ * Check the data of a category or subcategory
+ * @param {Object} data - { id, name, description, icon, color, category, position }
+ * @param {boolean} create - New element (id and name are required)
+ */
+function checkCategoryData(data, create) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ path: '', message: 'Category data must be an object' }];
+  }
+  const errors = [];
+  if (create) {
+    if (typeof data.id !== 'string' || !MAP_ID_PATTERN.test(data.id)) {
+      errors.push({ path: 'id', message: `Invalid id '${data.id || ''}'` });
+    }
+    checkNameRequired(data, errors);
+  } else if (data.name !== undefined) {
+    checkNameRequired(data, errors);
+  }
+  if (data.color !== undefined && data.color !== null && !COLOR_PATTERN.test(String(data.color))) {
+    errors.push({ path: 'color', message: 'Color must be a hex color like #4A90E2' });
+  }
+  errors.push(...checkPosition(data.position));
+  return errors;
+}
+
+function checkEntryData(data, create) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ path: '', message: 'Entry data must be an object' }];
+  }
+  const errors = [];
+  if (create && (data.id === undefined || data.id === null || String(data.id).trim() === '')) {
+    errors.push({ path: 'id', message: 'Id is required' });
+  }
+  for (const flag of ['mandatory', 'critical']) {
+    if (data[flag] !== undefined && typeof data[flag] !== 'boolean') {
+      errors.push({ path: flag, message: `'${flag}' must be a boolean` });
+    }
+  }
+  if (data.subCategory !== undefined && typeof data.subCategory !== 'string') {
+    errors.push({ path: 'subCategory', message: "'subCategory' must be a subcategory id" });
+  }
+  errors.push(...checkPosition(data.position));
+  return errors;
+}
+
+function rejectInvalid(errors, message) {
+  if (errors.length > 0) {
+    throw httpError(400, message, errors);
+  }
+}
+
+// ============================================
+// Element Builders
+// ============================================
+
+function applyCategoryFields(node, data, order) {
+  const nameTag = nameElement(node);
+  if (data.name !== undefined) {
+    setChild(node, nameTag, buildMultiLang(nameTag, data.name, getChild(node, nameTag)), order);
+  }
+  if (data.description !== undefined) {
+    setChild(node, 'description', buildMultiLang('description', data.description, getChild(node, 'description')), order);
+  }
+  for (const field of ['icon', 'color']) {
+    if (data[field] !== undefined && order.includes(field)) {
+      setChild(node, field, buildText(field, data[field], getChild(node, field)), order);
+    }
+  }
+}
+
+function applyEntryFields(node, data, order) {
+  if (data.name !== undefined) {
+    const nameTag = nameElement(node);
+    setChild(node, nameTag, buildMultiLang(nameTag, data.name, getChild(node, nameTag)), order);
+  }
+  if (!order.includes('mandatory')) return;
+  // Every process of the shipped map states <mandatory>, <critical> only where it is true
+  if (data.mandatory !== undefined) {
+    setChild(node, 'mandatory', buildText('mandatory', booleanText(data.mandatory), getChild(node, 'mandatory')), order);
+  }
+  if (data.critical !== undefined) {
+    setOptionalText(node, 'critical', booleanText(data.critical), 'false', order);
+  }
+  for (const field of ['frequency', 'deadline']) {
+    if (data[field] !== undefined) {
+      setChild(node, field, buildMultiLang(field, data[field], getChild(node, field)), order);
+    }
+  }
+}
+
+/**
+ * Look up the name of a process (by process number) or process chain (by chain id)
+ * Entries must refer to existing processes or chains
+ */
+async function entryName(layers, kind, id) {
+  if (kind === 'processes') {
+    const process = (await model.loadProcesses(layers)).find(p => String(p.processId) === id || p.id.split('-')[0] === id);
+    if (!process) throw httpError(400, `Process '${id}' does not exist`, [{ path: 'id', message: `Process '${id}' does not exist` }]);
+    return process.name;
+  }
+  const chain = (await model.loadProcessChains(layers)).find(c => c.chainId === id);
+  if (!chain) throw httpError(400, `Process chain '${id}' does not exist`, [{ path: 'id', message: `Process chain '${id}' does not exist` }]);
+  return chain.name;
+}
+
+function entryKind(kind) {
+  const entry = ENTRY_KINDS[kind];
+  if (!entry) {
+    throw httpError(404, `Unknown entry type '${kind}'`);
+  }
+  return entry;
+}
+
+// ============================================
+// Write Operations
+// ============================================
+
+/**
+ * Create an empty process map (4-space indentation like the shipped map)
+ */
+function createMapDocument() {
+  return {
+    declaration: '<?xml version="1.0" encoding="UTF-8"?>',
+    indent: '    ',
+    compactEmpty: true,
+    trailer: '\n',
+    root: createElement('processMap', { children: [createElement('mainCategories')] })
+  };
+}
+
+/**
+ * Change map.xml and write it (every write reads and rewrites the whole file, so it runs in
+ * the instance's write queue)
+ * @param {Object} layers - { path, base }
+ * @param {Function} change - async (root) => void, modifies the map's root element
+ * @returns {Promise<Array<string>>} - Written files relative to the interfacedesign folder
+ */
+function writeMap(layers, change) {
+  return queueWrite(layers, async () => {
+    const current = await readDocument(layers, MAP_PARTS);
+    const doc = current ? { ...current.doc, root: cloneNode(current.doc.root) } : createMapDocument();
+    await change(doc.root);
+
+    if (current && !documentChanged(current.doc, doc)) {
+      return [];
+    }
+    return commitDocuments(layers, [{ parts: MAP_PARTS, doc }]);
+  });
+}
+
+/**
+ * Add a main category
+ * @param {Object} layers - { path, base }
+ * @param {Object} data - { id, name, description, icon, color, position }
+ */
+function createCategory(layers, data) {
+  rejectInvalid(checkCategoryData(data, true), 'Invalid category data');
+  return writeMap(layers, root => {
+    const container = mainCategories(root);
+    if (getChildren(container, 'category').some(node => childText(node, 'id') === data.id)) {
+      throw httpError(409, `Category '${data.id}' already exists`);
+    }
+    const node = createElement('category', { children: [createElement('id', { text: data.id })] });
+    applyCategoryFields(node, { color: '#888888', ...data }, ELEMENT_ORDER.mapCategory);
+    setChild(node, 'subCategories', createElement('subCategories'), ELEMENT_ORDER.mapCategory);
+    insertAt(container, node, data.position);
+  });
+}
+
+/**
+ * Change a main category (name, description, icon, color) and/or move it to another position
+ * @param {Object} layers - { path, base }
+ * @param {string} id - Category id
+ * @param {Object} data - { name, description, icon, color, position }
+ */
+function updateCategory(layers, id, data) {
+  rejectInvalid(checkCategoryData(data, false), 'Invalid category data');
+  return writeMap(layers, root => {
+    const node = findCategory(root, id);
+    applyCategoryFields(node, data, ELEMENT_ORDER.mapCategory);
+    if (data.position !== undefined && data.position !== null) {
+      const container = mainCategories(root);
+      removeChild(container, node);
+      insertAt(container, node, data.position);
+    }
+  });
+}
+
+/**
+ * Add a subcategory to a main category
+ * @param {Object} layers - { path, base }
+ * @param {string} categoryId - Main category id
+ * @param {Object} data - { id, name, description, position }
+ */
+function createSubCategory(layers, categoryId, data) {
+  rejectInvalid(checkCategoryData(data, true), 'Invalid subcategory data');
+  return writeMap(layers, root => {
+    const category = findCategory(root, categoryId);
+    const exists = getChildren(mainCategories(root), 'category')
+      .some(cat => getChildren(getChild(cat, 'subCategories'), 'subCategory').some(node => childText(node, 'id') === data.id));
+    if (exists) {
+      throw httpError(409, `Subcategory '${data.id}' already exists`);
+    }
+    const node = createElement('subCategory', { children: [createElement('id', { text: data.id })] });
+    applyCategoryFields(node, data, ELEMENT_ORDER.mapSubCategory);
+    setChild(node, 'processes', createElement('processes'), ELEMENT_ORDER.mapSubCategory);
+    setChild(node, 'processChains', createElement('processChains'), ELEMENT_ORDER.mapSubCategory);
+    insertAt(containerOf(category, 'subCategories', ELEMENT_ORDER.mapCategory), node, data.position);
+  });
+}
+
+/**
+ * Change a subcategory (name, description) and/or move it to another position or main category
+ * @param {Object} layers - { path, base }
+ * @param {string} id - Subcategory id
+ * @param {Object} data - { name, description, category, position }
+ */
+function updateSubCategory(layers, id, data) {
+  rejectInvalid(checkCategoryData(data, false), 'Invalid subcategory data');
+  return writeMap(layers, root => {
+    const { category, subCategory } = findSubCategory(root, id);
+    applyCategoryFields(subCategory, data, ELEMENT_ORDER.mapSubCategory);
+
+    const moved = data.category !== undefined && data.category !== childText(category, 'id');
+    if (moved || (data.position !== undefined && data.position !== null)) {
+      const target = moved ? findCategory(root, data.category) : category;
+      removeChild(getChild(category, 'subCategories'), subCategory);
+      insertAt(containerOf(target, 'subCategories', ELEMENT_ORDER.mapCategory), subCategory, data.position);
+    }
+  });
+}
+
+/**
+ * Assign a process (by process number) or process chain (by chain id) to a subcategory
+ * The name is taken from the process or chain unless given
+ * @param {Object} layers - { path, base }
+ * @param {string} subCategoryId - Subcategory id
+ * @param {string} kind - processes | processchains
+ * @param {Object} data - { id, name, mandatory, critical, frequency, deadline, position }
+ */
+async function addMapEntry(layers, subCategoryId, kind, data) {
+  const entry = entryKind(kind);
+  rejectInvalid(checkEntryData(data, true), 'Invalid entry data');
+  const id = String(data.id).trim();
+  const name = data.name !== undefined ? data.name : await entryName(layers, kind, id);
+
+  return writeMap(layers, root => {
+    const { subCategory } = findSubCategory(root, subCategoryId);
+    const container = containerOf(subCategory, entry.container, ELEMENT_ORDER.mapSubCategory);
+    if (getChildren(container, entry.item).some(node => childText(node, 'id') === id)) {
+      throw httpError(409, `${entry.label} '${id}' is already assigned to '${subCategoryId}'`);
+    }
+    const node = createElement(entry.item, { children: [createElement('id', { text: id })] });
+    applyEntryFields(node, { mandatory: false, ...data, name }, entry.order);
+    insertAt(container, node, data.position);
+  });
+}
+
+/**
+ * Change an assigned process or process chain: flags, position and/or subcategory
+ * @param {Object} layers - { path, base }
+ * @param {string} subCategoryId - Current subcategory id
+ * @param {string} kind - processes | processchains
+ * @param {string} id - Process number or chain id
+ * @param {Object} data - { name, mandatory, critical, frequency, deadline, subCategory, position }
+ */
+function updateMapEntry(layers, subCategoryId, kind, id, data) {
+  const entry = entryKind(kind);
+  rejectInvalid(checkEntryData(data, false), 'Invalid entry data');
+
+  return writeMap(layers, root => {
+    const { subCategory } = findSubCategory(root, subCategoryId);
+    const container = getChild(subCategory, entry.container);
+    const node = getChildren(container, entry.item).find(item => childText(item, 'id') === id);
+    if (!node) {
+      throw httpError(404, `${entry.label} '${id}' is not assigned to '${subCategoryId}'`);
+    }
+    applyEntryFields(node, data, entry.order);
+
+    const moved = data.subCategory !== undefined && data.subCategory !== subCategoryId;
+    if (moved || (data.position !== undefined && data.position !== null)) {
+      const target = moved ? containerOf(findSubCategory(root, data.subCategory).subCategory, entry.container, ELEMENT_ORDER.mapSubCategory) : container;
+      if (moved && getChildren(target, entry.item).some(item => childText(item, 'id') === id)) {
+        throw httpError(409, `${entry.label} '${id}' is already assigned to '${data.subCategory}'`);
+      }
+      removeChild(container, node);
+      insertAt(target, node, data.position);
+    }
+  });
+}
+
+/**
+ * Remove a process or process chain from a subcategory
+ * @param {Object} layers - { path, base }
+ * @param {string} subCategoryId - Subcategory id
+ * @param {string} kind - processes | processchains
+ * @param {string} id - Process number or chain id
+ */
+function removeMapEntry(layers, subCategoryId, kind, id) {
+  const entry = entryKind(kind);
+  return writeMap(layers, root => {
+    const { subCategory } = findSubCategory(root, subCategoryId);
+    const container = getChild(subCategory, entry.container);
+    const node = getChildren(container, entry.item).find(item => childText(item, 'id') === id);
+    if (!node) {
+      throw httpError(404, `${entry.label} '${id}' is not assigned to '${subCategoryId}'`);
+    }
+    removeChild(container, node);
+  });
+}
+
+module.exports = {
+  createCategory,
+  updateCategory,
+  createSubCategory,
+  updateSubCategory,
+  addMapEntry,
+  updateMapEntry,
+  removeMapEntry
+};
@@ -0,0 +1,542 @@
+/**
+ * Mermaid Validator for InterfaceDesign
+ * Server-side check of the process and process chain diagrams (<id>_de.mermaid, <id>_en.mermaid)
+ *
+ * Until now a broken diagram only showed up when MermaidFlowchartView failed to render it.
+ * The parser understands the mermaid subset the diagrams use:
+ *   flowchart / graph - nodes with the shapes [], (), ([]), [[]], [(]), (()), {}, {{}}, >], edges
+ *                       -->, ---, -.->, ==> with |labels| or -- text -->, &, subgraph ... end,
+ *                       style, classDef, class, linkStyle, click, direction
+ *   sequenceDiagram   - participant / actor (with "as"), messages ->>, -->>, ->, -->, -x, --x, -), --)
+ *                       with +/- activation, activate / deactivate, Note, loop / alt / else / opt /
+ *                       par / and / critical / option / break / rect / box ... end, autonumber, title
+ * Checks per item (kind of a warning):
+ *   syntax      - statements outside the subset, unbalanced blocks, broken shapes, deactivating an
+ *                 inactive participant
+ *   participant - sequence participants that are no <actors> of the XML, actors missing in the diagram
+ *   structure   - de and en diagram differ in type or number of nodes, edges, participants or messages
+ *   function    - function calls (name(...)) without a function file
+ */
+
+const path = require('path');
+const model = require('./model');
+const { listLayerFiles } = require('./layers');
+
+const LANGUAGES = ['de', 'en'];
+
+// Opening and closing brackets of the flowchart node shapes, longest first
+const NODE_SHAPES = [
+  ['(((', ')))'], ['([', '])'], ['[[', ']]'], ['[(', ')]'], ['((', '))'], ['{{', '}}'],
+  ['[/', '/]'], ['[\\', '\\]'], ['[', ']'], ['(', ')'], ['{', '}'], ['>', ']']
+];
+
+// Flowchart edges: arrow with optional |label| or text inside the arrow (-- text -->)
+const EDGE_PATTERN = /^(?:(--|==|-\.)\s+([^|]+?)\s+(-->|==>|\.->)|(<?(?:-{2,}[->ox]|-\.+->|-\.+-|={2,}[=>]|~~~)))\s*(?:\|([^|]*)\|)?/;
+
+// Sequence messages, the arrow with the shortest sender wins
+const MESSAGE_PATTERN = /^(.+?)\s*(-->>|->>|--x|-x|--\)|-\)|-->|->)\s*([+-]?)\s*([^:]+?)\s*(?::(.*))?$/;
+
+// Function calls in message texts and node labels, plurals like "signatureCounter(s)" are no calls
+const CALL_PATTERN = /(?<![\w.])([a-z][A-Za-z0-9]*)\((?!s\))/g;
+
+const SEQUENCE_BLOCKS = ['loop', 'alt', 'opt', 'par', 'critical', 'break', 'rect', 'box'];
+const BLOCK_BRANCHES = { else: ['alt'], and: ['par'], option: ['critical'] };
+
+const NODE_ID = /^[\wÄÖÜäöüß-]+/;
+
+function normalize(text) {
+  return String(text || '')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/^"(.*)"$/, '$1')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Lines of a diagram without comments, with line number and indentation (1-based column)
+ */
+function diagramLines(text) {
+  return String(text || '').split(/\r?\n/).map((raw, index) => {
+    const content = raw.replace(/%%.*$/, '');
+    const indent = content.length - content.trimStart().length;
+    return { line: index + 1, column: indent + 1, text: content.trim() };
+  }).filter(line => line.text);
+}
+
+/**
+ * Calls of functions in a text (message or label)
+ */
+function findCalls(text, line, column, calls) {
+  for (const match of String(text || '').matchAll(CALL_PATTERN)) {
+    calls.push({ name: match[1], line, column: column + match.index });
+  }
+}
+
+// ============================================
+// Flowchart
+// ============================================
+
+/**
+ * Read a node reference (id with optional shape) at the start of a statement rest
+ * @returns {Object} - { id, label, length } or { error, offset }
+ */
+function readNode(rest) {
+  const idMatch = rest.match(NODE_ID);
+  if (!idMatch) return { error: 'Node id expected', offset: 0 };
+  const id = idMatch[0];
+  let pos = id.length;
+
+  const shape = NODE_SHAPES.find(([open]) => rest.startsWith(open, pos));
+  if (!shape) return { id, label: null, length: pos };
+  const [open, close] = shape;
+  pos += open.length;
+
+  if (rest[pos] === '"') {
+    const end = rest.indexOf('"', pos + 1);
+    if (end < 0) return { error: `Unterminated quoted text in node '${id}'`, offset: pos };
+    const label = rest.slice(pos + 1, end);
+    if (!rest.startsWith(close, end + 1)) return { error: `Node '${id}' is missing '${close}'`, offset: end + 1 };
+    return { id, label, length: end + 1 + close.length };
+  }
+
+  const end = rest.indexOf(close, pos);
+  if (end < 0) return { error: `Node '${id}' is missing '${close}'`, offset: pos };
+  const label = rest.slice(pos, end);
+  const bracket = label.search(/[[\](){}]/);
+  if (bracket >= 0) {
+    return { error: `Node '${id}' has an unquoted '${label[bracket]}' in its text, put the text in quotes`, offset: pos + bracket };
+  }
+  return { id, label, length: end + close.length };
+}
+
+/**
+ * Parse one flowchart statement: node (& node)* (edge node (& node)*)*
+ */
+function parseFlowStatement(line, diagram) {
+  const { text } = line;
+  const error = (offset, message) => diagram.errors.push({ line: line.line, column: line.column + offset, message });
+
+  let pos = 0;
+  let previous = null;
+  let pendingEdge = null;
+
+  while (pos <= text.length) {
+    // One group of nodes joined by &
+    const group = [];
+    for (;;) {
+      const node = readNode(text.slice(pos));
+      if (node.error) return error(pos + node.offset, node.error);
+      group.push(node.id);
+
+      const known = diagram.nodes.get(node.id);
+      if (!known) {
+        diagram.nodes.set(node.id, { id: node.id, label: node.label, line: line.line });
+      } else if (node.label !== null && known.label === null) {
+        known.label = node.label;
+      }
+      if (node.label !== null) findCalls(node.label, line.line, line.column + pos, diagram.calls);
+
+      pos += node.length;
+      const amp = text.slice(pos).match(/^\s*&\s*/);
+      if (!amp) break;
+      pos += amp[0].length;
+    }
+
+    if (pendingEdge) {
+      for (const from of previous) {
+        for (const to of group) diagram.edges.push({ from, to, label: pendingEdge.label, line: line.line });
+      }
+    }
+    previous = group;
+
+    const space = text.slice(pos).match(/^\s*/)[0].length;
+    if (pos + space >= text.length) return;
+    pos += space;
+
+    const edge = text.slice(pos).match(EDGE_PATTERN);
+    if (!edge) return error(pos, `Unexpected '${text.slice(pos, pos + 10)}', edge or end of statement expected`);
+    const label = edge[2] || edge[5] || null;
+    if (label) findCalls(label, line.line, line.column + pos, diagram.calls);
+    pendingEdge = { label };
+
+    pos += edge[0].length;
+    pos += text.slice(pos).match(/^\s*/)[0].length;
+    if (pos >= text.length) return error(pos, 'Edge without target node');
+  }
+}
+
+function parseFlowchart(lines, diagram) {
+  const subgraphs = [];
+
+  for (const line of lines) {
+    const [keyword] = line.text.split(/\s+/);
+    if (keyword === 'subgraph') {
+      subgraphs.push(line);
+    } else if (keyword === 'end' && line.text === 'end') {
+      if (subgraphs.length === 0) {
+        diagram.errors.push({ line: line.line, column: line.column, message: "'end' without subgraph" });
+      } else {
+        subgraphs.pop();
+      }
+    } else if (['style', 'classDef', 'class', 'linkStyle', 'click'].includes(keyword)) {
+      if (line.text.split(/\s+/).length < 3) {
+        diagram.errors.push({ line: line.line, column: line.column, message: `Incomplete '${keyword}' statement` });
+      }
+    } else if (keyword === 'direction') {
+      continue;
+    } else {
+      parseFlowStatement(line, diagram);
+    }
+  }
+
+  for (const open of subgraphs) {
+    diagram.errors.push({ line: open.line, column: open.column, message: "subgraph without 'end'" });
+  }
+}
+
+// ============================================
+// Sequence Diagram
+// ============================================
+
+function parseSequence(lines, diagram) {
+  const blocks = [];
+  const active = new Map();
+
+  const error = (line, message, offset = 0) =>
+    diagram.errors.push({ line: line.line, column: line.column + offset, message });
+  const participant = (id, label, line, declared) => {
+    const name = id.trim();
+    if (!diagram.participants.has(name)) {
+      diagram.participants.set(name, { id: name, label: (label || name).trim(), line: line.line, declared });
+    }
+  };
+  const deactivate = (id, line) => {
+    const count = active.get(id) || 0;
+    if (count === 0) return error(line, `Deactivating '${id}', which is not active`);
+    active.set(id, count - 1);
+  };
+
+  for (const line of lines) {
+    const { text } = line;
+    const [keyword] = text.split(/\s+/);
+
+    const declaration = text.match(/^(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/);
+    if (declaration) {
+      participant(declaration[2], declaration[3], line, true);
+      continue;
+    }
+
+    if (SEQUENCE_BLOCKS.includes(keyword)) {
+      blocks.push({ keyword, line });
+      continue;
+    }
+    if (BLOCK_BRANCHES[keyword]) {
+      const open = blocks[blocks.length - 1];
+      if (!open || !BLOCK_BRANCHES[keyword].includes(open.keyword)) {
+        error(line, `'${keyword}' outside of ${BLOCK_BRANCHES[keyword].join('/')}`);
+      }
+      continue;
+    }
+    if (text === 'end') {
+      if (blocks.length === 0) error(line, "'end' without open block");
+      blocks.pop();
+      continue;
+    }
+    if (keyword === 'autonumber' || keyword === 'title') continue;
+
+    const activation = text.match(/^(activate|deactivate)\s+(.+)$/);
+    if (activation) {
+      const id = activation[2].trim();
+      participant(id, null, line, false);
+      if (activation[1] === 'activate') {
+        active.set(id, (active.get(id) || 0) + 1);
+      } else {
+        deactivate(id, line);
+      }
+      continue;
+    }
+
+    if (/^note\b/i.test(text)) {
+      const note = text.match(/^note\s+(left of|right of|over)\s+([^:]+):(.*)$/i);
+      if (!note) {
+        error(line, "Note expected as 'Note left of|right of|over <participant>: text'");
+        continue;
+      }
+      note[2].split(',').forEach(id => participant(id, null, line, false));
+      continue;
+    }
+
+    const message = text.match(MESSAGE_PATTERN);
+    if (message) {
+      const [, from, , activationSign, to, body] = message;
+      if (body === undefined) {
+        error(line, `Message from '${from}' to '${to}' without ':'`);
+        continue;
+      }
+      participant(from, null, line, false);
+      participant(to, null, line, false);
+      diagram.messages.push({ from, to, text: body.trim(), line: line.line });
+      findCalls(body, line.line, line.column + text.indexOf(':') + 1, diagram.calls);
+
+      if (activationSign === '+') active.set(to, (active.get(to) || 0) + 1);
+      if (activationSign === '-') deactivate(from, line);
+      continue;
+    }
+
+    error(line, `Unknown statement '${text.length > 40 ? `${text.slice(0, 37)}...` : text}'`);
+  }
+
+  for (const open of blocks) {
+    error(open.line, `'${open.keyword}' without 'end'`);
+  }
+}
+
+// ============================================
+// Parsing
+// ============================================
+
+/**
+ * Parse a diagram of the supported mermaid subset
+ * @param {string} text - Mermaid source
+ * @returns {Object} - { type: 'flowchart'|'sequence'|null, nodes: [{ id, label, line }], edges,
+ *   participants: [{ id, label, line, declared }], messages, calls: [{ name, line, column }],
+ *   errors: [{ line, column, message }] }
+ */
+function parseMermaid(text) {
+  const diagram = { type: null, nodes: new Map(), edges: [], participants: new Map(), messages: [], calls: [], errors: [] };
+  const lines = diagramLines(text);
+
+  if (lines.length === 0) {
+    diagram.errors.push({ line: 1, column: 1, message: 'Empty diagram' });
+  } else if (lines[0].text === 'sequenceDiagram') {
+    diagram.type = 'sequence';
+    parseSequence(lines.slice(1), diagram);
+  } else if (/^(flowchart|graph)(\s+(TB|TD|BT|RL|LR))?$/.test(lines[0].text)) {
+    diagram.type = 'flowchart';
+    parseFlowchart(lines.slice(1), diagram);
+  } else {
+    const { line, column } = lines[0];
+    diagram.errors.push({ line, column, message: `Unsupported diagram type '${lines[0].text}', expected flowchart, graph or sequenceDiagram` });
+  }
+
+  diagram.errors.sort((a, b) => a.line - b.line || a.column - b.column);
+  return {
+    ...diagram,
+    nodes: [...diagram.nodes.values()],
+    participants: [...diagram.participants.values()]
+  };
+}
+
+// ============================================
+// Checks
+// ============================================
+
+/**
+ * Do a sequence participant and a declared actor name the same party?
+ * Participants name an actor by their alias or id, with or without the part in brackets:
+ * "ERS", "Aufzeichnungssystem" and "Aufzeichnungssystem (ERS)" match the actor "Aufzeichnungssystem (ERS)"
+ */
+function matchesActor(participant, actorNames) {
+  const candidates = [participant.label, participant.id].map(normalize);
+  return actorNames.some(name => {
+    const bracket = name.match(/^(.+?)\s*\(([^)]+)\)$/);
+    const variants = bracket ? [name, bracket[1], bracket[2]] : [name];
+    return variants.some(variant => candidates.includes(variant));
+  });
+}
+
+function checkParticipants(diagram, actors, lang) {
+  if (diagram.type !== 'sequence' || actors.length === 0) return [];
+
+  const warnings = [];
+  const names = actor => [actor[lang], actor._default, ...LANGUAGES.map(other => actor[other])]
+    .filter(Boolean)
+    .map(normalize);
+  const allNames = actors.flatMap(names);
+
+  for (const participant of diagram.participants) {
+    if (matchesActor(participant, allNames)) continue;
+    warnings.push({
+      kind: 'participant',
+      language: lang,
+      line: participant.line,
+      column: null,
+      message: `Participant '${participant.label}' is not declared in <actors>`
+    });
+  }
+
+  for (const actor of actors) {
+    if (diagram.participants.some(participant => matchesActor(participant, names(actor)))) continue;
+    warnings.push({
+      kind: 'participant',
+      language: lang,
+      line: null,
+      column: null,
+      message: `Actor '${actor[lang] || actor._default}' is missing in the diagram`
+    });
+  }
+  return warnings;
+}
+
+/**
+ * Compare the structure of the de and en diagram
+ */
+function checkStructure(diagrams) {
+  const [de, en] = LANGUAGES.map(lang => diagrams[lang]);
+  if (!de || !en || !de.type || !en.type) return [];
+
+  const warning = message => ({ kind: 'structure', language: null, line: null, column: null, message });
+  if (de.type !== en.type) {
+    return [warning(`Diagram types differ: ${de.type} (de), ${en.type} (en)`)];
+  }
+
+  const counts = de.type === 'sequence'
+    ? [['participants', d => d.participants.length], ['messages', d => d.messages.length]]
+    : [['nodes', d => d.nodes.length], ['edges', d => d.edges.length]];
+  return counts
+    .filter(([, count]) => count(de) !== count(en))
+    .map(([label, count]) => warning(`Number of ${label} differs: ${count(de)} (de), ${count(en)} (en)`));
+}
+
+function checkCalls(diagram, lang, functionNames) {
+  const seen = new Set();
+  return diagram.calls
+    .filter(call => !functionNames.has(call.name) && !seen.has(call.name) && seen.add(call.name))
+    .map(call => ({
+      kind: 'function',
+      language: lang,
+      line: call.line,
+      column: call.column,
+      message: `Function '${call.name}' is called in the diagram but has no function file`
+    }));
+}
+
+/**
+ * Check the diagrams of a process or process chain
+ * @param {Object} item - Details with actors and mermaidContent { de, en } (getProcessDetail, getProcessChainDetail)
+ * @param {Set<string>} functionNames - Ids and names of all functions
+ * @param {Object} present - Languages with an own diagram file, { de: true, en: false } (default: both);
+ *   a missing language is filled with the other one by the parser and is not checked twice
+ * @returns {Array<Object>} - Warnings [{ kind, language, line, column, message }]
+ */
+function checkDiagrams(item, functionNames, present = { de: true, en: true }) {
+  const content = item.mermaidContent || {};
+  const actors = (item.actors || []).filter(actor => actor && typeof actor === 'object');
+  const diagrams = {};
+  const warnings = [];
+
+  for (const lang of LANGUAGES) {
+    if (!present[lang] || !content[lang]) continue;
+    const diagram = diagrams[lang] = parseMermaid(content[lang]);
+
+    for (const error of diagram.errors) {
+      warnings.push({ kind: 'syntax', language: lang, ...error });
+    }
+    warnings.push(...checkParticipants(diagram, actors, lang));
+    warnings.push(...checkCalls(diagram, lang, functionNames));
+  }
+  warnings.push(...checkStructure(diagrams));
+
+  return warnings;
+}
+
+/**
+ * Ids and names of all functions of an instance
+ */
+async function loadFunctionNames(layers) {
+  const names = new Set();
+  for (const func of await model.loadCategory(layers, 'functions')) {
+    names.add(path.basename(func.filePath, '.xml'));
+    if (func.id) names.add(func.id);
+    if (func.name) names.add(func.name);
+  }
+  return names;
+}
+
+/**
+ * Diagram warnings of a single process or process chain (for the detail routes)
+ * @param {Object} layers - { path, base }
+ * @param {Object} item - Details with actors and mermaidContent
+ */
+async function diagramWarnings(layers, item) {
+  return checkDiagrams(item, await loadFunctionNames(layers), diagramFilesOf(layers, item, await diagramFileMap(layers)));
+}
+
+/**
+ * Diagram files of the instance (both layers) by relative path
+ */
+async function diagramFileMap(layers) {
+  const files = new Map();
+  for (const entry of await listLayerFiles(layers)) {
+    if (entry.file.endsWith('.mermaid')) files.set(entry.file, entry);
+  }
+  return files;
+}
+
+/**
+ * Diagram file of each language of an item, a legacy <id>.mermaid stands for German
+ * @returns {Object} - { de: entry|null, en: entry|null } with the listLayerFiles entries
+ */
+function diagramFilesOf(layers, item, files) {
+  const root = item.layer === 'inherited' ? layers.base : layers.path;
+  const stem = path.relative(root, item.filePath).split(path.sep).join('/').replace(/\.xml$/, '');
+  return {
+    de: files.get(`${stem}_de.mermaid`) || files.get(`${stem}.mermaid`) || null,
+    en: files.get(`${stem}_en.mermaid`) || null
+  };
+}
+
+/**
+ * Check the diagrams of all processes and process chains of an instance
+ * @param {Object} layers - { path, base }
+ * @returns {Promise<Object>} - { checked, findings: [{ file, layer, item, kind, language, line, column, message }] }
+ *   file is the diagram of the finding's language, the XML file for findings about both diagrams
+ */
+async function validateDiagrams(layers) {
+  const functionNames = await loadFunctionNames(layers);
+  const files = await diagramFileMap(layers);
+
+  const items = [];
+  for (const process of await model.loadProcesses(layers)) {
+    const detail = await model.getProcessDetail(layers, process.actor, process.diagramType, process.id);
+    if (detail) {
+      items.push({ ref: { category: 'processes', id: process.id, actor: process.actor, diagramType: process.diagramType }, detail });
+    }
+  }
+  for (const chain of await model.loadProcessChains(layers)) {
+    const detail = await model.getProcessChainDetail(layers, chain);
+    if (detail) {
+      items.push({ ref: { category: 'processchains', id: chain.id, folder: chain.folder }, detail });
+    }
+  }
+
+  const findings = [];
+  let checked = 0;
+  for (const { ref, detail } of items) {
+    const diagramFiles = diagramFilesOf(layers, detail, files);
+    if (!diagramFiles.de && !diagramFiles.en) continue;
+    checked++;
+
+    const root = detail.layer === 'inherited' ? layers.base : layers.path;
+    const xmlFile = path.relative(root, detail.filePath).split(path.sep).join('/');
+    for (const warning of checkDiagrams(detail, functionNames, diagramFiles)) {
+      const source = warning.language ? diagramFiles[warning.language] : null;
+      findings.push({
+        file: source ? source.file : xmlFile,
+        layer: source ? source.layer : (detail.layer === undefined ? null : detail.layer),
+        item: ref,
+        ...warning
+      });
+    }
+  }
+
+  return { checked, findings };
+}
+
+module.exports = {
+  parseMermaid,
+  checkDiagrams,
+  diagramWarnings,
+  validateDiagrams
+};
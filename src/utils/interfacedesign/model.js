@@ -0,0 +1,190 @@
+/**
+ * Cached InterfaceDesign Model
+ * Same loaders as xmlParser, served from the model cache and merged over the
+ * layers of an instance ({ path, base } - see routes/interfacedesign/common.js)
+ *
+ * In layered instances every item is marked with its layer
+ * (instances without a base template get layer null):
+ *   local      - only in the instance
+ *   overridden - in the instance and in the base template (instance wins)
+ *   inherited  - only in the base template
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const xmlParser = require('./xmlParser');
+const { cachedResult, getCacheStats } = require('./modelCache');
+
+// Detail parsers by category
+const DETAIL_PARSERS = {
+  functions: { kind: 'function', parse: xmlParser.parseFunctionDetail },
+  enums: { kind: 'enum', parse: xmlParser.parseEnumDetail },
+  types: { kind: 'type', parse: xmlParser.parseTypeDetail },
+  exceptions: { kind: 'exception', parse: xmlParser.parseExceptionDetail }
+};
+
+// Merge keys: file identity of an item relative to its layer
+const itemKeys = {
+  category: item => path.basename(item.filePath, '.xml'),
+  process: item => `${item.actor}/${item.diagramType}/${item.id}`,
+  chain: item => `${item.folder}/${item.id}`
+};
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Merge the items of both layers per file, the instance's own items win
+ * @param {Object} layers - { path, base }
+ * @param {Function} load - Async loader for a single interfacedesign folder
+ * @param {Function} keyOf - Merge key of an item
+ * @returns {Promise<Array>} - Items marked with their layer
+ */
+async function mergeLayers(layers, load, keyOf) {
+  const own = await load(layers.path);
+  if (!layers.base) {
+    return own;
+  }
+
+  const inherited = await load(layers.base);
+  const ownKeys = new Set(own.map(keyOf));
+  const baseKeys = new Set(inherited.map(keyOf));
+
+  return [
+    ...inherited
+      .filter(item => !ownKeys.has(keyOf(item)))
+      .map(item => ({ ...item, layer: 'inherited' })),
+    ...own.map(item => ({ ...item, layer: baseKeys.has(keyOf(item)) ? 'overridden' : 'local' }))
+  ];
+}
+
+/**
+ * Find the layer that provides a file
+ * @param {Object} layers - { path, base }
+ * @param {Array<string>} parts - File path parts relative to the interfacedesign folder
+ * @returns {Promise<Object|null>} - { root, layer } or null if no layer has the file
+ *   (layer is null for instances without a base template)
+ */
+async function locateFile(layers, parts) {
+  const inOwn = await fileExists(path.join(layers.path, ...parts));
+  const inBase = layers.base ? await fileExists(path.join(layers.base, ...parts)) : false;
+
+  if (inOwn && !layers.base) return { root: layers.path, layer: null };
+  if (inOwn) return { root: layers.path, layer: inBase ? 'overridden' : 'local' };
+  if (inBase) return { root: layers.base, layer: 'inherited' };
+  return null;
+}
+
+function loadCategoryFrom(root, category) {
+  return cachedResult(root, `category:${category}`, category, () => xmlParser.loadCategory(root, category));
+}
+
+function loadProcessesFrom(root) {
+  return cachedResult(root, 'processes', 'processes', () => xmlParser.loadProcesses(root));
+}
+
+function loadProcessChainsFrom(root) {
+  return cachedResult(root, 'processchains', 'processes', () => xmlParser.loadProcessChains(root));
+}
+
+/**
+ * Load all items of a category (functions, enums, types, exceptions)
+ */
+function loadCategory(layers, category) {
+  return mergeLayers(layers, root => loadCategoryFrom(root, category), itemKeys.category);
+}
+
+function loadProcesses(layers) {
+  return mergeLayers(layers, loadProcessesFrom, itemKeys.process);
+}
+
+function loadProcessChains(layers) {
+  return mergeLayers(layers, loadProcessChainsFrom, itemKeys.chain);
+}
+
+/**
+ * Get the overview of all categories
+ */
+async function getOverview(layers) {
+  if (!layers.base) {
+    return cachedResult(layers.path, 'overview', '', () => xmlParser.getOverview(layers.path));
+  }
+
+  const categoryItems = {};
+  for (const category of Object.keys(DETAIL_PARSERS)) {
+    categoryItems[category] = await loadCategory(layers, category);
+  }
+  return xmlParser.summarizeOverview(categoryItems, await loadProcesses(layers), await loadProcessChains(layers));
+}
+
+/**
+ * Get the process map (map.xml is taken as a whole from the instance or the base template)
+ */
+async function parseProcessMap(layers) {
+  const location = await locateFile(layers, ['processes', 'map.xml']);
+  if (!location) return null;
+
+  const processMap = await cachedResult(location.root, 'processmap', 'processes/map.xml',
+    () => xmlParser.parseProcessMap(location.root));
+  return processMap ? { ...processMap, layer: location.layer } : null;
+}
+
+/**
+ * Get the full details of a function, enum, type or exception
+ * @param {Object} layers - { path, base }
+ * @param {string} category - functions | enums | types | exceptions
+ * @param {string} id - File stem
+ * @returns {Promise<Object|null>} - Detail data or null if not found
+ */
+async function getDetail(layers, category, id) {
+  const location = await locateFile(layers, [category, `${id}.xml`]);
+  if (!location) return null;
+
+  const { kind, parse } = DETAIL_PARSERS[category];
+  const detail = await cachedResult(location.root, `${kind}:${id}`, `${category}/${id}.xml`,
+    () => parse(path.join(location.root, category, `${id}.xml`)));
+  return detail ? { ...detail, layer: location.layer } : null;
+}
+
+/**
+ * Get the full details of a process (XML plus the mermaid files next to it)
+ */
+async function getProcessDetail(layers, actor, type, id) {
+  const location = await locateFile(layers, ['processes', actor, type, `${id}.xml`]);
+  if (!location) return null;
+
+  const detail = await cachedResult(location.root, `process:${actor}/${type}/${id}`, `processes/${actor}/${type}`,
+    () => xmlParser.parseProcessDetail(path.join(location.root, 'processes', actor, type, `${id}.xml`), actor, type));
+  return detail ? { ...detail, layer: location.layer } : null;
+}
+
+/**
+ * Get the full details of a process chain (XML plus the mermaid files next to it)
+ * @param {Object} layers - { path, base }
+ * @param {Object} chainInfo - Entry of loadProcessChains
+ */
+async function getProcessChainDetail(layers, chainInfo) {
+  const root = chainInfo.layer === 'inherited' ? layers.base : layers.path;
+  const detail = await cachedResult(root, `processchain:${chainInfo.folder}/${chainInfo.id}`, `processes/${chainInfo.folder}`,
+    () => xmlParser.parseProcessChainDetail(chainInfo.filePath));
+  return detail ? { ...detail, layer: chainInfo.layer || null } : null;
+}
+
+module.exports = {
+  loadCategory,
+  getOverview,
+  loadProcesses,
+  loadProcessChains,
+  parseProcessMap,
+  getDetail,
+  getProcessDetail,
+  getProcessChainDetail,
+  locateFile,
+  getCacheStats
+};
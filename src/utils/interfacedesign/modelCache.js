@@ -0,0 +1,370 @@
+/**
+ * Model Cache for InterfaceDesign
+ * Keeps parsed XML files and derived results in memory
+ *
+ * Two levels:
+ *   files   - parsed XML per absolute file path, validated by mtime and size on every access
+ *   results - derived results per interfacedesign folder (category lists, overview, details),
+ *             each with a scope (relative path it depends on); only used while the folder
+ *             is watched and dropped through fs.watch when something in their scope changes
+ *
+ * Cached values are shared between requests and must be treated as read-only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Parsed XML per absolute file path: { mtimeMs, size, value }
+const files = new Map();
+
+// Per interfacedesign folder: results, folder watchers and statistics
+const caches = new Map();
+
+// Emits 'change' with { basePath, file, eventType } for every detected file change
+const modelEvents = new EventEmitter();
+modelEvents.setMaxListeners(0);
+
+function createCounter() {
+  return { hits: 0, misses: 0, totalMs: 0, maxMs: 0 };
+}
+
+function countHit(counter) {
+  counter.hits++;
+}
+
+function countMiss(counter, ms) {
+  counter.misses++;
+  counter.totalMs += ms;
+  counter.maxMs = Math.max(counter.maxMs, ms);
+}
+
+/**
+ * Get (or create) the cache state of an interfacedesign folder
+ * @param {string} basePath - Interfacedesign folder
+ * @returns {Object} - Cache state
+ */
+function getCache(basePath) {
+  const key = path.resolve(basePath);
+  let cache = caches.get(key);
+  if (!cache) {
+    cache = {
+      basePath: key,
+      results: new Map(),
+      watchers: new Map(),
+      generation: 0,
+      createdAt: new Date().toISOString(),
+      invalidations: 0,
+      lastChange: null,
+      xml: createCounter(),
+      byKind: {}
+    };
+    caches.set(key, cache);
+  }
+  return cache;
+}
+
+/**
+ * Find the cache state a file belongs to (null if its folder has no cache yet)
+ */
+function findCacheForFile(filePath) {
+  for (const cache of caches.values()) {
+    if (filePath.startsWith(cache.basePath + path.sep)) return cache;
+  }
+  return null;
+}
+
+/**
+ * Check whether a relative path lies within a scope ('' covers everything)
+ */
+function inScope(relativePath, scope) {
+  return scope === '' || relativePath === scope || relativePath.startsWith(scope + '/');
+}
+
+/**
+ * Drop everything affected by a change below an interfacedesign folder
+ * @param {Object} cache - Cache state
+ * @param {string|null} relativePath - Changed path relative to the folder (null = unknown)
+ */
+function invalidate(cache, relativePath) {
+  cache.generation++;
+  cache.invalidations++;
+
+  if (relativePath === null) {
+    cache.results.clear();
+    for (const filePath of files.keys()) {
+      if (filePath.startsWith(cache.basePath + path.sep)) files.delete(filePath);
+    }
+    return;
+  }
+
+  const absolutePath = path.join(cache.basePath, ...relativePath.split('/'));
+  files.delete(absolutePath);
+  // A renamed or removed folder takes its files with it
+  for (const filePath of files.keys()) {
+    if (filePath.startsWith(absolutePath + path.sep)) files.delete(filePath);
+  }
+
+  for (const [key, entry] of cache.results) {
+    if (inScope(relativePath, entry.scope)) cache.results.delete(key);
+  }
+}
+
+/**
+ * List the (non-hidden) folders below a folder, relative with forward slashes
+ */
+function listFolders(basePath, prefix = '') {
+  const folders = [prefix];
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(basePath, ...prefix.split('/').filter(Boolean)), { withFileTypes: true });
+  } catch {
+    return prefix === '' ? [] : folders;
+  }
+  for (const entry of entries) {
+    if (entry.isDirectory() && !entry.name.startsWith('.')) {
+      folders.push(...listFolders(basePath, prefix ? `${prefix}/${entry.name}` : entry.name));
+    }
+  }
+  return folders;
+}
+
+/**
+ * Handle a change reported by the watcher of one folder
+ */
+function handleChange(cache, folder, eventType, filename) {
+  const name = filename ? filename.toString() : null;
+
+  // Hidden files (editor swap files, temp files of atomic writes, trash, ...) don't belong to the model
+  if (name && name.startsWith('.')) return;
+
+  const relativePath = name === null ? (folder || null) : (folder ? `${folder}/${name}` : name);
+  invalidate(cache, relativePath);
+  cache.lastChange = { file: relativePath, eventType, at: new Date().toISOString() };
+
+  // Folders may have been added or removed
+  if (eventType === 'rename') syncWatchers(cache);
+
+  modelEvents.emit('change', { basePath: cache.basePath, file: relativePath, eventType });
+}
+
+/**
+ * Watch every folder below an interfacedesign folder with its own (non-recursive) watcher
+ * Folder watchers also see changes of files that were replaced by a rename,
+ * which a recursive watcher tracking file inodes would miss
+ */
+function syncWatchers(cache) {
+  const folders = new Set(listFolders(cache.basePath));
+
+  for (const [folder, watcher] of cache.watchers) {
+    if (!folders.has(folder)) {
+      watcher.close();
+      cache.watchers.delete(folder);
+    }
+  }
+
+  for (const folder of folders) {
+    if (cache.watchers.has(folder)) continue;
+    try {
+      const folderPath = path.join(cache.basePath, ...folder.split('/').filter(Boolean));
+      const watcher = fs.watch(folderPath, { persistent: false }, (eventType, filename) => {
+        handleChange(cache, folder, eventType, filename);
+      });
+      watcher.on('error', (error) => {
+        console.error(`Model cache watcher error for ${folderPath}:`, error.message);
+        watcher.close();
+        cache.watchers.delete(folder);
+        invalidate(cache, null);
+      });
+      cache.watchers.set(folder, watcher);
+    } catch (error) {
+      console.error(`Could not watch ${folder || cache.basePath}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Start watching an interfacedesign folder (once)
+ * Without a watcher on the folder itself, results are recomputed on every request
+ */
+function ensureWatcher(cache) {
+  if (!cache.watchers.has('')) syncWatchers(cache);
+}
+
+function isWatching(cache) {
+  return cache.watchers.has('');
+}
+
+function stopWatchers(cache) {
+  for (const watcher of cache.watchers.values()) {
+    watcher.close();
+  }
+  cache.watchers.clear();
+  invalidate(cache, null);
+}
+
+/**
+ * Parse a file through the file cache
+ * The cached value is reused as long as mtime and size are unchanged
+ * @param {string} filePath - Absolute file path
+ * @param {Function} parse - Async parse function, called on a cache miss
+ * @returns {Promise<any>} - Parsed value (null results are not cached)
+ */
+async function cachedParse(filePath, parse) {
+  let stat;
+  try {
+    stat = await fs.promises.stat(filePath);
+  } catch {
+    files.delete(filePath);
+    return parse();
+  }
+
+  const cache = findCacheForFile(filePath);
+  const entry = files.get(filePath);
+  if (entry && entry.mtimeMs === stat.mtimeMs && entry.size === stat.size) {
+    if (cache) countHit(cache.xml);
+    return entry.value;
+  }
+
+  const start = process.hrtime.bigint();
+  const value = await parse();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  if (cache) countMiss(cache.xml, ms);
+
+  if (value !== null && value !== undefined) {
+    files.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, value });
+  }
+  return value;
+}
+
+/**
+ * Get a derived result through the result cache
+ * @param {string} basePath - Interfacedesign folder
+ * @param {string} key - Result key ('<kind>:<detail>', e.g. 'function:GetDescription')
+ * @param {string} scope - Relative folder the result depends on ('' = whole folder)
+ * @param {Function} compute - Async function computing the result on a miss
+ * @returns {Promise<any>} - Result
+ */
+async function cachedResult(basePath, key, scope, compute) {
+  const cache = getCache(basePath);
+  ensureWatcher(cache);
+
+  const kind = key.split(':')[0];
+  const counter = cache.byKind[kind] || (cache.byKind[kind] = createCounter());
+
+  if (isWatching(cache) && cache.results.has(key)) {
+    countHit(counter);
+    return cache.results.get(key).value;
+  }
+
+  const generation = cache.generation;
+  const start = process.hrtime.bigint();
+  const value = await compute();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  countMiss(counter, ms);
+
+  // Don't store results that were computed while their inputs changed
+  if (isWatching(cache) && cache.generation === generation) {
+    cache.results.set(key, { scope, value, computedAt: Date.now() });
+  }
+  return value;
+}
+
+function describeCounter(counter) {
+  const total = counter.hits + counter.misses;
+  return {
+    hits: counter.hits,
+    misses: counter.misses,
+    hitRate: total > 0 ? Math.round((counter.hits / total) * 1000) / 1000 : null,
+    totalParseMs: Math.round(counter.totalMs * 10) / 10,
+    avgParseMs: counter.misses > 0 ? Math.round((counter.totalMs / counter.misses) * 10) / 10 : null,
+    maxParseMs: Math.round(counter.maxMs * 10) / 10
+  };
+}
+
+/**
+ * Get cache statistics of an interfacedesign folder
+ * @param {string} basePath - Interfacedesign folder
+ * @returns {Object} - Statistics
+ */
+function getCacheStats(basePath) {
+  const cache = getCache(basePath);
+
+  const results = createCounter();
+  const byKind = {};
+  for (const [kind, counter] of Object.entries(cache.byKind)) {
+    byKind[kind] = describeCounter(counter);
+    results.hits += counter.hits;
+    results.misses += counter.misses;
+    results.totalMs += counter.totalMs;
+    results.maxMs = Math.max(results.maxMs, counter.maxMs);
+  }
+
+  let cachedFiles = 0;
+  for (const filePath of files.keys()) {
+    if (filePath.startsWith(cache.basePath + path.sep)) cachedFiles++;
+  }
+
+  return {
+    basePath: cache.basePath,
+    watching: isWatching(cache),
+    watchedFolders: cache.watchers.size,
+    since: cache.createdAt,
+    cachedFiles,
+    cachedResults: cache.results.size,
+    invalidations: cache.invalidations,
+    lastChange: cache.lastChange,
+    xml: describeCounter(cache.xml),
+    results: describeCounter(results),
+    byKind
+  };
+}
+
+/**
+ * Make sure an interfacedesign folder is watched, so 'change' events are emitted for it
+ * @param {string} basePath - Interfacedesign folder
+ * @returns {string} - Resolved folder path (as used in the events)
+ */
+function watchFolder(basePath) {
+  const cache = getCache(basePath);
+  ensureWatcher(cache);
+  return cache.basePath;
+}
+
+/**
+ * Drop the cached data of a path right away (after a write through the API)
+ * The watcher reports the same change a moment later; until then stale results must not be served
+ * @param {string} basePath - Interfacedesign folder
+ * @param {string} relativePath - Written path relative to the folder (forward slashes)
+ */
+function invalidatePath(basePath, relativePath) {
+  const cache = caches.get(path.resolve(basePath));
+  if (cache) {
+    invalidate(cache, relativePath);
+  } else {
+    files.delete(path.join(path.resolve(basePath), ...relativePath.split('/')));
+  }
+}
+
+/**
+ * Drop all cached data of an interfacedesign folder and stop watching it
+ * (e.g. after an instance was deleted or renamed)
+ * @param {string} basePath - Interfacedesign folder
+ */
+function clearCache(basePath) {
+  const key = path.resolve(basePath);
+  const cache = caches.get(key);
+  if (!cache) return;
+  stopWatchers(cache);
+  caches.delete(key);
+}
+
+module.exports = {
+  modelEvents,
+  cachedParse,
+  cachedResult,
+  watchFolder,
+  getCacheStats,
+  invalidatePath,
+  clearCache
+};
@@ -0,0 +1,546 @@
+/**
+ * Process Writer for InterfaceDesign
+ * Creates, updates, moves and deletes processes:
+ *   processes/{actor}/{flow|sequenz}/NNN-name.xml with NNN-name_de.mermaid and NNN-name_en.mermaid
+ *
+ * The XML is merged like in functionWriter (shape of parseProcessDetail); the diagrams are
+ * written as given in mermaidContent. All files of a process are written in one transaction.
+ * Process numbers (NNN, also the processId) are unique across all actors, since process
+ * chains and the process map refer to processes by this number.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const xmlParser = require('./xmlParser');
+const model = require('./model');
+const {
+  createElement,
+  cloneNode,
+  getChild,
+  getChildren,
+  buildMultiLang,
+  buildText,
+  sameValue,
+  setChild,
+  buildContainer,
+  buildItems
+} = require('./xmlDocument');
+const { ELEMENT_ORDER } = require('./elementOrder');
+const { httpError } = require('../global/httpError');
+const { queueWrite, queuedWriter, readDocument, checkSchema, documentChanged, commitDocuments } = require('./documentStore');
+const { ID_PATTERN } = require('../../middleware/interfacedesign');
+
+const SCHEMA_FILE = 'process.xsd';
+
+// Diagram types (folders below an actor) and the folder of the process chains
+const DIAGRAM_TYPES = ['flow', 'sequenz'];
+const CHAIN_FOLDER = 'prozessketten';
+
+// Diagram languages (NNN-name_de.mermaid, NNN-name_en.mermaid)
+const DIAGRAM_LANGUAGES = ['de', 'en'];
+
+// Diagram of a new process without mermaid content
+const EMPTY_DIAGRAMS = {
+  flow: 'flowchart TD\n',
+  sequenz: 'sequenceDiagram\n'
+};
+
+// ============================================
+// Element Builders
+// ============================================
+
+function buildParameter(existing, parameter) {
+  const node = existing ? cloneNode(existing) : createElement('parameter');
+  setChild(node, 'name', buildText('name', parameter.name, getChild(node, 'name')), ELEMENT_ORDER.processParameter);
+  setChild(node, 'type', buildText('type', parameter.type, getChild(node, 'type')), ELEMENT_ORDER.processParameter);
+  setChild(node, 'description', buildMultiLang('description', parameter.description, getChild(node, 'description')), ELEMENT_ORDER.processParameter);
+  return node;
+}
+
+function buildStep(existing, step) {
+  const node = existing ? cloneNode(existing) : createElement('step');
+  setChild(node, 'order', buildText('order', step.order, getChild(node, 'order')), ELEMENT_ORDER.processStep);
+  setChild(node, 'action', buildMultiLang('action', step.action, getChild(node, 'action')), ELEMENT_ORDER.processStep);
+  setChild(node, 'reference', buildText('reference', step.reference, getChild(node, 'reference')), ELEMENT_ORDER.processStep);
+
+  if (step.details !== undefined) {
+    const details = getChild(node, 'details');
+    const items = (step.details || [])
+      .map((item, i) => buildMultiLang('item', item, getChildren(details, 'item')[i]))
+      .filter(Boolean);
+    setChild(node, 'details', buildContainer('details', 'item', details, items, false), ELEMENT_ORDER.processStep);
+  }
+  if (step.note !== undefined) {
+    setChild(node, 'note', buildMultiLang('note', step.note, getChild(node, 'note')), ELEMENT_ORDER.processStep);
+  }
+  return node;
+}
+
+function buildDeadline(existing, deadline) {
+  const node = existing ? cloneNode(existing) : createElement('deadline');
+  setChild(node, 'type', buildText('type', deadline.type, getChild(node, 'type')), ELEMENT_ORDER.deadline);
+  setChild(node, 'period', buildMultiLang('period', deadline.period, getChild(node, 'period')), ELEMENT_ORDER.deadline);
+  setChild(node, 'reference', buildText('reference', deadline.reference, getChild(node, 'reference')), ELEMENT_ORDER.deadline);
+  return node;
+}
+
+/**
+ * Build an <outcome> or a process specific <exception> (type and description)
+ */
+function typedDescription(name) {
+  return (existing, value) => {
+    const node = existing ? cloneNode(existing) : createElement(name);
+    setChild(node, 'type', buildText('type', value.type, getChild(node, 'type')), ELEMENT_ORDER.outcome);
+    setChild(node, 'description', buildMultiLang('description', value.description, getChild(node, 'description')), ELEMENT_ORDER.outcome);
+    return node;
+  };
+}
+
+const textItem = name => (existing, value) => buildText(name, value, existing);
+const multiLangItem = name => (existing, value) => buildMultiLang(name, value, existing);
+
+// List fields of the process data: <container><item/></container>
+// keep: container required by process.xsd, an existing one stays when it becomes empty
+const LISTS = {
+  actors: { container: 'actors', item: 'actor', build: multiLangItem('actor'), keep: true },
+  usedObjects: { container: 'usedObjects', item: 'object', build: multiLangItem('object'), keep: true },
+  interfaceFunctions: { container: 'interfaceFunctions', item: 'function', build: textItem('function'), keep: true },
+  inputParameters: { container: 'inputParameters', item: 'parameter', build: buildParameter, keep: true },
+  outputParameters: { container: 'outputParameters', item: 'parameter', build: buildParameter, keep: true },
+  usedDataObjects: { container: 'usedDataObjects', item: 'dataObject', build: textItem('dataObject'), keep: true },
+  exceptions: { container: 'possibleExceptions', item: 'exception', build: textItem('exception'), keep: true },
+  references: { container: 'references', item: 'reference', build: textItem('reference'), keep: true },
+  requirements: { container: 'requirements', item: 'requirement', build: multiLangItem('requirement') },
+  steps: { container: 'steps', item: 'step', build: buildStep },
+  deadlines: { container: 'deadlines', item: 'deadline', build: buildDeadline },
+  outcomes: { container: 'outcomes', item: 'outcome', build: typedDescription('outcome') },
+  processExceptions: { container: 'exceptions', item: 'exception', build: typedDescription('exception') },
+  restrictions: { container: 'restrictions', item: 'restriction', build: multiLangItem('restriction') }
+};
+
+// ============================================
+// Process Files
+// ============================================
+
+/**
+ * File path parts of a process or process chain (relative to the interfacedesign folder)
+ * @param {Array<string>} dir - Folder parts, e.g. ['processes', 'nutzer', 'flow']
+ * @param {string} id - File stem
+ * @returns {Object} - { xml, de, en, legacy }
+ */
+function diagramFiles(dir, id) {
+  return {
+    xml: [...dir, `${id}.xml`],
+    de: [...dir, `${id}_de.mermaid`],
+    en: [...dir, `${id}_en.mermaid`],
+    legacy: [...dir, `${id}.mermaid`]
+  };
+}
+
+function processFiles(actor, type, id) {
+  return diagramFiles(['processes', actor, type], id);
+}
+
+/**
+ * Read the diagram files of a process or process chain in one layer
+ * @returns {Promise<Array<Object>>} - [{ parts, content }] of the existing files
+ */
+async function readDiagrams(root, files) {
+  const diagrams = [];
+  for (const parts of [files.legacy, files.de, files.en]) {
+    try {
+      diagrams.push({ parts, content: await fs.readFile(path.join(root, ...parts), 'utf-8') });
+    } catch {
+      // Diagram not present in this layer
+    }
+  }
+  return diagrams;
+}
+
+/**
+ * Check the actor and diagram type a process is written to
+ * @returns {Array<Object>} - Errors [{ path, message }]
+ */
+function checkLocation(actor, type) {
+  const errors = [];
+  if (typeof actor !== 'string' || !ID_PATTERN.test(actor) || actor === CHAIN_FOLDER) {
+    errors.push({ path: 'actor', message: `Invalid actor '${actor}'` });
+  }
+  if (!DIAGRAM_TYPES.includes(type)) {
+    errors.push({ path: 'diagramType', message: `Diagram type must be one of: ${DIAGRAM_TYPES.join(', ')}` });
+  }
+  return errors;
+}
+
+/**
+ * Number of a process: processId or the leading digits of its file name
+ */
+function processNumber(process) {
+  const match = String(process.processId || '').match(/^\d+$/) || String(process.id).match(/^(\d+)-/);
+  return match ? parseInt(match[match.length - 1], 10) : null;
+}
+
+/**
+ * Allocate the next free process number (highest number of all actors plus one)
+ * @param {Object} layers - { path, base }
+ * @returns {Promise<string>} - Three-digit number, e.g. '095'
+ */
+async function nextProcessNumber(layers) {
+  const processes = await model.loadProcesses(layers);
+  const highest = processes.reduce((max, process) => Math.max(max, processNumber(process) || 0), 0);
+  return String(highest + 1).padStart(3, '0');
+}
+
+/**
+ * Text of a (multilingual) name used for file names, German first
+ */
+function nameText(name) {
+  return typeof name === 'string' ? name : (name.de || name._default || name.en);
+}
+
+/**
+ * File name part of a process name (e.g. 'Logs löschen' -> 'logs-loeschen')
+ */
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+}
+
+// ============================================
+// Process Document
+// ============================================
+
+/**
+ * Create a process document with the containers process.xsd requires
+ * (4-space indentation and open empty elements like the shipped process files)
+ * @param {string} processId - Process number
+ */
+function createProcessDocument(processId) {
+  const root = createElement('process', {
+    children: [createElement('processId', { text: processId })]
+  });
+  for (const list of Object.values(LISTS).filter(list => list.keep)) {
+    root.children.push(createElement(list.container));
+  }
+  return {
+    declaration: '<?xml version="1.0" encoding="UTF-8"?>',
+    indent: '    ',
+    openEmpty: true,
+    trailer: '\n',
+    root
+  };
+}
+
+/**
+ * Merge process data into a process document
+ * @param {Object} doc - Existing document (modified)
+ * @param {Object} data - Process data (shape of parseProcessDetail)
+ * @param {Object|null} previous - Parsed data of the existing document (null for new processes)
+ * @returns {Object} - The document
+ */
+function applyProcessData(doc, data, previous) {
+  const root = doc.root;
+  const order = ELEMENT_ORDER.process;
+  const changed = field => data[field] !== undefined && !(previous && sameValue(previous[field], data[field]));
+
+  if (changed('name')) {
+    setChild(root, 'processName', buildMultiLang('processName', data.name, getChild(root, 'processName')), order);
+  }
+  for (const field of ['description', 'notes']) {
+    if (changed(field)) {
+      setChild(root, field, buildMultiLang(field, data[field], getChild(root, field)), order);
+    }
+  }
+
+  for (const [field, list] of Object.entries(LISTS)) {
+    if (!changed(field)) continue;
+
+    const existing = getChild(root, list.container);
+    const items = buildItems(getChildren(existing, list.item), previous && previous[field], data[field], list.build);
+    setChild(root, list.container, buildContainer(list.container, list.item, existing, items, !!(list.keep && existing)), order);
+  }
+
+  return doc;
+}
+
+/**
+ * Check the diagrams of process or process chain data (mermaidContent { de, en })
+ * @returns {Array<Object>} - Errors [{ path, message }]
+ */
+function checkDiagramData(data) {
+  if (data.mermaidContent === undefined) return [];
+  if (!data.mermaidContent || typeof data.mermaidContent !== 'object' || Array.isArray(data.mermaidContent)) {
+    return [{ path: 'mermaidContent', message: "'mermaidContent' must be an object { de, en }" }];
+  }
+  return DIAGRAM_LANGUAGES
+    .filter(lang => data.mermaidContent[lang] !== undefined && typeof data.mermaidContent[lang] !== 'string')
+    .map(lang => ({ path: `mermaidContent.${lang}`, message: 'Diagram must be a string' }));
+}
+
+/**
+ * Check the structure of process data before it is merged
+ * @param {Object} data - Process data
+ * @param {boolean} create - New process (name is required)
+ * @returns {Array<Object>} - Errors [{ path, message }]
+ */
+function checkProcessData(data, create) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ path: '', message: 'Process data must be an object' }];
+  }
+
+  const errors = [];
+  const name = data.name && nameText(data.name);
+  if ((create || data.name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    errors.push({ path: 'name', message: 'Name is required' });
+  }
+  for (const field of Object.keys(LISTS)) {
+    if (data[field] !== undefined && data[field] !== null && !Array.isArray(data[field])) {
+      errors.push({ path: field, message: `'${field}' must be an array` });
+    }
+  }
+  errors.push(...checkDiagramData(data));
+  if (errors.length > 0) return errors;
+
+  for (const field of ['inputParameters', 'outputParameters']) {
+    (data[field] || []).forEach((parameter, i) => {
+      if (!parameter || typeof parameter.name !== 'string' || !parameter.name.trim()) {
+        errors.push({ path: `${field}[${i}].name`, message: 'Parameter name is required' });
+      }
+    });
+  }
+  for (const field of ['interfaceFunctions', 'exceptions']) {
+    (data[field] || []).forEach((value, i) => {
+      if (typeof value !== 'string' || !value.trim()) {
+        errors.push({ path: `${field}[${i}]`, message: 'Value must be a non-empty string' });
+      }
+    });
+  }
+
+  return errors;
+}
+
+// ============================================
+// Write Operations
+// ============================================
+
+/**
+ * Collect the diagram files to write
+ * New processes always get both diagrams; for inherited processes the diagrams of the base
+ * template are copied along with the XML, since the diagrams are read next to the XML
+ * @param {Object} layers - { path, base }
+ * @param {Object} files - File parts of diagramFiles
+ * @param {string} emptyDiagram - Diagram of new documents without mermaid content
+ * @param {Object} data - Data with mermaidContent { de, en }
+ * @param {Object|null} previous - Parsed data of the existing document (with mermaidContent)
+ * @param {Object|null} current - Existing document (readDocument)
+ * @returns {Promise<Array<Object>>} - [{ parts, content }] for commitDocuments
+ */
+async function diagramChanges(layers, files, emptyDiagram, data, previous, current) {
+  const given = data.mermaidContent || {};
+  const changes = new Map();
+
+  if (current && current.layer === 'inherited') {
+    for (const diagram of await readDiagrams(layers.base, files)) {
+      changes.set(diagram.parts.join('/'), diagram);
+    }
+  }
+
+  for (const lang of DIAGRAM_LANGUAGES) {
+    let content = typeof given[lang] === 'string' ? given[lang] : null;
+    if (!current) {
+      content = content !== null ? content : (given.de || given.en || emptyDiagram);
+    } else if (content !== null && content === previous.mermaidContent[lang]) {
+      content = null;
+    }
+    if (content !== null) {
+      changes.set(files[lang].join('/'), { parts: files[lang], content });
+    }
+  }
+  return [...changes.values()];
+}
+
+/**
+ * Write a process (XML and diagrams) into the instance
+ * Inherited processes are written into the instance (they become 'overridden')
+ * @param {Object} layers - { path, base }
+ * @param {Object} location - { actor, type, id }
+ * @param {Object} data - Process data (shape of parseProcessDetail, diagrams in mermaidContent { de, en })
+ * @param {Object} options - { create: true for new processes }
+ * @returns {Promise<Array<string>>} - Written files relative to the interfacedesign folder
+ */
+async function writeProcess(layers, { actor, type, id }, data, { create = false } = {}) {
+  const files = processFiles(actor, type, id);
+  const current = await readDocument(layers, files.xml);
+  if (create && current) {
+    throw httpError(409, `Process '${id}' already exists`);
+  }
+  if (!create && !current) {
+    throw httpError(404, 'Process not found');
+  }
+
+  const previous = current ? await xmlParser.parseProcessDetail(current.filePath, actor, type) : null;
+  const doc = current ? { ...current.doc, root: cloneNode(current.doc.root) } : createProcessDocument(id.split('-')[0]);
+  applyProcessData(doc, data, previous);
+
+  const schemaErrors = await checkSchema(layers, SCHEMA_FILE, doc, current && current.doc);
+  if (schemaErrors.length > 0) {
+    throw httpError(400, `Process does not conform to ${SCHEMA_FILE}`, schemaErrors);
+  }
+
+  const changes = [];
+  if (!current || current.layer === 'inherited' || documentChanged(current.doc, doc)) {
+    changes.push({ parts: files.xml, doc });
+  }
+  changes.push(...await diagramChanges(layers, files, EMPTY_DIAGRAMS[type], data, previous, current));
+
+  return commitDocuments(layers, changes);
+}
+
+/**
+ * Create a process with the next free process number
+ * The file name is NNN-<slug>; the slug is taken from data.slug or the (German) name
+ * @param {Object} layers - { path, base }
+ * @param {string} actor - Actor folder
+ * @param {string} type - Diagram type (flow | sequenz)
+ * @param {Object} data - Process data (name is required)
+ * @returns {Promise<Object>} - { id, files }
+ */
+function createProcess(layers, actor, type, data) {
+  const locationErrors = checkLocation(actor, type);
+  if (locationErrors.length > 0) {
+    return Promise.reject(httpError(400, 'Invalid process location', locationErrors));
+  }
+  const dataErrors = checkProcessData(data, true);
+  if (dataErrors.length > 0) {
+    return Promise.reject(httpError(400, 'Invalid process data', dataErrors));
+  }
+
+  const slug = slugify(data.slug || nameText(data.name));
+  if (!slug) {
+    return Promise.reject(httpError(400, 'Invalid process data', [{ path: 'slug', message: 'File name can\'t be derived from the name' }]));
+  }
+
+  // Number allocation and write in one queued task, concurrent creations don't get the same number
+  return queueWrite(layers, async () => {
+    const id = `${await nextProcessNumber(layers)}-${slug}`;
+    const files = await writeProcess(layers, { actor, type, id }, data, { create: true });
+    return { id, files };
+  });
+}
+
+/**
+ * Update a process (XML fields and/or diagrams)
+ * @param {Object} layers - { path, base }
+ * @param {Object} location - { actor, type, id }
+ * @param {Object} data - Process data (missing fields stay unchanged)
+ * @returns {Promise<Array<string>>} - Written files relative to the interfacedesign folder
+ */
+async function updateProcess(layers, location, data) {
+  if (data && data.id !== undefined && data.id !== location.id) {
+    throw httpError(400, `Process id '${data.id}' does not match '${location.id}'`);
+  }
+  const dataErrors = checkProcessData(data, false);
+  if (dataErrors.length > 0) {
+    throw httpError(400, 'Invalid process data', dataErrors);
+  }
+  return writeProcess(layers, location, data);
+}
+
+/**
+ * Find the instance's own files of a process
+ * Inherited processes can't be moved or deleted in the instance
+ */
+async function ownProcessFiles(layers, { actor, type, id }, action) {
+  const files = processFiles(actor, type, id);
+  const location = await model.locateFile(layers, files.xml);
+  if (!location) {
+    throw httpError(404, 'Process not found');
+  }
+  if (location.layer === 'inherited') {
+    throw httpError(409, `Process '${id}' is inherited from the base template and can't be ${action} in the instance`);
+  }
+  return files;
+}
+
+/**
+ * Move a process to another actor and/or diagram type (file name and number stay the same)
+ * For overridden processes the base template's version stays visible at the old location
+ * @param {Object} layers - { path, base }
+ * @param {Object} location - { actor, type, id }
+ * @param {Object} target - { actor, diagramType }
+ * @returns {Promise<Array<string>>} - Written and removed files relative to the interfacedesign folder
+ */
+async function moveProcess(layers, location, target) {
+  const actor = (target && target.actor) || location.actor;
+  const type = (target && target.diagramType) || location.type;
+  const locationErrors = checkLocation(actor, type);
+  if (locationErrors.length > 0) {
+    throw httpError(400, 'Invalid process location', locationErrors);
+  }
+  if (actor === location.actor && type === location.type) {
+    throw httpError(400, 'Process is already at this location');
+  }
+
+  const files = await ownProcessFiles(layers, location, 'moved');
+  const targetFiles = processFiles(actor, type, location.id);
+  if (await model.locateFile(layers, targetFiles.xml)) {
+    throw httpError(409, `Process '${location.id}' already exists in ${actor}/${type}`);
+  }
+
+  const changes = [];
+  const xml = await fs.readFile(path.join(layers.path, ...files.xml), 'utf-8');
+  changes.push({ parts: targetFiles.xml, content: xml });
+  for (const diagram of await readDiagrams(layers.path, files)) {
+    const name = diagram.parts[diagram.parts.length - 1];
+    changes.push({ parts: ['processes', actor, type, name], content: diagram.content });
+  }
+  for (const change of [...changes]) {
+    const name = change.parts[change.parts.length - 1];
+    changes.push({ parts: ['processes', location.actor, location.type, name], remove: true });
+  }
+
+  return commitDocuments(layers, changes);
+}
+
+/**
+ * Delete a process (XML and diagrams) from the instance
+ * For overridden processes the base template's version becomes visible again
+ * @param {Object} layers - { path, base }
+ * @param {Object} location - { actor, type, id }
+ * @param {string} deletedBy - User name for the trash entry (null without login)
+ * @returns {Promise<Array<string>>} - Removed files relative to the interfacedesign folder
+ */
+async function deleteProcess(layers, location, deletedBy = null) {
+  const files = await ownProcessFiles(layers, location, 'deleted');
+  const diagrams = await readDiagrams(layers.path, files);
+  return commitDocuments(layers, [
+    { parts: files.xml, remove: true },
+    ...diagrams.map(diagram => ({ parts: diagram.parts, remove: true }))
+  ], { trash: { category: 'processes', id: location.id, actor: location.actor, diagramType: location.type, deletedBy } });
+}
+
+module.exports = {
+  DIAGRAM_TYPES,
+  CHAIN_FOLDER,
+  diagramFiles,
+  readDiagrams,
+  diagramChanges,
+  checkDiagramData,
+  nameText,
+  slugify,
+  processNumber,
+  createProcessDocument,
+  applyProcessData,
+  checkProcessData,
+  nextProcessNumber,
+  createProcess,
+  updateProcess: queuedWriter(updateProcess),
+  moveProcess: queuedWriter(moveProcess),
+  deleteProcess: queuedWriter(deleteProcess)
+};
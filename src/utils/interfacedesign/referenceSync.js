@@ -0,0 +1,134 @@
+/**
+ * Reference Sync for InterfaceDesign
+ * Keeps both sides of the relation between functions and exceptions consistent:
+ *   function file:  <exceptions><exception>ErrorX</exception></exceptions>
+ *   exception file: <thrownBy><function>startTransaction</function></thrownBy>
+ *
+ * A change on one side yields the changes of the other side, which the writers commit
+ * together with the changed file. References to files that don't exist are left alone.
+ * The other side is read, changed and committed within the writer's task in the instance's
+ * write queue (documentStore.queueWrite), so concurrent saves can't overwrite each other's sync.
+ */
+
+const { createElement, cloneNode, getChild, getChildren, setChild } = require('./xmlDocument');
+const { ELEMENT_ORDER } = require('./elementOrder');
+const { httpError } = require('../global/httpError');
+const { readDocument, checkSchema } = require('./documentStore');
+
+// Both sides of the relation: folder, schema, container and item element
+const SIDES = {
+  functions: { folder: 'functions', schemaFile: 'functions.xsd', container: 'exceptions', item: 'exception', order: ELEMENT_ORDER.function },
+  exceptions: { folder: 'exceptions', schemaFile: 'exceptions.xsd', container: 'thrownBy', item: 'function', order: ELEMENT_ORDER.exception }
+};
+
+/**
+ * List the references of a document (trimmed texts of the items in the container)
+ */
+function listReferences(root, side) {
+  const { container, item } = SIDES[side];
+  return getChildren(getChild(root, container), item).map(node => (node.text || '').trim()).filter(Boolean);
+}
+
+/**
+ * Exceptions listed in a function document
+ */
+function functionExceptions(root) {
+  return listReferences(root, 'functions');
+}
+
+/**
+ * Functions listed in the thrownBy block of an exception document
+ */
+function exceptionThrownBy(root) {
+  return listReferences(root, 'exceptions');
+}
+
+/**
+ * Add or remove a reference in the documents of one side
+ * @param {Object} layers - { path, base }
+ * @param {string} side - Side of the documents to change (functions | exceptions)
+ * @param {Array<string>} ids - Ids of the documents to change
+ * @param {string} value - Referenced id to add or remove
+ * @param {boolean} add - Add (true) or remove (false)
+ * @returns {Promise<Array<Object>>} - Changes [{ parts, doc }]
+ */
+async function updateReferences(layers, side, ids, value, add) {
+  const { folder, schemaFile, container, item, order } = SIDES[side];
+  const changes = [];
+
+  for (const id of ids) {
+    const parts = [folder, `${id}.xml`];
+    const current = await readDocument(layers, parts);
+    if (!current) continue;
+
+    const references = listReferences(current.doc.root, side);
+    if (references.includes(value) === add) continue;
+
+    const doc = { ...current.doc, root: cloneNode(current.doc.root) };
+    const existing = getChild(doc.root, container);
+    const node = existing ? cloneNode(existing) : createElement(container);
+    node.text = null;
+    if (add) {
+      node.children.push(createElement(item, { text: value }));
+    } else {
+      node.children = node.children.filter(child => !(child.name === item && (child.text || '').trim() === value));
+    }
+    setChild(doc.root, container, node, order);
+
+    const errors = await checkSchema(layers, schemaFile, doc, current.doc);
+    if (errors.length > 0) {
+      throw httpError(400, `${parts.join('/')} does not conform to ${schemaFile} after updating its references`, errors);
+    }
+    changes.push({ parts, doc });
+  }
+  return changes;
+}
+
+/**
+ * Changes of both lists (references present in only one of them)
+ */
+function diffReferences(before, after) {
+  return {
+    added: after.filter(id => !before.includes(id)),
+    removed: before.filter(id => !after.includes(id))
+  };
+}
+
+/**
+ * Update the thrownBy blocks of the exceptions a function lists
+ * @param {Object} layers - { path, base }
+ * @param {string} functionId - Function id
+ * @param {Array<string>} before - Exceptions listed before the change
+ * @param {Array<string>} after - Exceptions listed after the change
+ * @returns {Promise<Array<Object>>} - Changes of exception documents [{ parts, doc }]
+ */
+async function syncFunctionExceptions(layers, functionId, before, after) {
+  const { added, removed } = diffReferences(before, after);
+  return [
+    ...await updateReferences(layers, 'exceptions', added, functionId, true),
+    ...await updateReferences(layers, 'exceptions', removed, functionId, false)
+  ];
+}
+
+/**
+ * Update the exceptions blocks of the functions listed in an exception's thrownBy block
+ * @param {Object} layers - { path, base }
+ * @param {string} exceptionId - Exception id
+ * @param {Array<string>} before - Functions listed before the change
+ * @param {Array<string>} after - Functions listed after the change
+ * @returns {Promise<Array<Object>>} - Changes of function documents [{ parts, doc }]
+ */
+async function syncExceptionThrownBy(layers, exceptionId, before, after) {
+  const { added, removed } = diffReferences(before, after);
+  return [
+    ...await updateReferences(layers, 'functions', added, exceptionId, true),
+    ...await updateReferences(layers, 'functions', removed, exceptionId, false)
+  ];
+}
+
+module.exports = {
+  functionExceptions,
+  exceptionThrownBy,
+  syncFunctionExceptions,
+  syncExceptionThrownBy
+};
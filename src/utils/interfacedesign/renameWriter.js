@@ -0,0 +1,147 @@
+/**
+ * Rename Writer for InterfaceDesign
+ * Renames a function, exception, type or enum together with every reference to it:
+ * structured references (thrownBy, <exceptions>, possibleExceptions, possibleErrors, parameter
+ * and field types) as well as free text in pseudocode (THROW lines) and mermaid diagrams.
+ *
+ * References are found as whole words in all XML and mermaid files of both layers, the
+ * instance's own files win. The renamed file, its id attribute and all edited files are
+ * written in one transaction; edited files of the base template are copied into the instance.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { httpError } = require('../global/httpError');
+const { queuedWriter, commitDocuments } = require('./documentStore');
+const { locateFile } = require('./model');
+const { listLayerFiles } = require('./layers');
+
+// Renameable categories and their item labels for error messages
+const CATEGORIES = {
+  functions: 'Function',
+  exceptions: 'Exception',
+  types: 'Type',
+  enums: 'Enum'
+};
+
+// New names are used as identifiers in pseudocode and diagrams
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/**
+ * Whole-word pattern for a name (letters, digits and '_' don't border a match)
+ */
+function wordPattern(name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+  return new RegExp(`(?<![A-Za-z0-9_])${escaped}(?![A-Za-z0-9_])`, 'g');
+}
+
+/**
+ * Check a rename request and locate the item
+ * @returns {Promise<Object>} - { parts, newParts }
+ */
+async function checkRename(layers, category, id, newName) {
+  const label = CATEGORIES[category];
+  if (!label) {
+    throw httpError(400, `Unknown category '${category}', expected one of: ${Object.keys(CATEGORIES).join(', ')}`);
+  }
+  if (typeof newName !== 'string' || !NAME_PATTERN.test(newName)) {
+    throw httpError(400, `Invalid name '${newName || ''}': letters, digits and '_', starting with a letter`);
+  }
+  if (newName === id) {
+    throw httpError(400, `${label} is already named '${id}'`);
+  }
+
+  const parts = [category, `${id}.xml`];
+  const newParts = [category, `${newName}.xml`];
+
+  const location = await locateFile(layers, parts);
+  if (!location) {
+    throw httpError(404, `${label} not found`);
+  }
+  if (location.layer === 'inherited' || location.layer === 'overridden') {
+    throw httpError(409, `${label} '${id}' is part of the base template and can't be renamed in the instance`);
+  }
+  if (await locateFile(layers, newParts)) {
+    throw httpError(409, `${label} '${newName}' already exists`);
+  }
+
+  return { parts, newParts };
+}
+
+/**
+ * Find all files referencing a name and compute their new content
+ * @returns {Promise<Array<Object>>} - [{ file, layer, content, changes: [{ line, before, after }] }]
+ */
+async function collectEdits(layers, from, to) {
+  const edits = [];
+  for (const { file, root, layer } of await listLayerFiles(layers)) {
+    const text = await fs.readFile(path.join(root, ...file.split('/')), 'utf-8');
+    const pattern = wordPattern(from);
+    if (!pattern.test(text)) continue;
+
+    const changes = [];
+    text.split('\n').forEach((line, index) => {
+      const after = line.replace(wordPattern(from), to);
+      if (after !== line) {
+        changes.push({ line: index + 1, before: line.trim(), after: after.trim() });
+      }
+    });
+
+    edits.push({ file, layer, content: text.replace(wordPattern(from), to), changes });
+  }
+
+  return edits;
+}
+
+/**
+ * Preview a rename: every file and line that would change
+ * @param {Object} layers - { path, base }
+ * @param {string} category - functions | exceptions | types | enums
+ * @param {string} id - Current name
+ * @param {string} newName - New name
+ * @returns {Promise<Object>} - { category, from, to, file, newFile, files: [{ file, layer, changes }], total }
+ */
+async function previewRename(layers, category, id, newName) {
+  const { parts, newParts } = await checkRename(layers, category, id, newName);
+  const edits = await collectEdits(layers, id, newName);
+
+  return {
+    category,
+    from: id,
+    to: newName,
+    file: parts.join('/'),
+    newFile: newParts.join('/'),
+    files: edits.map(({ file, layer, changes }) => ({ file, layer, changes })),
+    total: edits.reduce((sum, edit) => sum + edit.changes.length, 0)
+  };
+}
+
+/**
+ * Rename an item and all references to it as one transaction
+ * @param {Object} layers - { path, base }
+ * @param {string} category - functions | exceptions | types | enums
+ * @param {string} id - Current name
+ * @param {string} newName - New name
+ * @returns {Promise<Array<string>>} - Changed files relative to the interfacedesign folder
+ */
+async function applyRename(layers, category, id, newName) {
+  const { parts, newParts } = await checkRename(layers, category, id, newName);
+  const edits = await collectEdits(layers, id, newName);
+  const oldFile = parts.join('/');
+
+  const renamed = edits.find(edit => edit.file === oldFile);
+  const content = renamed ? renamed.content : await fs.readFile(path.join(layers.path, ...parts), 'utf-8');
+
+  return commitDocuments(layers, [
+    ...edits
+      .filter(edit => edit.file !== oldFile)
+      .map(edit => ({ parts: edit.file.split('/'), content: edit.content })),
+    { parts: newParts, content },
+    { parts, remove: true }
+  ]);
+}
+
+module.exports = {
+  previewRename,
+  applyRename: queuedWriter(applyRename)
+};
@@ -0,0 +1,114 @@
+/**
+ * Restore Writer for InterfaceDesign
+ * Restores trash entries into the instance
+ *
+ * A restore must not create a second item with the same id: files the instance has again,
+ * process numbers and chain ids taken by another item in the meantime are rejected with 409.
+ * Restored functions and exceptions get their references back (thrownBy / exceptions blocks)
+ * in the same transaction, like a newly written file.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const model = require('./model');
+const { parseXmlDocument } = require('./xmlDocument');
+const { httpError } = require('../global/httpError');
+const { queueWrite, readDocument, commitDocuments } = require('./documentStore');
+const { functionExceptions, exceptionThrownBy, syncFunctionExceptions, syncExceptionThrownBy } = require('./referenceSync');
+const { processNumber } = require('./processWriter');
+const { readTrashEntry, readTrashFiles, purgeTrashEntry } = require('./trash');
+
+// Both sides of the function/exception relation: references of a document and their sync
+const REFERENCES = {
+  functions: { list: functionExceptions, sync: syncFunctionExceptions },
+  exceptions: { list: exceptionThrownBy, sync: syncExceptionThrownBy }
+};
+
+async function ownFileExists(layers, file) {
+  try {
+    await fs.access(path.join(layers.path, ...file.split('/')));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reject the restore if another item has the entry's id now
+ * The base template's version of the same item doesn't count, the restore overrides it again
+ */
+async function checkConflicts(layers, entry) {
+  for (const file of entry.files) {
+    if (await ownFileExists(layers, file)) {
+      throw httpError(409, `'${entry.itemId}' can't be restored: ${file} exists again in the instance`);
+    }
+  }
+
+  if (entry.category === 'processes') {
+    const number = processNumber({ id: entry.itemId });
+    const processes = await model.loadProcesses(layers);
+    const other = processes.find(process => processNumber(process) === number &&
+      !(process.actor === entry.actor && process.diagramType === entry.diagramType && process.id === entry.itemId));
+    if (other) {
+      throw httpError(409, `'${entry.itemId}' can't be restored: process number ${String(number).padStart(3, '0')} is used by '${other.actor}/${other.diagramType}/${other.id}'`);
+    }
+  }
+
+  if (entry.category === 'processchains' && entry.chainId) {
+    const chains = await model.loadProcessChains(layers);
+    const other = chains.find(chain => chain.chainId === entry.chainId &&
+      !(chain.folder === entry.folder && chain.id === entry.itemId));
+    if (other) {
+      throw httpError(409, `'${entry.itemId}' can't be restored: chain id ${entry.chainId} is used by '${other.id}'`);
+    }
+  }
+}
+
+/**
+ * Reference changes for a restored function or exception
+ * The references follow the restored file instead of the base template's version (if any)
+ */
+async function referenceChanges(layers, entry, files) {
+  const references = REFERENCES[entry.category];
+  if (!references) return [];
+
+  const parts = [entry.category, `${entry.itemId}.xml`];
+  const restored = files.find(file => file.parts.join('/') === parts.join('/'));
+  if (!restored) return [];
+
+  // A broken file is restored as it is, its references are unknown then
+  let after;
+  try {
+    after = references.list((await parseXmlDocument(restored.content.toString('utf-8'))).root);
+  } catch {
+    return [];
+  }
+  const base = layers.base ? await readDocument({ path: layers.base }, parts).catch(() => null) : null;
+  return references.sync(layers, entry.itemId, base ? references.list(base.doc.root) : [], after);
+}
+
+/**
+ * Restore a trash entry into the instance and remove it from the trash
+ * @param {Object} layers - { path, base }
+ * @param {string} entryId - Trash entry id
+ * @returns {Promise<Object>} - { entry, files } with the entry metadata and the written files
+ */
+async function restoreTrashEntry(layers, entryId) {
+  const entry = await readTrashEntry(layers, entryId);
+  const files = await readTrashFiles(layers, entry);
+
+  // Conflict check and write in one queued task, like the creations that allocate numbers
+  return queueWrite(layers, async () => {
+    await checkConflicts(layers, entry);
+    const written = await commitDocuments(layers, [
+      ...files.map(({ parts, content }) => ({ parts, content })),
+      ...await referenceChanges(layers, entry, files)
+    ]);
+    await purgeTrashEntry(layers, entryId);
+    return { entry, files: written };
+  });
+}
+
+module.exports = {
+  restoreTrashEntry
+};
@@ -0,0 +1,234 @@
+/**
+ * Translation Audit for InterfaceDesign
+ * Finds German/English content that is not translated yet
+ *
+ * extractMultiLangText fills a missing xml:lang variant with the other language, so the
+ * views never show a gap. This audit reads the files as they are and checks the descriptive
+ * elements of each category (DESCRIPTIVE_ELEMENTS) plus every element that has language variants
+ * in some file of the category. Reported per element:
+ *   missing   - a language variant is missing or empty; plain text counts as missing in both languages
+ *   identical - German and English text are the same (only for real sentences, names and
+ *               abbreviations are the same in both languages)
+ * Diagrams of processes and process chains are checked for both <id>_de.mermaid and <id>_en.mermaid.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseXmlDocument, elementPositions } = require('./xmlDocument');
+const { listLayerFiles } = require('./layers');
+
+const LANGUAGES = ['de', 'en'];
+
+// Categories in the order of the report
+const CATEGORIES = ['functions', 'exceptions', 'types', 'enums', 'processes', 'processchains', 'processmap'];
+
+// Elements holding prose that is expected in both languages, whether or not any file of the
+// category has language variants for them yet
+const DESCRIPTIVE_ELEMENTS = {
+  functions: ['description', 'note', 'action', 'condition', 'trigger', 'pseudocode'],
+  exceptions: ['description', 'summary', 'note', 'step', 'recovery'],
+  types: ['description', 'usage', 'note'],
+  enums: ['description', 'usageContext', 'note'],
+  processes: ['processName', 'description', 'notes', 'note', 'action'],
+  processchains: ['description', 'note'],
+  processmap: ['description']
+};
+
+// Identical texts are only suspicious if they read like a sentence
+const SENTENCE_PATTERN = /[A-Za-zÄÖÜäöüß]{3,}\s+[A-Za-zÄÖÜäöüß]{3,}/;
+
+/**
+ * Category of a design file (processes/<actor>/<type>/ are processes, processes/<folder>/ chains)
+ */
+function fileCategory(parts) {
+  if (parts[0] !== 'processes') return CATEGORIES.includes(parts[0]) ? parts[0] : null;
+  if (parts.length === 4) return 'processes';
+  if (parts.length === 3) return 'processchains';
+  return parts[1] === 'map.xml' ? 'processmap' : null;
+}
+
+/**
+ * Item a file belongs to, as the list views and detail routes address it
+ */
+function fileItem(parts, category) {
+  const id = path.basename(parts[parts.length - 1], '.xml');
+  if (category === 'processes') return { category, id, actor: parts[1], diagramType: parts[2] };
+  if (category === 'processchains') return { category, id, folder: parts[1] };
+  return { category, id };
+}
+
+/**
+ * Walk the elements of a document with their paths
+ * @param {Function} visit - (node, path, shape) with shape = path without indexes
+ */
+function walk(node, nodePath, shape, visit) {
+  visit(node, nodePath, shape);
+  const counts = {};
+  for (const child of node.children) {
+    if (child.attributes['xml:lang']) continue;
+    counts[child.name] = (counts[child.name] || 0) + 1;
+    walk(child, `${nodePath}/${child.name}[${counts[child.name]}]`, `${shape}/${child.name}`, visit);
+  }
+}
+
+/**
+ * Language variants of an element (children with xml:lang), null if it has none
+ */
+function languageVariants(node) {
+  const variants = node.children.filter(child => child.attributes['xml:lang']);
+  if (variants.length === 0) return null;
+
+  const texts = {};
+  for (const variant of variants) {
+    const text = (variant.text || '').trim();
+    if (text) texts[variant.attributes['xml:lang']] = text;
+  }
+  return texts;
+}
+
+function excerpt(text) {
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Audit one document
+ * @param {string} category - Category of the document
+ * @param {Set<string>} multilingual - Element shapes with language variants in the category
+ * @returns {Object} - { elements, findings: [{ path, kind, missing?, text?, line, column }] }
+ */
+function auditDocument(content, doc, category, multilingual) {
+  const descriptive = new Set(DESCRIPTIVE_ELEMENTS[category] || []);
+  const positions = elementPositions(content, doc.root);
+  const findings = [];
+  let elements = 0;
+
+  const report = (node, finding) => {
+    const position = positions.get(node) || { line: null, column: null };
+    findings.push({ ...finding, ...position });
+  };
+
+  walk(doc.root, `/${doc.root.name}`, `/${doc.root.name}`, (node, nodePath, shape) => {
+    const texts = languageVariants(node);
+
+    if (!texts) {
+      // Plain text in a descriptive element or where the category otherwise has language variants
+      const checked = descriptive.has(node.name.split(':').pop()) || multilingual.has(shape);
+      if (checked && node.children.length === 0 && (node.text || '').trim()) {
+        elements++;
+        report(node, { path: nodePath, kind: 'missing', missing: [...LANGUAGES], text: excerpt(node.text.trim()) });
+      }
+      return;
+    }
+
+    elements++;
+    const missing = LANGUAGES.filter(lang => !texts[lang]);
+    if (missing.length > 0) {
+      report(node, { path: nodePath, kind: 'missing', missing });
+    } else if (texts.de === texts.en && SENTENCE_PATTERN.test(texts.de)) {
+      report(node, { path: nodePath, kind: 'identical', text: excerpt(texts.de) });
+    }
+  });
+
+  return { elements, findings };
+}
+
+/**
+ * Check the diagram files of a process or process chain
+ * @param {Set<string>} files - All design files of the instance
+ * @returns {Object} - { elements, findings }
+ */
+function auditDiagrams(file, files) {
+  const stem = file.replace(/\.xml$/, '');
+  const present = LANGUAGES.filter(lang => files.has(`${stem}_${lang}.mermaid`));
+  if (present.length === 0 && !files.has(`${stem}.mermaid`)) {
+    return { elements: 0, findings: [] };
+  }
+
+  const missing = LANGUAGES.filter(lang => !present.includes(lang));
+  return {
+    elements: 1,
+    findings: missing.length > 0
+      ? [{ path: 'diagram', kind: 'missing', missing, line: null, column: null }]
+      : []
+  };
+}
+
+/**
+ * Audit the translations of all XML files and diagrams of an instance
+ * @param {Object} layers - { path, base }
+ * @returns {Promise<Object>} - { languages, categories: { [category]: { elements, translated, percent,
+ *   missing, identical } }, total, files: [{ file, layer, item, findings }] }; percent is null
+ *   for categories without texts to translate
+ */
+async function auditTranslations(layers) {
+  const layerFiles = await listLayerFiles(layers);
+  const allFiles = new Set(layerFiles.map(entry => entry.file));
+
+  // Parse first: which element shapes are multilingual is learned from the whole category
+  const documents = [];
+  const multilingual = {};
+  for (const { file, root, layer } of layerFiles) {
+    if (!file.endsWith('.xml')) continue;
+    const parts = file.split('/');
+    const category = fileCategory(parts);
+    if (!category) continue;
+
+    const content = await fs.readFile(path.join(root, ...parts), 'utf-8');
+    let doc;
+    try {
+      doc = await parseXmlDocument(content);
+    } catch {
+      // Broken files are reported by the schema check (GET /validate)
+      continue;
+    }
+
+    const shapes = multilingual[category] = multilingual[category] || new Set();
+    walk(doc.root, '', `/${doc.root.name}`, (node, nodePath, shape) => {
+      if (languageVariants(node)) shapes.add(shape);
+    });
+    documents.push({ file, layer, parts, category, content, doc });
+  }
+
+  const categories = {};
+  const files = [];
+  for (const { file, layer, parts, category, content, doc } of documents) {
+    const results = [auditDocument(content, doc, category, multilingual[category])];
+    if (category === 'processes' || category === 'processchains') {
+      results.push(auditDiagrams(file, allFiles));
+    }
+
+    const stats = categories[category] = categories[category] || { elements: 0, translated: 0, missing: 0, identical: 0 };
+    const findings = [];
+    for (const result of results) {
+      stats.elements += result.elements;
+      findings.push(...result.findings);
+    }
+    stats.translated += results.reduce((sum, result) => sum + result.elements, 0) - findings.length;
+    stats.missing += findings.filter(finding => finding.kind === 'missing').length;
+    stats.identical += findings.filter(finding => finding.kind === 'identical').length;
+
+    if (findings.length > 0) {
+      files.push({ file, layer, item: fileItem(parts, category), findings });
+    }
+  }
+
+  const percent = stats => (stats.elements === 0 ? null : Math.floor((stats.translated / stats.elements) * 1000) / 10);
+  const total = { elements: 0, translated: 0, missing: 0, identical: 0 };
+  const ordered = {};
+  for (const category of CATEGORIES.filter(c => categories[c])) {
+    const stats = categories[category];
+    ordered[category] = { ...stats, percent: percent(stats) };
+    for (const key of Object.keys(total)) total[key] += stats[key];
+  }
+
+  return {
+    languages: LANGUAGES,
+    categories: ordered,
+    total: { ...total, percent: percent(total) },
+    files
+  };
+}
+
+module.exports = {
+  auditTranslations
+};
@@ -0,0 +1,156 @@
+/**
+ * Trash for InterfaceDesign
+ * Deleted items are kept in the .trash folder of the instance instead of being lost:
+ *   .trash/<entryId>/meta.json  - { id, category, itemId, actor?, diagramType?, folder?, chainId?, files, deletedAt, deletedBy }
+ *   .trash/<entryId>/<files>    - the deleted files below their path in the interfacedesign folder
+ *
+ * The trash folder lies next to the interfacedesign folder, outside the layers the model reads.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('../global/fileSystem');
+const { httpError } = require('../global/httpError');
+
+const TRASH_FOLDER = '.trash';
+const META_FILE = 'meta.json';
+
+// Entry ids are generated from the time and the item: 20260103T100000123Z-functions-startTransaction
+const ENTRY_ID_PATTERN = /^[0-9]{8}T[0-9]{9}Z-[a-z]+-[a-zA-Z0-9_-]+$/;
+
+/**
+ * Trash folder of an instance (next to its interfacedesign folder)
+ * @param {Object} layers - { path, base }
+ */
+function trashRoot(layers) {
+  return path.join(path.dirname(layers.path), TRASH_FOLDER);
+}
+
+/**
+ * Folder of a trash entry; rejects ids that are not entry ids
+ */
+function entryPath(layers, entryId) {
+  if (typeof entryId !== 'string' || !ENTRY_ID_PATTERN.test(entryId)) {
+    throw httpError(400, `Invalid trash entry '${entryId || ''}'`);
+  }
+  return path.join(trashRoot(layers), entryId);
+}
+
+/**
+ * Keep deleted files in a new trash entry
+ * @param {Object} layers - { path, base }
+ * @param {Object} item - { category, id, actor?, diagramType?, folder?, chainId?, deletedBy }
+ * @param {Array<Object>} files - [{ parts, content }] deleted files with their last content
+ * @returns {Promise<string>} - Entry id
+ */
+async function writeTrashEntry(layers, item, files) {
+  const { deletedBy = null, ...itemInfo } = item;
+  const deletedAt = new Date().toISOString();
+  const stamp = deletedAt.replace(/[-:.]/g, '');
+  const entryId = `${stamp}-${item.category}-${item.id}`;
+  const dirPath = entryPath(layers, entryId);
+
+  // The item's files are gone after a delete, so the same item can't be trashed twice in one millisecond
+  await fs.mkdir(dirPath, { recursive: true });
+  try {
+    for (const file of files) {
+      await writeFileAtomic(path.join(dirPath, ...file.parts), file.content);
+    }
+    const meta = {
+      ...itemInfo,
+      id: entryId,
+      itemId: item.id,
+      files: files.map(file => file.parts.join('/')),
+      deletedAt,
+      deletedBy
+    };
+    await writeFileAtomic(path.join(dirPath, META_FILE), JSON.stringify(meta, null, 2));
+  } catch (error) {
+    await fs.rm(dirPath, { recursive: true, force: true });
+    throw error;
+  }
+  return entryId;
+}
+
+/**
+ * Read the metadata of a trash entry
+ * @returns {Promise<Object>} - Entry metadata
+ */
+async function readTrashEntry(layers, entryId) {
+  const dirPath = entryPath(layers, entryId);
+  try {
+    return JSON.parse(await fs.readFile(path.join(dirPath, META_FILE), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw httpError(404, `Trash entry '${entryId}' not found`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read the files of a trash entry
+ * @returns {Promise<Array<Object>>} - [{ parts, content }]
+ */
+async function readTrashFiles(layers, entry) {
+  const dirPath = entryPath(layers, entry.id);
+  const files = [];
+  for (const file of entry.files) {
+    const parts = file.split('/');
+    files.push({ parts, content: await fs.readFile(path.join(dirPath, ...parts)) });
+  }
+  return files;
+}
+
+/**
+ * List the trash entries of an instance, newest first
+ * Entries with unreadable metadata are skipped
+ */
+async function listTrash(layers) {
+  let names;
+  try {
+    names = await fs.readdir(trashRoot(layers));
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  for (const name of names.filter(n => ENTRY_ID_PATTERN.test(n))) {
+    try {
+      entries.push(await readTrashEntry(layers, name));
+    } catch (error) {
+      console.error(`Error reading trash entry ${name}:`, error.message);
+    }
+  }
+  return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Remove a trash entry for good
+ */
+async function purgeTrashEntry(layers, entryId) {
+  await readTrashEntry(layers, entryId);
+  await fs.rm(entryPath(layers, entryId), { recursive: true, force: true });
+}
+
+/**
+ * Empty the trash of an instance
+ * @returns {Promise<number>} - Number of removed entries
+ */
+async function purgeTrash(layers) {
+  const entries = await listTrash(layers);
+  for (const entry of entries) {
+    await fs.rm(entryPath(layers, entry.id), { recursive: true, force: true });
+  }
+  return entries.length;
+}
+
+module.exports = {
+  TRASH_FOLDER,
+  writeTrashEntry,
+  readTrashEntry,
+  readTrashFiles,
+  listTrash,
+  purgeTrashEntry,
+  purgeTrash
+};
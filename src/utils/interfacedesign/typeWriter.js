@@ -0,0 +1,266 @@
+/**
+ * Type Writer for InterfaceDesign
+ * Serializes type data in the shape of parseTypeDetail back into type XML
+ *
+ * Writable: name, category, source, baseType, description, asn1Definition, usage,
+ * fields (incl. getters/setters), constraints and notes. Elements the parser does not know
+ * (choices, examples, references) are preserved. Merging works like in functionWriter.
+ */
+
+const xmlParser = require('./xmlParser');
+const {
+  createElement,
+  cloneNode,
+  getChild,
+  getChildren,
+  childText,
+  replaceChildren,
+  buildText,
+  buildList,
+  sameValue,
+  withPrevious,
+  setChild,
+  nameElement,
+  setOptionalText,
+  buildFlexible,
+  booleanText,
+  buildContainer,
+  buildItems
+} = require('./xmlDocument');
+const { ELEMENT_ORDER } = require('./elementOrder');
+const { httpError } = require('../global/httpError');
+const { queuedWriter, readDocument, checkSchema, documentChanged, commitDocuments } = require('./documentStore');
+const { locateFile } = require('./model');
+
+const NAMESPACE = 'http://bsi.bund.de/TR03151';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+const SCHEMA_FILE = 'types.xsd';
+
+// List fields of the type data
+const LIST_FIELDS = ['fields', 'constraints', 'notes'];
+
+// ============================================
+// Element Builders
+// ============================================
+
+function buildField(existing, field) {
+  const node = existing ? cloneNode(existing) : createElement('field');
+  const nameTag = nameElement(node);
+  const order = ELEMENT_ORDER.typeField;
+
+  setChild(node, nameTag, buildText(nameTag, field.name, getChild(node, nameTag)), order);
+  setChild(node, 'type', buildText('type', field.type, getChild(node, 'type')), order);
+  setOptionalText(node, 'optional', booleanText(field.optional), 'false', order);
+  setOptionalText(node, 'required', booleanText(field.required), 'false', order);
+  setChild(node, 'description', buildFlexible('description', field.description, getChild(node, 'description')), order);
+  for (const accessor of ['getter', 'setter', 'defaultValue']) {
+    setChild(node, accessor, buildText(accessor, field[accessor], getChild(node, accessor)), order);
+  }
+  return node;
+}
+
+/**
+ * Build a <constraint> (shared with enumWriter)
+ */
+function buildConstraint(existing, constraint) {
+  const node = existing ? cloneNode(existing) : createElement('constraint');
+  setChild(node, 'type', buildText('type', constraint.type, getChild(node, 'type')), ELEMENT_ORDER.constraint);
+  setChild(node, 'description', buildFlexible('description', constraint.description, getChild(node, 'description')), ELEMENT_ORDER.constraint);
+  return node;
+}
+
+// ============================================
+// Type Document
+// ============================================
+
+/**
+ * Create an empty type document
+ * @param {string} id - Type id (file stem)
+ */
+function createTypeDocument(id) {
+  return {
+    declaration: '<?xml version="1.0" encoding="UTF-8"?>',
+    root: createElement('type', {
+      attributes: {
+        id,
+        xmlns: NAMESPACE,
+        'xmlns:xsi': XSI_NAMESPACE,
+        'xsi:schemaLocation': `${NAMESPACE} ../../_schema/${SCHEMA_FILE}`
+      }
+    })
+  };
+}
+
+/**
+ * Merge type data into a type document
+ * @param {Object} doc - Existing document (modified)
+ * @param {Object} data - Type data (shape of parseTypeDetail)
+ * @param {Object|null} previous - Parsed data of the existing document (null for new types)
+ * @returns {Object} - The document
+ */
+function applyTypeData(doc, data, previous) {
+  const root = doc.root;
+  const order = ELEMENT_ORDER.type;
+  const changed = field => data[field] !== undefined && !(previous && sameValue(previous[field], data[field]));
+
+  if (changed('name')) {
+    const nameTag = nameElement(root);
+    setChild(root, nameTag, buildText(nameTag, data.name, getChild(root, nameTag)), order);
+  }
+  for (const field of ['category', 'source', 'baseType', 'asn1Definition']) {
+    if (changed(field)) {
+      setChild(root, field, buildText(field, data[field], getChild(root, field)), order);
+    }
+  }
+  for (const field of ['description', 'usage']) {
+    if (changed(field)) {
+      setChild(root, field, buildFlexible(field, data[field], getChild(root, field)), order);
+    }
+  }
+
+  if (changed('fields')) {
+    const existing = getChild(root, 'fields');
+    const previousFields = previous ? previous.fields : [];
+    const fields = buildList(getChildren(existing, 'field'), data.fields, (node, item) => {
+      const before = previousFields.find(f => f.name === item.name);
+      const field = node ? withPrevious(item, before) : item;
+      if (node && before && sameValue(before, field)) return cloneNode(node);
+      return buildField(node, field);
+    }, field => field.name, node => childText(node, nameElement(node)));
+    setChild(root, 'fields', buildContainer('fields', 'field', existing, fields, false), order);
+  }
+
+  if (changed('constraints')) {
+    const existing = getChild(root, 'constraints');
+    const constraints = buildItems(getChildren(existing, 'constraint'), previous && previous.constraints, data.constraints, buildConstraint);
+    setChild(root, 'constraints', buildContainer('constraints', 'constraint', existing, constraints, false), order);
+  }
+
+  if (changed('notes')) {
+    replaceChildren(root, 'note',
+      buildItems(getChildren(root, 'note'), previous && previous.notes, data.notes,
+        (node, note) => buildFlexible('note', note, node)),
+      order);
+  }
+
+  return doc;
+}
+
+/**
+ * Check the structure of type data before it is merged
+ * @param {Object} data - Type data
+ * @param {boolean} create - New type (name is required)
+ * @returns {Array<Object>} - Errors [{ path, message }]
+ */
+function checkTypeData(data, create) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ path: '', message: 'Type data must be an object' }];
+  }
+
+  const errors = [];
+  if ((create || data.name !== undefined) && (typeof data.name !== 'string' || !data.name.trim())) {
+    errors.push({ path: 'name', message: 'Name is required' });
+  }
+  for (const field of LIST_FIELDS) {
+    if (data[field] !== undefined && data[field] !== null && !Array.isArray(data[field])) {
+      errors.push({ path: field, message: `'${field}' must be an array` });
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  const names = new Set();
+  (data.fields || []).forEach((field, i) => {
+    if (!field || typeof field.name !== 'string' || !field.name.trim()) {
+      errors.push({ path: `fields[${i}].name`, message: 'Field name is required' });
+    } else if (names.has(field.name)) {
+      errors.push({ path: `fields[${i}].name`, message: `Duplicate field '${field.name}'` });
+    } else {
+      names.add(field.name);
+    }
+  });
+
+  (data.constraints || []).forEach((constraint, i) => {
+    if (!constraint || typeof constraint.type !== 'string' || !constraint.type.trim()) {
+      errors.push({ path: `constraints[${i}].type`, message: 'Constraint type is required' });
+    }
+  });
+
+  return errors;
+}
+
+// ============================================
+// Write Operations
+// ============================================
+
+/**
+ * Create or update a type in the instance
+ * Inherited types are written into the instance (they become 'overridden')
+ * @param {Object} layers - { path, base }
+ * @param {string} id - Type id (file stem)
+ * @param {Object} data - Type data (shape of parseTypeDetail)
+ * @param {Object} options - { create: true for POST (fails if the type exists) }
+ * @returns {Promise<Array<string>>} - Written files relative to the interfacedesign folder
+ */
+async function saveType(layers, id, data, { create = false } = {}) {
+  if (data && data.id !== undefined && data.id !== id) {
+    throw httpError(400, `Type id '${data.id}' does not match '${id}'`);
+  }
+
+  const dataErrors = checkTypeData(data, create);
+  if (dataErrors.length > 0) {
+    throw httpError(400, 'Invalid type data', dataErrors);
+  }
+
+  const parts = ['types', `${id}.xml`];
+  const current = await readDocument(layers, parts);
+  if (create && current) {
+    throw httpError(409, `Type '${id}' already exists`);
+  }
+  if (!create && !current) {
+    throw httpError(404, 'Type not found');
+  }
+
+  const previous = current ? await xmlParser.parseTypeDetail(current.filePath) : null;
+  const doc = current ? { ...current.doc, root: cloneNode(current.doc.root) } : createTypeDocument(id);
+  applyTypeData(doc, data, previous);
+
+  const schemaErrors = await checkSchema(layers, SCHEMA_FILE, doc, current && current.doc);
+  if (schemaErrors.length > 0) {
+    throw httpError(400, `Type does not conform to ${SCHEMA_FILE}`, schemaErrors);
+  }
+
+  if (current && current.layer !== 'inherited' && !documentChanged(current.doc, doc)) {
+    return [];
+  }
+  return commitDocuments(layers, [{ parts, doc }]);
+}
+
+/**
+ * Delete a type from the instance
+ * For overridden types the base template's version becomes visible again
+ * @param {Object} layers - { path, base }
+ * @param {string} id - Type id (file stem)
+ * @param {string} deletedBy - User name for the trash entry (null without login)
+ * @returns {Promise<Array<string>>} - Removed files relative to the interfacedesign folder
+ */
+async function deleteType(layers, id, deletedBy = null) {
+  const parts = ['types', `${id}.xml`];
+  const location = await locateFile(layers, parts);
+  if (!location) {
+    throw httpError(404, 'Type not found');
+  }
+  if (location.layer === 'inherited') {
+    throw httpError(409, `Type '${id}' is inherited from the base template and can't be deleted in the instance`);
+  }
+
+  return commitDocuments(layers, [{ parts, remove: true }], { trash: { category: 'types', id, deletedBy } });
+}
+
+module.exports = {
+  createTypeDocument,
+  applyTypeData,
+  checkTypeData,
+  buildConstraint,
+  saveType: queuedWriter(saveType),
+  deleteType: queuedWriter(deleteType)
+};
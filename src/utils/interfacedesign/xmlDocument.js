@@ -0,0 +1,458 @@
+/**
+ * Ordered XML Documents for the InterfaceDesign write API
+ *
+ * xmlParser reads files into plain objects (xml2js, explicitArray: false), which loses
+ * the order of differently named elements. Writing needs the full document instead:
+ * every element with its attributes, its children in document order and its text,
+ * so elements the API does not know survive a rewrite unchanged.
+ *
+ * Node: { name, attributes: { [name]: value }, children: [Node], text: string|null,
+ *         blankBefore?: true if an empty line precedes the element }
+ */
+
+const xml2js = require('xml2js');
+
+// Order-preserving parser; text is kept as is (pseudocode and ASN.1 blocks are indented)
+const treeParser = new xml2js.Parser({
+  explicitChildren: true,
+  preserveChildrenOrder: true,
+  explicitArray: true,
+  trim: false,
+  normalize: false,
+  includeWhiteChars: false
+});
+
+const DEFAULT_DECLARATION = "<?xml version='1.0' encoding='utf-8'?>";
+const INDENT = '  ';
+
+// Default order of the language variants of new multilingual elements
+const LANGUAGES = ['en', 'de'];
+
+/**
+ * Create an element node
+ * @param {string} name - Element name
+ * @param {Object} options - { attributes, text, children }
+ * @returns {Object} - Node
+ */
+function createElement(name, { attributes = {}, text = null, children = [] } = {}) {
+  return { name, attributes: { ...attributes }, children: [...children], text };
+}
+
+function fromXml2js(name, raw) {
+  if (typeof raw === 'string') {
+    return createElement(name, { text: raw });
+  }
+  const children = (raw.$$ || []).map(child => fromXml2js(child['#name'], child));
+  const text = typeof raw._ === 'string' && children.length === 0 ? raw._ : null;
+  return createElement(name, { attributes: raw.$ || {}, text, children });
+}
+
+/**
+ * Find the start tags of a file in document order
+ * @returns {Array<Object>} - [{ index, blankBefore }] with the offset of each '<'
+ */
+function scanStartTags(content) {
+  const tags = [];
+  const startTag = /<[A-Za-z_][\w:.-]*[\s>/]/g;
+  let match;
+  while ((match = startTag.exec(content))) {
+    const before = content.slice(content.lastIndexOf('>', match.index) + 1, match.index);
+    tags.push({ index: match.index, blankBefore: /^\s*$/.test(before) && /\n[ \t]*\r?\n/.test(before) });
+  }
+  return tags;
+}
+
+/**
+ * Match the start tags of a file to the nodes of its document
+ * @returns {Array<Array>|null} - [[node, tag]] in document order, null if the scan can't map
+ *   the file (e.g. tags inside comments or CDATA)
+ */
+function matchStartTags(content, root) {
+  const tags = scanStartTags(content);
+  const nodes = [];
+  const collect = node => {
+    nodes.push(node);
+    node.children.forEach(collect);
+  };
+  collect(root);
+  return nodes.length === tags.length ? nodes.map((node, i) => [node, tags[i]]) : null;
+}
+
+/**
+ * Mark the elements preceded by an empty line (e.g. between the sections of map.xml)
+ * Files the scan can't map stay unmarked
+ */
+function markBlankLines(content, root) {
+  const matched = matchStartTags(content, root);
+  if (!matched) return;
+  matched.forEach(([node, tag], i) => {
+    if (tag.blankBefore && i > 0) node.blankBefore = true;
+  });
+}
+
+/**
+ * Positions of the elements of a parsed file (1-based line and column of the start tag)
+ * @param {string} content - XML content the document was parsed from
+ * @param {Object} root - Root node of the document
+ * @returns {Map<Object, Object>} - node -> { line, column }; empty if the file can't be mapped
+ */
+function elementPositions(content, root) {
+  const positions = new Map();
+  let line = 1;
+  let lineStart = 0;
+  let offset = 0;
+  for (const [node, tag] of matchStartTags(content, root) || []) {
+    // Tags come in document order, so the lines are counted once
+    for (; offset < tag.index; offset++) {
+      if (content[offset] === '\n') {
+        line++;
+        lineStart = offset + 1;
+      }
+    }
+    positions.set(node, { line, column: tag.index - lineStart + 1 });
+  }
+  return positions;
+}
+
+/**
+ * Parse XML content into an ordered document
+ * @param {string} content - XML content
+ * @returns {Promise<Object>} - { declaration, compactEmpty, openEmpty, trailer, indent, root }
+ */
+async function parseXmlDocument(content) {
+  const result = await treeParser.parseStringPromise(content);
+  const rootName = Object.keys(result)[0];
+  const declaration = (content.match(/^﻿?\s*(<\?xml[^?]*\?>)/) || [])[1] || DEFAULT_DECLARATION;
+  // Indentation, empty elements and the end of the file keep the file's notation
+  const compactEmpty = /<[\w:.-]+\/>/.test(content) && !/<[\w:.-]+( [^<>]*)? \/>/.test(content);
+  const openEmpty = /<([\w:.-]+)( [^<>]*)?>\s*\n[ \t]*<\/\1>/.test(content) && !/\/>/.test(content);
+  const trailer = content.match(/\s*$/)[0];
+  const indent = (content.match(/\n([ \t]+)</) || [])[1] || INDENT;
+  const root = fromXml2js(rootName, result[rootName]);
+  markBlankLines(content, root);
+  return { declaration, compactEmpty, openEmpty, trailer, indent, root };
+}
+
+function escapeText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return escapeText(value).replace(/"/g, '&quot;');
+}
+
+function serializeNode(node, depth, format) {
+  const indent = format.indent.repeat(depth);
+  const attributes = Object.entries(node.attributes)
+    .map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`)
+    .join('');
+
+  if (node.children.length > 0) {
+    const children = node.children
+      .map(child => `${child.blankBefore ? '\n' : ''}${serializeNode(child, depth + 1, format)}`)
+      .join('\n');
+    return `${indent}<${node.name}${attributes}>\n${children}\n${indent}</${node.name}>`;
+  }
+  if (node.text !== null && node.text !== '') {
+    return `${indent}<${node.name}${attributes}>${escapeText(node.text)}</${node.name}>`;
+  }
+  if (format.openEmpty) {
+    return `${indent}<${node.name}${attributes}>\n${indent}</${node.name}>`;
+  }
+  return `${indent}<${node.name}${attributes}${format.emptyEnd}`;
+}
+
+/**
+ * Serialize an ordered document (two-space indentation like the shipped files unless the
+ * document was read with another one)
+ * @param {Object} doc - { declaration, compactEmpty, openEmpty, trailer, indent, root }
+ * @returns {string} - XML content
+ */
+function serializeXmlDocument(doc) {
+  const format = { indent: doc.indent || INDENT, emptyEnd: doc.compactEmpty ? '/>' : ' />', openEmpty: !!doc.openEmpty };
+  const trailer = doc.trailer === undefined ? '\n' : doc.trailer;
+  return `${doc.declaration || DEFAULT_DECLARATION}\n${serializeNode(doc.root, 0, format)}${trailer}`;
+}
+
+/**
+ * Deep copy of a node
+ */
+function cloneNode(node) {
+  const clone = {
+    name: node.name,
+    attributes: { ...node.attributes },
+    children: node.children.map(cloneNode),
+    text: node.text
+  };
+  if (node.blankBefore) clone.blankBefore = true;
+  return clone;
+}
+
+function getChildren(node, name) {
+  return node ? node.children.filter(child => child.name === name) : [];
+}
+
+function getChild(node, name) {
+  return getChildren(node, name)[0] || null;
+}
+
+/**
+ * Replace all children with a name by new nodes
+ * The new nodes take the place of the first replaced child; without one they are inserted
+ * after the last child that comes earlier in the given element order
+ * @param {Object} node - Parent node (modified)
+ * @param {string} name - Child element name
+ * @param {Array<Object>} newNodes - Replacement nodes (empty = remove)
+ * @param {Array<string>} order - Known element order of the parent
+ */
+function replaceChildren(node, name, newNodes, order) {
+  const firstIndex = node.children.findIndex(child => child.name === name);
+  const remaining = node.children.filter(child => child.name !== name);
+
+  let insertAt;
+  if (firstIndex >= 0) {
+    insertAt = node.children.slice(0, firstIndex).filter(child => child.name !== name).length;
+  } else {
+    const rank = order.indexOf(name);
+    insertAt = 0;
+    remaining.forEach((child, index) => {
+      const childRank = order.indexOf(child.name);
+      if (childRank >= 0 && childRank < rank) insertAt = index + 1;
+    });
+  }
+
+  remaining.splice(insertAt, 0, ...newNodes);
+  node.children = remaining;
+}
+
+/**
+ * Normalize a multilingual value to { de, en } (plain strings apply to both languages)
+ */
+function normalizeMultiLang(value) {
+  if (value === null || value === undefined) return { de: '', en: '' };
+  if (typeof value !== 'object') return { de: String(value), en: String(value) };
+  const de = typeof value.de === 'string' ? value.de : '';
+  const en = typeof value.en === 'string' ? value.en : '';
+  const fallback = typeof value._default === 'string' ? value._default : '';
+  return { de: de || (en ? '' : fallback), en: en || (de ? '' : fallback) };
+}
+
+/**
+ * Build a multilingual element (<name><text xml:lang="en">..</text><text xml:lang="de">..</text></name>)
+ *
+ * Existing language variants are updated in place. A variant missing in an existing element is
+ * only added if its text differs from the other language: xmlParser fills a missing language
+ * with the other one, and writing that copy back would hide the missing translation.
+ *
+ * @param {string} name - Element name
+ * @param {Object|string} value - { de, en } or plain string
+ * @param {Object|null} existing - Existing element
+ * @param {Object} options - { childName: 'text', languages: ['en', 'de'] }
+ * @returns {Object|null} - Element or null if both languages are empty
+ */
+function buildMultiLang(name, value, existing, { childName = 'text', languages = LANGUAGES } = {}) {
+  const texts = normalizeMultiLang(value);
+  if (!texts.de && !texts.en) return null;
+
+  // Plain text without language variants stays plain as long as both languages agree
+  if (existing && existing.children.length === 0 && texts.de === texts.en) {
+    return { ...cloneNode(existing), text: texts.de };
+  }
+
+  const node = existing ? cloneNode(existing) : createElement(name);
+  node.text = null;
+  const present = new Set();
+
+  node.children = node.children.filter(child => {
+    if (child.name !== childName || !child.attributes['xml:lang']) return true;
+    const lang = child.attributes['xml:lang'];
+    if (!(lang in texts)) return true;
+    if (!texts[lang]) return false;
+    child.text = texts[lang];
+    child.children = [];
+    present.add(lang);
+    return true;
+  });
+
+  for (const lang of languages) {
+    if (present.has(lang) || !texts[lang]) continue;
+    const other = lang === 'de' ? texts.en : texts.de;
+    if (existing && present.size > 0 && texts[lang] === other) continue;
+    node.children.push(createElement(childName, { attributes: { 'xml:lang': lang }, text: texts[lang] }));
+    present.add(lang);
+  }
+
+  return node;
+}
+
+/**
+ * Build a simple text element
+ * @returns {Object|null} - Element or null for empty values
+ */
+function buildText(name, value, existing = null) {
+  if (value === null || value === undefined || value === '') return null;
+  const node = existing ? cloneNode(existing) : createElement(name);
+  node.text = String(value);
+  node.children = [];
+  return node;
+}
+
+/**
+ * Build a list of elements, reusing existing elements as merge base
+ * @param {Array<Object>} existingNodes - Existing elements
+ * @param {Array} values - New values
+ * @param {Function} build - (existingNode|null, value, index) => Node|null
+ * @param {Function} keyOfValue - Optional: key of a value to find its existing element
+ * @param {Function} keyOfNode - Optional: key of an existing element
+ * @returns {Array<Object>} - New elements
+ */
+function buildList(existingNodes, values, build, keyOfValue = null, keyOfNode = null) {
+  const used = new Set();
+  return (values || []).map((value, index) => {
+    let existing = null;
+    if (keyOfValue && keyOfNode) {
+      const key = keyOfValue(value);
+      existing = existingNodes.find((node, i) => !used.has(i) && keyOfNode(node) === key) || null;
+    }
+    if (!existing && !keyOfValue && index < existingNodes.length) {
+      existing = existingNodes[index];
+    }
+    if (existing) used.add(existingNodes.indexOf(existing));
+    return build(existing, value, index);
+  }).filter(Boolean);
+}
+
+/**
+ * Text of a child element (null if missing)
+ */
+function childText(node, name) {
+  const child = getChild(node, name);
+  return child ? child.text : null;
+}
+
+// ============================================
+// Merge Helpers (parsed data -> existing elements)
+// ============================================
+
+/**
+ * Compare two values of parsed content data (language fallbacks in '_default' are ignored)
+ */
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a).filter(key => key !== '_default');
+  const keysB = Object.keys(b).filter(key => key !== '_default');
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && sameValue(a[key], b[key]));
+}
+
+/**
+ * Complete a list item with the fields of its previous version (missing fields stay unchanged)
+ */
+function withPrevious(value, previous) {
+  if (!previous || !value || typeof value !== 'object' || Array.isArray(value)) return value;
+  return { ...previous, ...value };
+}
+
+function setChild(node, name, child, order) {
+  replaceChildren(node, name, child ? [child] : [], order);
+}
+
+/**
+ * Name element of a node: legacy files use <n> instead of <name>
+ */
+function nameElement(node) {
+  return node && getChild(node, 'n') && !getChild(node, 'name') ? 'n' : 'name';
+}
+
+/**
+ * Set an optional text child; a value equal to the parser's default is not written
+ * if the element does not exist yet (e.g. direction INPUT, required false)
+ */
+function setOptionalText(node, name, value, defaultValue, order) {
+  const existing = getChild(node, name);
+  if (!existing && (value === undefined || value === null || value === defaultValue)) return;
+  setChild(node, name, buildText(name, value === undefined || value === null ? '' : value, existing), order);
+}
+
+/**
+ * Build an element from a plain string or a multilingual object
+ * Plain strings stay plain text unless the existing element has language variants
+ */
+function buildFlexible(name, value, existing) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'string' && (!existing || existing.children.length === 0)) {
+    return buildText(name, value, existing);
+  }
+  if (typeof value === 'object' && !('de' in value) && !('en' in value) && !('_default' in value)) {
+    // Raw structures the parser passes through unchanged can't be written back
+    return existing ? cloneNode(existing) : null;
+  }
+  return buildMultiLang(name, value, existing);
+}
+
+function booleanText(value) {
+  return value === true || value === 'true' ? 'true' : 'false';
+}
+
+/**
+ * Build a container element (e.g. <exceptions>) with a list of items
+ * Children other than the items are kept
+ * @param {string} name - Container name
+ * @param {string} itemName - Item element name
+ * @param {Object|null} existing - Existing container
+ * @param {Array<Object>} items - Item elements
+ * @param {boolean} keepEmpty - Write the container without items (otherwise it is removed)
+ */
+function buildContainer(name, itemName, existing, items, keepEmpty) {
+  if (items.length === 0 && !keepEmpty && !(existing && existing.children.some(c => c.name !== itemName))) {
+    return null;
+  }
+  const node = existing ? cloneNode(existing) : createElement(name);
+  node.text = null;
+  replaceChildren(node, itemName, items, [itemName]);
+  return node;
+}
+
+/**
+ * Build list items, unchanged items keep their existing element
+ * @param {Array<Object>} nodes - Existing item elements
+ * @param {Array} previous - Parsed values of the existing items (same order as nodes)
+ * @param {Array} values - New values
+ * @param {Function} build - (existingNode|null, value) => Node|null
+ */
+function buildItems(nodes, previous, values, build) {
+  return (values || []).map((item, index) => {
+    const existing = nodes[index] || null;
+    const value = existing && previous ? withPrevious(item, previous[index]) : item;
+    if (existing && previous && sameValue(previous[index], value)) return cloneNode(existing);
+    return build(existing, value);
+  }).filter(Boolean);
+}
+
+module.exports = {
+  createElement,
+  parseXmlDocument,
+  elementPositions,
+  serializeXmlDocument,
+  cloneNode,
+  getChildren,
+  getChild,
+  childText,
+  replaceChildren,
+  normalizeMultiLang,
+  buildMultiLang,
+  buildText,
+  buildList,
+  sameValue,
+  withPrevious,
+  setChild,
+  nameElement,
+  setOptionalText,
+  buildFlexible,
+  booleanText,
+  buildContainer,
+  buildItems
+};
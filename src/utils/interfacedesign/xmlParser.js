@@ -6,6 +6,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const xml2js = require('xml2js');
+const { cachedParse } = require('./modelCache');
 
 // XML Parser with options
 const parser = new xml2js.Parser({
@@ -85,18 +86,21 @@ function getTextForLang(multiLangObj, lang = 'de') {
 
 /**
  * Parse a single XML file
+ * Parsed files are kept in the model cache until their mtime or size changes
  * @param {string} filePath - Path to XML file
- * @returns {Promise<Object>} - Parsed XML object
+ * @returns {Promise<Object>} - Parsed XML object (shared, must not be modified)
  */
 async function parseXmlFile(filePath) {
-  try {
-    const content = await fs.readFile(filePath, 'utf-8');
-    const result = await parser.parseStringPromise(content);
-    return result;
-  } catch (error) {
-    console.error(`Error parsing XML file ${filePath}:`, error.message);
-    return null;
-  }
+  return cachedParse(filePath, async () => {
+    try {
+      const content = await fs.readFile(filePath, 'utf-8');
+      const result = await parser.parseStringPromise(content);
+      return result;
+    } catch (error) {
+      console.error(`Error parsing XML file ${filePath}:`, error.message);
+      return null;
+    }
+  });
 }
 
 /**
@@ -1283,8 +1287,15 @@ async function loadProcesses(basePath) {
  * @returns {Promise<Object>} - Overview with counts by actor and diagram type
  */
 async function getProcessesOverview(basePath) {
-  const processes = await loadProcesses(basePath);
-  
+  return summarizeProcesses(await loadProcesses(basePath));
+}
+
+/**
+ * Count processes by actor and diagram type
+ * @param {Array} processes - Processes from loadProcesses
+ * @returns {Object} - Overview with counts by actor and diagram type
+ */
+function summarizeProcesses(processes) {
   const overview = {
     count: processes.length,
     byActor: {},
@@ -1337,13 +1348,35 @@ async function loadCategory(basePath, category) {
   return items.filter(item => item !== null);
 }
 
+// Flat categories counted in the overview
+const OVERVIEW_CATEGORIES = ['functions', 'enums', 'types', 'exceptions'];
+
 /**
  * Get overview of all categories
  * @param {string} basePath - Base path for interfacedesign
  * @returns {Promise<Object>} - Overview with counts and category info
  */
 async function getOverview(basePath) {
-  const categories = ['functions', 'enums', 'types', 'exceptions'];
+  const categoryItems = {};
+  for (const category of OVERVIEW_CATEGORIES) {
+    categoryItems[category] = await loadCategory(basePath, category);
+  }
+
+  return summarizeOverview(
+    categoryItems,
+    await loadProcesses(basePath),
+    await loadProcessChains(basePath)
+  );
+}
+
+/**
+ * Build the overview from already loaded items
+ * @param {Object} categoryItems - Items per category (functions, enums, types, exceptions)
+ * @param {Array} processes - Processes from loadProcesses
+ * @param {Array} chains - Process chains from loadProcessChains
+ * @returns {Object} - Overview with counts and category info
+ */
+function summarizeOverview(categoryItems, processes, chains) {
   const overview = {
     functions: { count: 0, categories: {} },
     enums: { count: 0, categories: {} },
@@ -1352,8 +1385,8 @@ async function getOverview(basePath) {
     processes: { count: 0, categories: {} }
   };
 
-  for (const category of categories) {
-    const items = await loadCategory(basePath, category);
+  for (const category of OVERVIEW_CATEGORIES) {
+    const items = categoryItems[category] || [];
     overview[category].count = items.length;
     
     // Group by category/subcategory (use default text for grouping key)
@@ -1367,15 +1400,14 @@ async function getOverview(basePath) {
   }
 
   // Add processes overview
-  const processesOverview = await getProcessesOverview(basePath);
+  const processesOverview = summarizeProcesses(processes);
   overview.processes.count = processesOverview.count;
   overview.processes.categories = processesOverview.byActor;
   overview.processes.byDiagramType = processesOverview.byDiagramType;
 
   // Add process chains overview
-  const processChainsOverview = await getProcessChainsOverview(basePath);
   overview.processchains = {
-    count: processChainsOverview.count,
+    count: chains.length,
     categories: {}
   };
 
@@ -1459,6 +1491,39 @@ async function parseProcessChain(filePath) {
   };
 }
 
+/**
+ * Parse the <function> of a process chain step (name and optional linked process)
+ * @param {Object} func - The <function> element (parsed by xml2js)
+ * @returns {Object} - { name, linkedProcess: { id, name } | null }
+ */
+function parseChainFunction(func) {
+  // Function name can be in 'name' or 'n' element; it could be a string or an object with text content
+  const funcName = func.name || func.n;
+  const funcNameStr = typeof funcName === 'string' ? funcName :
+                     (funcName?._ || funcName?.['#text'] || funcName);
+
+  return {
+    name: funcNameStr,
+    linkedProcess: func.linkedProcess ? {
+      id: func.linkedProcess.id,
+      name: extractMultiLangText(func.linkedProcess.name || func.linkedProcess.n)
+    } : null
+  };
+}
+
+/**
+ * Extract a list of multilingual items from a container element
+ * (e.g. <rules><rule>...</rule></rules>)
+ * @param {Object} container - The container element (parsed by xml2js)
+ * @param {string} itemName - Name of the item elements
+ * @returns {Array<Object>} - Multilingual texts
+ */
+function extractMultiLangList(container, itemName) {
+  if (!container || !container[itemName]) return [];
+  const items = Array.isArray(container[itemName]) ? container[itemName] : [container[itemName]];
+  return items.map(item => extractMultiLangText(item));
+}
+
 /**
  * Parse a process chain XML file with full details
  * @param {string} filePath - Path to process chain XML file
@@ -1532,24 +1597,12 @@ async function parseProcessChainDetail(filePath) {
   if (chain.steps && chain.steps.step) {
     const stepList = Array.isArray(chain.steps.step) ? chain.steps.step : [chain.steps.step];
     steps = stepList.map(s => {
-      // Function name can be in 'name' or 'n' element, and it's a direct string
       let functionData = null;
       if (s.function) {
-        const funcName = s.function.name || s.function.n;
-        // funcName could be a string or an object with text content
-        const funcNameStr = typeof funcName === 'string' ? funcName : 
-                           (funcName?._ || funcName?.['#text'] || funcName);
-        
-        functionData = {
-          name: funcNameStr,
-          linkedProcess: s.function.linkedProcess ? {
-            id: s.function.linkedProcess.id,
-            name: extractMultiLangText(s.function.linkedProcess.name || s.function.linkedProcess.n)
-          } : null
-        };
+        functionData = parseChainFunction(s.function);
       }
       
-      return {
+      const step = {
         stepNumber: s.stepNumber,
         name: extractMultiLangText(s.name || s.n),
         description: extractMultiLangText(s.description),
@@ -1558,6 +1611,14 @@ async function parseProcessChainDetail(filePath) {
         optional: s.optional === 'true' || s.optional === true,
         frequency: s.frequency || null
       };
+
+      // Steps calling several functions list them in <functions>
+      if (s.functions && s.functions.function) {
+        const funcList = Array.isArray(s.functions.function) ? s.functions.function : [s.functions.function];
+        step.functions = funcList.map(f => parseChainFunction(f));
+      }
+
+      return step;
     });
   }
 
@@ -1681,6 +1742,23 @@ async function parseProcessChainDetail(filePath) {
     });
   }
 
+  // Extract rules, security aspects and security mechanisms
+  const rules = extractMultiLangList(chain.rules, 'rule');
+  const securityAspects = extractMultiLangList(chain.securityAspects, 'aspect');
+  const securityMechanisms = extractMultiLangList(chain.securityMechanisms, 'mechanism');
+
+  // Extract error cases (possible errors and the reaction to them)
+  let errorCases = [];
+  if (chain.errorCases && chain.errorCases.errorCase) {
+    const errorList = Array.isArray(chain.errorCases.errorCase)
+      ? chain.errorCases.errorCase
+      : [chain.errorCases.errorCase];
+    errorCases = errorList.map(e => ({
+      error: extractMultiLangText(e.error),
+      reaction: extractMultiLangText(e.reaction)
+    }));
+  }
+
   // Extract usage scenario
   const usageScenario = chain.usageScenario ? extractMultiLangText(chain.usageScenario) : null;
 
@@ -1725,6 +1803,10 @@ async function parseProcessChainDetail(filePath) {
     interfaceFunctions,
     functionCount: interfaceFunctions.length,
     importantNotes,
+    rules,
+    securityAspects,
+    securityMechanisms,
+    errorCases,
     useCases,
     usageScenario,
     references,
@@ -1779,6 +1861,10 @@ async function loadProcessChains(basePath) {
   const chains = [];
 
   try {
+    // Check if processes folder exists (layered instances may not have one)
+    const exists = await fs.access(processesPath).then(() => true).catch(() => false);
+    if (!exists) return [];
+
     // Get all subdirectories in processes folder
     const entries = await fs.readdir(processesPath, { withFileTypes: true });
     const folders = entries.filter(e => e.isDirectory()).map(e => e.name);
@@ -2015,5 +2101,6 @@ module.exports = {
   getProcessChainsOverview,
   loadCategory,
   getOverview,
+  summarizeOverview,
   parseProcessMap
 };
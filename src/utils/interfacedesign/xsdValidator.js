@@ -0,0 +1,357 @@
+/**
+ * XSD Validator for InterfaceDesign
+ * Checks ordered XML documents (see xmlDocument.js) against the _schema files of a template
+ *
+ * Supported subset of XML Schema (what the bundled schemas use):
+ *   - global and inline complexType with sequence / choice (nested) and simpleContent
+ *   - simpleType restrictions with enumeration, pattern, minLength and maxLength
+ *   - built-in types string, integer, long, boolean, dateTime, hexBinary and anyType
+ *
+ * Deliberate deviations from a strict validator, matching how the content files are written:
+ *   - Element names are compared without namespace (files and schemas use different namespaces)
+ *   - String elements may hold language variants (<text xml:lang="de">...</text>) instead of text
+ *   - Elements a content model does not declare are not errors (unknown elements are preserved
+ *     by the write API); they are reported as warnings if the caller asks for them, so
+ *     misspelled element names don't go unnoticed. Attributes are not checked
+ */
+
+const fs = require('fs').promises;
+const { parseXmlDocument } = require('./xmlDocument');
+
+// Loaded schemas: absolute path -> { mtimeMs, schema }
+const schemaCache = new Map();
+
+const BUILTIN_PATTERNS = {
+  integer: /^[+-]?\d+$/,
+  long: /^[+-]?\d+$/,
+  boolean: /^(true|false|1|0)$/,
+  dateTime: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/,
+  hexBinary: /^([0-9a-fA-F]{2})*$/
+};
+
+function localName(name) {
+  const index = name.indexOf(':');
+  return index >= 0 ? name.slice(index + 1) : name;
+}
+
+function schemaChildren(node, name) {
+  return node.children.filter(child => localName(child.name) === name);
+}
+
+function parseOccurs(value, fallback) {
+  if (value === undefined) return fallback;
+  return value === 'unbounded' ? Infinity : parseInt(value, 10);
+}
+
+// ============================================
+// Schema Compilation
+// ============================================
+
+function compileSimpleType(node) {
+  const restriction = schemaChildren(node, 'restriction')[0];
+  if (!restriction) return { kind: 'simple', base: 'string', facets: {} };
+
+  const facets = {};
+  for (const facet of restriction.children) {
+    const value = facet.attributes.value;
+    switch (localName(facet.name)) {
+      case 'enumeration':
+        (facets.enumeration = facets.enumeration || []).push(value);
+        break;
+      case 'pattern':
+        facets.pattern = new RegExp(`^(?:${value})$`);
+        break;
+      case 'minLength':
+        facets.minLength = parseInt(value, 10);
+        break;
+      case 'maxLength':
+        facets.maxLength = parseInt(value, 10);
+        break;
+    }
+  }
+  return { kind: 'simple', base: localName(restriction.attributes.base || 'xs:string'), facets };
+}
+
+function compileGroup(node) {
+  const particles = [];
+  for (const child of node.children) {
+    const kind = localName(child.name);
+    if (kind === 'element') {
+      particles.push(compileElement(child));
+    } else if (kind === 'sequence' || kind === 'choice') {
+      particles.push(compileGroup(child));
+    }
+  }
+  return {
+    kind: localName(node.name),
+    particles,
+    minOccurs: parseOccurs(node.attributes.minOccurs, 1),
+    maxOccurs: parseOccurs(node.attributes.maxOccurs, 1)
+  };
+}
+
+function compileComplexType(node) {
+  const simpleContent = schemaChildren(node, 'simpleContent')[0];
+  if (simpleContent) {
+    const extension = simpleContent.children.find(child => ['extension', 'restriction'].includes(localName(child.name)));
+    return { kind: 'simple', base: localName((extension && extension.attributes.base) || 'xs:string'), facets: {} };
+  }
+
+  const group = node.children.find(child => ['sequence', 'choice'].includes(localName(child.name)));
+  return { kind: 'complex', group: group ? compileGroup(group) : null };
+}
+
+function compileElement(node) {
+  const inlineComplex = schemaChildren(node, 'complexType')[0];
+  const inlineSimple = schemaChildren(node, 'simpleType')[0];
+  return {
+    kind: 'element',
+    name: node.attributes.name || localName(node.attributes.ref || ''),
+    type: inlineComplex ? compileComplexType(inlineComplex)
+      : inlineSimple ? compileSimpleType(inlineSimple)
+        : localName(node.attributes.type || 'xs:anyType'),
+    minOccurs: parseOccurs(node.attributes.minOccurs, 1),
+    maxOccurs: parseOccurs(node.attributes.maxOccurs, 1)
+  };
+}
+
+/**
+ * Compile a schema document into named types and global elements
+ */
+function compileSchema(root) {
+  const types = {};
+  const elements = {};
+  for (const child of root.children) {
+    const kind = localName(child.name);
+    if (kind === 'simpleType') types[child.attributes.name] = compileSimpleType(child);
+    if (kind === 'complexType') types[child.attributes.name] = compileComplexType(child);
+    if (kind === 'element') elements[child.attributes.name] = compileElement(child);
+  }
+  return { types, elements };
+}
+
+/**
+ * Load a schema file (cached until its mtime changes)
+ * @param {string} schemaPath - Absolute path of the .xsd file
+ * @returns {Promise<Object>} - Compiled schema
+ */
+async function loadSchema(schemaPath) {
+  const stat = await fs.stat(schemaPath);
+  const cached = schemaCache.get(schemaPath);
+  if (cached && cached.mtimeMs === stat.mtimeMs) {
+    return cached.schema;
+  }
+
+  const doc = await parseXmlDocument(await fs.readFile(schemaPath, 'utf-8'));
+  const schema = compileSchema(doc.root);
+  schemaCache.set(schemaPath, { mtimeMs: stat.mtimeMs, schema });
+  return schema;
+}
+
+// ============================================
+// Validation
+// ============================================
+
+function resolveType(schema, type) {
+  if (typeof type !== 'string') return type;
+  if (schema.types[type]) return schema.types[type];
+  if (type === 'anyType') return { kind: 'any' };
+  return { kind: 'simple', base: type, facets: {} };
+}
+
+function checkSimpleValue(schema, type, value, path, errors) {
+  const { base, facets } = type;
+
+  // Derived simple types check their base type first
+  if (schema.types[base] && schema.types[base].kind === 'simple') {
+    checkSimpleValue(schema, schema.types[base], value, path, errors);
+  } else if (BUILTIN_PATTERNS[base] && !BUILTIN_PATTERNS[base].test(value.trim())) {
+    errors.push({ path, message: `Value '${value}' is not a valid ${base}` });
+    return;
+  }
+
+  if (facets.enumeration && !facets.enumeration.includes(value.trim())) {
+    errors.push({ path, message: `Value '${value}' is not one of: ${facets.enumeration.join(', ')}` });
+  }
+  if (facets.pattern && !facets.pattern.test(value)) {
+    errors.push({ path, message: `Value '${value}' does not match the pattern ${facets.pattern.source}` });
+  }
+  if (facets.minLength !== undefined && value.length < facets.minLength) {
+    errors.push({ path, message: `Value must have at least ${facets.minLength} characters` });
+  }
+  if (facets.maxLength !== undefined && value.length > facets.maxLength) {
+    errors.push({ path, message: `Value must have at most ${facets.maxLength} characters` });
+  }
+}
+
+function checkSimpleElement(schema, type, node, path, errors) {
+  if (node.children.length === 0) {
+    checkSimpleValue(schema, type, node.text || '', path, errors);
+    return;
+  }
+
+  // Language variants stand in for the text content
+  for (const child of node.children) {
+    if (!child.attributes['xml:lang'] || child.children.length > 0) {
+      errors.push({ path, message: `Element '${localName(child.name)}' is not allowed in a text element` });
+      return;
+    }
+  }
+  for (const child of node.children) {
+    checkSimpleValue(schema, type, child.text || '', `${path}[@xml:lang='${child.attributes['xml:lang']}']`, errors);
+  }
+}
+
+function declaredNames(group, names = new Set()) {
+  for (const particle of group.particles) {
+    if (particle.kind === 'element') names.add(particle.name);
+    else declaredNames(particle, names);
+  }
+  return names;
+}
+
+/**
+ * Names of the elements a particle can start with (a sequence up to its first required particle)
+ */
+function firstNames(particle, names = new Set()) {
+  if (particle.kind === 'element') {
+    names.add(particle.name);
+  } else if (particle.kind === 'choice') {
+    particle.particles.forEach(p => firstNames(p, names));
+  } else {
+    for (const p of particle.particles) {
+      firstNames(p, names);
+      if (p.minOccurs > 0) break;
+    }
+  }
+  return names;
+}
+
+/**
+ * Match the children against a model group (greedy, like the content models of the schemas)
+ * @returns {number} - Position after the matched children
+ */
+function matchGroup(group, children, position, context) {
+  let occurrences = 0;
+  while (occurrences < group.maxOccurs) {
+    // Each repetition is tried on its own, an optional repetition that matches nothing is discarded
+    const attempt = { path: context.path, errors: [], matched: [] };
+    const next = group.kind === 'choice'
+      ? matchChoice(group, children, position, attempt)
+      : matchSequence(group, children, position, attempt);
+
+    if (next === position && occurrences >= group.minOccurs) break;
+    if (next === position && group.kind === 'choice') {
+      const names = [...declaredNames(group)].join("', '");
+      context.errors.push({ path: context.path, message: `One of the elements '${names}' is required` });
+      break;
+    }
+
+    context.errors.push(...attempt.errors);
+    context.matched.push(...attempt.matched);
+    if (next === position) break;
+    position = next;
+    occurrences++;
+  }
+  return position;
+}
+
+function matchParticle(particle, children, position, context) {
+  if (particle.kind !== 'element') {
+    return matchGroup(particle, children, position, context);
+  }
+
+  let count = 0;
+  while (count < particle.maxOccurs && position < children.length && localName(children[position].name) === particle.name) {
+    context.matched.push({ node: children[position], element: particle });
+    position++;
+    count++;
+  }
+  if (count < particle.minOccurs) {
+    context.errors.push({ path: context.path, message: `Missing required element '${particle.name}'` });
+  }
+  return position;
+}
+
+function matchSequence(group, children, position, context) {
+  for (const particle of group.particles) {
+    position = matchParticle(particle, children, position, context);
+  }
+  return position;
+}
+
+function matchChoice(group, children, position, context) {
+  if (position >= children.length) return position;
+  const name = localName(children[position].name);
+  const particle = group.particles.find(p => firstNames(p).has(name));
+  return particle ? matchParticle(particle, children, position, context) : position;
+}
+
+function validateElement(schema, elementType, node, path, errors, warnings) {
+  const type = resolveType(schema, elementType);
+
+  if (type.kind === 'any') return;
+  if (type.kind === 'simple') {
+    checkSimpleElement(schema, type, node, path, errors);
+    return;
+  }
+  if (!type.group) return;
+
+  // Undeclared elements are skipped (and reported as warnings), the rest must follow the content model
+  const names = declaredNames(type.group);
+  if (warnings) {
+    const counts = {};
+    for (const child of node.children) {
+      const name = localName(child.name);
+      counts[name] = (counts[name] || 0) + 1;
+      if (!names.has(name)) {
+        warnings.push({ path: `${path}/${name}[${counts[name]}]`, message: `Element '${name}' is not declared in the schema` });
+      }
+    }
+  }
+  const children = node.children.filter(child => names.has(localName(child.name)));
+  const context = { path, errors, matched: [] };
+  const position = matchGroup(type.group, children, 0, context);
+
+  if (position < children.length) {
+    const name = localName(children[position].name);
+    const previous = position > 0 ? localName(children[position - 1].name) : null;
+    errors.push({
+      path,
+      message: previous
+        ? `Element '${name}' is not allowed after '${previous}' (wrong order or too many occurrences)`
+        : `Element '${name}' is not allowed here (wrong order or too many occurrences)`
+    });
+  }
+
+  const indexes = {};
+  for (const { node: child, element } of context.matched) {
+    const childName = localName(child.name);
+    indexes[childName] = (indexes[childName] || 0) + 1;
+    validateElement(schema, element.type, child, `${path}/${childName}[${indexes[childName]}]`, errors, warnings);
+  }
+}
+
+/**
+ * Validate a document against a schema
+ * @param {Object} schema - Compiled schema (loadSchema)
+ * @param {Object} root - Root node of an ordered document
+ * @param {Array<Object>} warnings - Optional: receives the undeclared elements [{ path, message }]
+ * @returns {Array<Object>} - Violations [{ path, message }], empty if valid
+ */
+function validateDocument(schema, root, warnings = null) {
+  const name = localName(root.name);
+  const element = schema.elements[name];
+  if (!element) {
+    return [{ path: `/${name}`, message: `Root element '${name}' is not declared in the schema` }];
+  }
+
+  const errors = [];
+  validateElement(schema, element.type, root, `/${name}`, errors, warnings);
+  return errors;
+}
+
+module.exports = {
+  loadSchema,
+  validateDocument
+};